@@ -1,345 +1,433 @@
 /**
- * This script expects a parsed HALog file and will write the resulting information to a MySQL database. The database
- * name is passed as an argument to this script and should already be initialized with the default schema that can
- * be found in the "schema" directory.
+ * This script parses an HAProxy log file and will write the resulting information to a storage backend (see
+ * lib/storage). By default, this is a MySQL database whose name is passed as an argument to this script and that should
+ * be initialized (and kept up to date) with the "db init" and "db migrate" commands, which apply the migrations that can
+ * be found in the "schema/migrations" directory. Statistics can also be written to a local SQLite file, to JSON or CSV
+ * files, or only printed (with "--dry-run").
  *
  * @author Pieter Verschaffelt
  */
 
-import mysql from "mysql2";
-import { execSync } from "node:child_process";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
 
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
 
-const setupDatabase = function(argv) {
-    return mysql.createConnection({
-        user: argv.dbUser,
-        password: argv.dbPassword,
-        database: argv.dbName,
-        port: argv.dbPort,
-        host: argv.dbHost
-    });
-}
+import { configOptions } from "../haproxy-log/config.js";
+import { GRANULARITIES } from "./lib/buckets.js";
+import { CLIENT_ID_MODES } from "./lib/clients.js";
+import {
+    COLLECTORS,
+    DEFAULT_NODES,
+    runCollectors,
+    SECURITY_CLIENT_ID_MODES,
+    selectCollectors
+} from "./lib/collectors.js";
+import { formatDate, startOfWeek } from "./lib/dates.js";
+import { storageOptions } from "./lib/options.js";
+import { buildReport, formatReport, REPORT_FORMATS } from "./lib/report.js";
+import { formatBlocklist, loadSecurityRules, SECURITY_CATEGORIES, selectBlockedClients } from "./lib/security.js";
+import { DEFAULT_SESSION_PATHS } from "./lib/sessions.js";
+import { createStorage, openStorage } from "./lib/storage/index.js";
 
 /**
- * Process a given command (run it through the shell), extract it's output and sanitize it (e.g. remove the header,
- * trailing newlines and the status message at the end of the command's output).
+ * Create the selected collectors, run them on the given log files and write their statistics to the storage backend
+ * that is selected by the command line arguments.
  *
- * @param command The shell command that should be executed.
- * @returns string[] An array of output returned by the given command.
+ * @param argv The parsed command line arguments.
+ * @param names The names of the collectors that should be run (keys of COLLECTORS).
+ * @param halogPaths The paths to the HAProxy log files that should be analyzed (these can be gzip-compressed).
+ * @param daysAgo Which date (e.g. how many days ago) does the provided log file belong to? If null, the date of each
+ *                request is derived from the timestamps in the log file.
+ * @returns Promise<object> The result of runCollectors.
  */
-const processCommand = function(command) {
-    let lineIdx = 0;
-    const lines = [];
-
-    const stdout = execSync(command, { encoding: "utf-8" });
-
-    for (const line of stdout.split("\n")) {
-        if (lineIdx === 0) {
-            lineIdx++;
-            continue;
-        }
+const collect = async function(argv, names, halogPaths, daysAgo) {
+    const labelled = argv.granularity === "day" && daysAgo !== null;
 
-        lineIdx++;
-        lines.push(line.trimEnd());
+    // All collectors are created before the storage is opened, so that configuration errors are reported first.
+    const collectors = [];
+    for (const name of names) {
+        collectors.push({ name, aggregator: await COLLECTORS[name](argv, labelled) });
     }
 
-    // Remove the last line, which is the status message of the command.
-    lines.splice(-1, 1);
-    return lines;
+    const storage = await openStorage(argv);
+    const result = await runCollectors(storage, halogPaths, collectors, daysAgo, argv.granularity);
+    await storage.end();
+
+    return result;
 }
 
 /**
- * This function analyzes the HAProxy logfile (using the halog command) and keeps track of how many times each Unipept
- * API-endpoint has been called (including successful and failed requests) and how long the average call took.
- *
- * @param dbConnection A valid connection to the database in which the summarized results should be kept.
- * @param halogPath The path to the HAProxy log file that should be analyzed.
- * @param daysAgo Which date (e.g. how many days ago) does the provided log file belong to? Defaults to 1.
+ * Print a short summary of a run of the collectors: how many lines were read and skipped and how many rows were
+ * written to each table.
  */
-const processEndpoints = function(dbConnection, halogPath, daysAgo = 1) {
-    // -s -1 for halog is important to ignore the first metadata field printed by rsyslog to the haproxy log file.
-    // Without this, halog crashes since it doesn't know how to interpret this metadata.
-    const lines = processCommand(`cat ${halogPath} | halog -s -1 -u -H`);
-
-    // Some constants to parse the input lines read by this script.
-    const delimiter = " ";
-    const totalReqCountCol = 0;
-    const badReqCountCol = 1;
-    const avgTimeCol = 3;
-    const endpointCol = 8;
+const printSummary = function(summary) {
+    console.log(`Read ${summary.linesRead} line(s): ${summary.linesUnparseable} unparseable, ${summary.recordsSkipped} skipped (no valid accept date).`);
 
-    // A list of strings that the endpoint should contain in order to be kept in the database. If an endpoint does not
-    // contain a value in this array, it will be refused.
-    const accepted_endpoints = ["/mpa", "/private_api", "/api"];
-
-    const stats = new Map();
-
-    // All done
-    for (const line of lines) {
-        const fields = line.split(delimiter);
-        const totalReqCount = Number.parseInt(fields[totalReqCountCol]);
-        const badReqCount = Number.parseInt(fields[badReqCountCol]);
-        const avgTime = Number.parseFloat(fields[avgTimeCol]);
-        const endpoint = fields[endpointCol]
-            .replace("https://api.unipept.ugent.be", "")
-            .replace("http://api.unipept.ugent.be", "")
-            .replace("//", "/");
-
-        if (accepted_endpoints.some(v => endpoint.includes(v))) {
-            const currentStat = {
-                totalReqCount,
-                badReqCount,
-                avgTime
-            }
-
-            if (stats.has(endpoint)) {
-                currentStat.totalReqCount += stats.get(endpoint).totalReqCount;
-                currentStat.badReqCount += stats.get(endpoint).badReqCount;
-                currentStat.avgTime = (
-                    currentStat.avgTime * totalReqCount +
-                    stats.get(endpoint).avgTime * stats.get(endpoint).totalReqCount
-                ) / (currentStat.totalReqCount + stats.get(endpoint).totalReqCount);
-            }
-
-            stats.set(endpoint, currentStat);
-        }
+    const tables = Object.entries(summary.rowsWritten);
+    if (tables.length === 0) {
+        console.log("No rows written.");
+        return;
     }
 
-    // Check if yesterday's data is already present in the database and remove it (we will replace it with the new data).
-    dbConnection.query(
-        `DELETE FROM endpoint_stats WHERE date = SUBDATE(CURDATE(), ?);`,
-        [daysAgo]
-    );
-
-    for (const [endpoint, stat] of stats) {
-        dbConnection.query(
-            `INSERT INTO endpoint_stats (date, endpoint, req_successful, req_error, avg_duration) VALUES (SUBDATE(CURDATE(), ?), ?, ?, ?, ?);`,
-            [daysAgo, endpoint, stat.totalReqCount - stat.badReqCount, stat.badReqCount, stat.avgTime],
-            (err, result) => {
-                if (err) {
-                    console.error("Error while inserting data into MySQL database.");
-                    console.error(err);
-                    process.exit(3);
-                }
-            }
-        );
+    console.log("Rows written:");
+    for (const [table, rows] of tables) {
+        console.log(`  ${table}: ${rows}`);
     }
 }
 
 /**
- * Process the HAProxy log file and keep track of how many times each of the different handling nodes has been called.
+ * Compute the first and last day of a (complete) week or month, together with those of the period before it. Weeks
+ * start on Monday.
  *
- * @param dbConnection The connection with the database that should be filled with the aggregated statistics.
- * @param halogPath HAProxy configuration file containing information about which node handled which requests.
- * @param daysAgo Which date (e.g. how many days ago) does the provided log file belong to? Defaults to 1.
+ * @param period Either "week" or "month".
+ * @param periodsAgo Which period (e.g. how many weeks or months ago) should be reported? 0 is the current (incomplete)
+ *                   period, 1 the last complete period.
+ * @returns {{name: string, from: string, to: string, previous: {from: string, to: string}}} All dates are formatted as
+ * "YYYY-MM-DD".
  */
-const processNodes = function(dbConnection, halogPath, daysAgo = 1) {
-    const lines = processCommand(`cat ${halogPath} | halog -s -1 -H -srv`);
-
-    // Some constants to parse the input lines read by this script.
-    const delimiter = " ";
-    const serverNameCol = 0;
-    const totReqCountCol = 7;
-    const successfulReqCountCol = 8;
-    const avgTimeCol = 11;
-
-    const acceptedNodes = [
-        "patty",
-        "selma",
-        "rick",
-        "sherlock"
-    ]
-
-    const stats = new Map();
-
-    for (const line of lines) {
-        const fields = line.split(delimiter);
-        let serverName = fields[serverNameCol];
-
-        if (!acceptedNodes.some((n) => serverName.includes(n))) {
-            continue;
+const reportPeriod = function(period, periodsAgo) {
+    const today = new Date();
+
+    const range = (offset) => {
+        if (period === "month") {
+            const first = new Date(today.getFullYear(), today.getMonth() - offset, 1);
+            const last = new Date(today.getFullYear(), today.getMonth() - offset + 1, 0);
+            return { from: formatDate(first), to: formatDate(last) };
         }
 
+        const thisMonday = startOfWeek(today);
+        const monday = new Date(thisMonday.getFullYear(), thisMonday.getMonth(), thisMonday.getDate() - 7 * offset);
+        const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+        return { from: formatDate(monday), to: formatDate(sunday) };
+    };
 
-        serverName = serverName.split("/")[1];
-
-        const totalReqCount = Number.parseInt(fields[totReqCountCol]);
-        const successfulReqCount = Number.parseInt(fields[successfulReqCountCol]);
-        const badReqCount = totalReqCount - successfulReqCount;
-        const avgTime = Number.parseFloat(fields[avgTimeCol]);
-
-        const currentStat = {
-            totalReqCount,
-            badReqCount,
-            avgTime
-        }
-
-        if (stats.has(serverName)) {
-            currentStat.totalReqCount += stats.get(serverName).totalReqCount;
-            currentStat.badReqCount += stats.get(serverName).badReqCount;
-            currentStat.avgTime = (
-                currentStat.avgTime * totalReqCount +
-                stats.get(serverName).avgTime * stats.get(serverName).totalReqCount
-            ) / (currentStat.totalReqCount + stats.get(serverName).totalReqCount);
-        }
+    return { name: period, ...range(periodsAgo), previous: range(periodsAgo + 1) };
+}
 
-        stats.set(serverName, currentStat);
-    }
+/**
+ * Build a usage report from the statistics in the selected storage backend and write it to the file given by
+ * "--output" (or to stdout).
+ *
+ * @param argv The parsed command line arguments.
+ */
+const writeReport = async function(argv) {
+    const storage = await openStorage(argv);
+    const report = await buildReport(storage, reportPeriod(argv.period, Number.parseInt(argv.periodsAgo)), Number.parseInt(argv.topEndpoints));
+    await storage.end();
 
-    // Check if yesterday's data is already present in the database and remove it (we will replace it with the new data).
-    dbConnection.query(
-        `DELETE FROM node_stats WHERE date = SUBDATE(CURDATE(), ?);`,
-        [daysAgo]
-    );
+    const output = formatReport(report, argv.format);
 
-    for (const [serverName, stat] of stats) {
-        dbConnection.query(
-            `INSERT INTO node_stats (date, node, req_successful, req_error, avg_duration) VALUES (SUBDATE(CURDATE(), ?), ?, ?, ?, ?);`,
-            [daysAgo, serverName, stat.totalReqCount - stat.badReqCount, stat.badReqCount, stat.avgTime],
-            (err, result) => {
-                if (err) {
-                    console.error("Error while inserting data into MySQL database.");
-                    console.error(err);
-                    process.exit(3);
-                }
-            }
-        );
+    if (argv.output) {
+        fs.writeFileSync(argv.output, output);
+    } else {
+        process.stdout.write(output);
     }
 }
 
 /**
- * Process the HAProxy log file and keep track of where the requests originated from (CLI, Desktop app, Browser or other).
+ * Write an HAProxy ACL file with the clients that should be blocked, based on the security events of the last
+ * "--blocklist-days" days (up to and including the date given by "--days-ago") in the selected storage backend. The
+ * file is replaced atomically, so that HAProxy never reads a half-written file when it is reloaded.
  *
- * @param dbConnection A valid connection to the database in which the summarized results should be kept.
- * @param halogPath The path to the HAProxy log file that should be analyzed.
- * @param daysAgo Which date (e.g. how many days ago) does the provided log file belong to? Defaults to 1.
+ * @param argv The parsed command line arguments.
  */
-const processSources = function(dbConnection, halogPath, daysAgo = 1) {
-    const userAgentCounts = processCommand(`cat ${halogPath} | grep "{" | cut -d "{" -f 2 | cut -d "}" -f 1 | sort | uniq -c`);
-
-    let desktopCounts = 0;
-    let cliCounts = 0;
-    let webCounts = 0;
-    let otherCounts = 0;
-
-    const matchesBrowser = function(userAgent) {
-        const tests = [
-            /chrome|chromium|crios/i,
-            /firefox|fxios/i,
-            /safari/i,
-            /opr/i,
-            /edg/i,
-        ];
-
-        return tests.some(t => userAgent.match(t));
+const writeBlocklist = async function(argv) {
+    if (argv.dryRun) {
+        console.log(`Blocklist ${argv.blocklist} not written (dry run).`);
+        return;
     }
 
-    for (const line of userAgentCounts) {
-        // Remove both leading and trailing spaces
-        const trimmed = line.trim();
+    const to = new Date();
+    to.setDate(to.getDate() - Number.parseInt(argv.daysAgo));
+    const from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - Number.parseInt(argv.blocklistDays) + 1);
 
-        const fields = trimmed.split(" ");
-        const counts = Number.parseInt(fields[0]);
-        const userAgent = fields.slice(1).join(" ");
+    const storage = await openStorage(argv);
+    const events = await storage.read("security_events", formatDate(from), formatDate(to));
+    await storage.end();
 
-        if (userAgent.toLowerCase().includes("unipeptdesktop")) {
-            desktopCounts += counts;
-        } else if (userAgent.toLowerCase().includes("unipept cli")) {
-            cliCounts += counts;
-        } else if (matchesBrowser(userAgent)) {
-            webCounts += counts;
-        } else {
-            otherCounts += counts;
-        }
-    }
+    const categories = argv.blockCategories.map(String);
+    const minRequests = Number.parseInt(argv.blockMinRequests);
+    const blocked = selectBlockedClients(loadSecurityRules(argv.securityRules), events, categories, minRequests);
+    const header = [
+        `Generated by collect.js security on ${formatDate(new Date())}.`,
+        `Clients with at least ${minRequests} request(s) in ${categories.join(" or ")} events between ${formatDate(from)} and ${formatDate(to)}.`,
+        `Review before reloading HAProxy, e.g. with: http-request deny if { src -f ${argv.blocklist} }`
+    ];
 
+    fs.writeFileSync(`${argv.blocklist}.tmp`, formatBlocklist(blocked, header));
+    fs.renameSync(`${argv.blocklist}.tmp`, argv.blocklist);
 
-    // Check if yesterday's data is already present in the database and remove it (we will replace it with the new data).
-    dbConnection.query(
-        `DELETE FROM source_stats WHERE date = SUBDATE(CURDATE(), ?);`,
-        [daysAgo]
-    );
+    console.log(`Wrote ${blocked.length} client(s) to blocklist ${argv.blocklist}.`);
+}
 
-    for (const [sourceName, counts] of new Map([[ "desktop", desktopCounts ], [ "cli", cliCounts ], [ "web", webCounts ], [ "other", otherCounts ]])) {
-        dbConnection.query(
-            `INSERT INTO source_stats (date, source, req_total) VALUES (SUBDATE(CURDATE(), ?), ?, ?);`,
-            [daysAgo, sourceName, counts],
-            (err, result) => {
-                if (err) {
-                    console.error("Error while inserting data into MySQL database.");
-                    console.error(err);
-                    process.exit(3);
-                }
-            }
-        );
+/**
+ * Create or update the schema of the selected storage backend and report which changes have been applied.
+ *
+ * @param argv The parsed command line arguments.
+ * @param action Either "init" (create the database if it does not exist yet) or "migrate".
+ */
+const runMigrations = async function(argv, action) {
+    const storage = createStorage(argv);
+    const applied = await storage[action]();
+
+    if (applied.length === 0) {
+        console.log("The database schema is already up to date.");
+    } else {
+        console.log(`Applied ${applied.length} migration(s): ${applied.join(", ")}.`);
     }
+
+    await storage.end();
 }
 
 
-const argv = yargs(hideBin(process.argv))
+const argv = configOptions(storageOptions(yargs(hideBin(process.argv))), "collector")
     .usage('Usage: node $0 <command> [options]')
     .command(
         "endpoints",
         "Collect endpoint statistics and counts (i.e. which API-endpoint is called how many times?).",
         () => {},
-        (argv) => {
-            const db = setupDatabase(argv);
-            processEndpoints(db, argv.haproxyConfig, Number.parseInt(argv.daysAgo));
-            db.end();
-        }
+        async (argv) => await collect(argv, ["endpoints"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
     )
     .command(
         "nodes",
         "Collect node statistics and counts (i.e. which server is handling how many requests?).",
         () => {},
-        (argv) => {
-            const db = setupDatabase(argv);
-            processNodes(db, argv.haproxyConfig, Number.parseInt(argv.daysAgo));
-            db.end();
-        }
+        async (argv) => await collect(argv, ["nodes"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
     )
     .command(
         "sources",
-        "Collect user agent statistics and count how many times the browser / desktop / cli app was used.",
+        "Collect user agent statistics and count how many times the browser / desktop / cli app (per version), bots and scripts were used.",
+        () => {},
+        async (argv) => await collect(argv, ["sources"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
+    )
+    .command(
+        "statuses",
+        "Collect the number of requests per HTTP status class and HAProxy termination state, per endpoint and per node.",
+        () => {},
+        async (argv) => await collect(argv, ["statuses"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
+    )
+    .command(
+        "clients",
+        "Collect the number of unique (anonymized) clients per day, endpoint and source and rank the clients that sent the most requests.",
         () => {},
-        (argv) => {
-            const db = setupDatabase(argv);
-            processSources(db, argv.haproxyConfig, Number.parseInt(argv.daysAgo));
-            db.end();
+        async (argv) => await collect(argv, ["clients"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
+    )
+    .command(
+        "countries",
+        "Collect the number of requests per country and continent (and optionally per endpoint), using an offline GeoIP database.",
+        () => {},
+        async (argv) => await collect(argv, ["countries"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
+    )
+    .command(
+        "sessions",
+        "Group the /mpa and /private_api requests of every (anonymized) client and source into analysis sessions and count the sessions, their duration, requests and bytes.",
+        () => {},
+        async (argv) => await collect(argv, ["sessions"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
+    )
+    .command(
+        "availability",
+        "Detect availability incidents of the backend nodes (gaps in their traffic, bursts of connection failures or 503 responses, requests without an available server) and compute their uptime.",
+        () => {},
+        async (argv) => await collect(argv, ["availability"], argv.haproxyConfig, Number.parseInt(argv.daysAgo))
+    )
+    .command(
+        "security",
+        "Flag clients that probe for vulnerabilities, send malformed requests or have an abnormal request or error rate, and optionally write an HAProxy blocklist.",
+        (yargs) => {
+            yargs
+                .option("blocklist", {
+                    describe: "The HAProxy ACL file to which the clients that should be blocked are written (one address or network per line). Not written if omitted."
+                })
+                .option("block-categories", {
+                    describe: "The categories of security events for which a client is added to the blocklist.",
+                    type: "array",
+                    choices: SECURITY_CATEGORIES
+                })
+                .default("block-categories", ["scanner"])
+                .option("block-min-requests", {
+                    describe: "The minimal amount of requests of a client in security events of these categories before it is added to the blocklist."
+                })
+                .default("block-min-requests", 10)
+                .option("blocklist-days", {
+                    describe: "The blocklist contains the clients with security events during this many days (up to and including the date given by --days-ago)."
+                })
+                .default("blocklist-days", 7);
+        },
+        async (argv) => {
+            await collect(argv, ["security"], argv.haproxyConfig, Number.parseInt(argv.daysAgo));
+
+            if (argv.blocklist) {
+                await writeBlocklist(argv);
+            }
+        }
+    )
+    .command(
+        "all",
+        "Run all collectors (or those given by --collectors) in a single pass over the log file and write all tables in one transaction.",
+        () => {},
+        async (argv) => {
+            const { summary } = await collect(argv, selectCollectors(argv), argv.haproxyConfig, Number.parseInt(argv.daysAgo));
+            printSummary(summary);
+        }
+    )
+    .command(
+        "backfill <files..>",
+        "Run all collectors (or those given by --collectors) on (archived) log files and store the results under the dates that are found in the log files themselves, instead of the date given by --days-ago.",
+        (yargs) => {
+            yargs.positional("files", {
+                describe: "The HAProxy log files that should be processed (these can be gzip-compressed)."
+            });
+        },
+        async (argv) => {
+            const { summary, dates } = await collect(argv, selectCollectors(argv), argv.files, null);
+
+            const replacedDates = new Set();
+            for (const [name, collectorDates] of dates) {
+                collectorDates.forEach(date => replacedDates.add(date));
+                console.log(`${name}: replaced ${collectorDates.length} date(s)${collectorDates.length > 0 ? ` (${collectorDates.join(", ")})` : ""}.`);
+            }
+
+            console.log(`Replaced ${argv.granularity} statistics for ${replacedDates.size} date(s): ${[...replacedDates].sort().join(", ")}.`);
+            printSummary(summary);
+        }
+    )
+    .command(
+        "report",
+        "Summarize the endpoint, node, source and session statistics of the last week or month (totals, analyses per day, top endpoints, error rates, node load, sources) and compare them with the period before.",
+        (yargs) => {
+            yargs
+                .option("period", {
+                    describe: "The length of the period that is reported. Weeks start on Monday.",
+                    choices: ["week", "month"]
+                })
+                .default("period", "month")
+                .option("periods-ago", {
+                    describe: "Which period should be reported? 1 is the last complete week or month, 0 the current one."
+                })
+                .default("periods-ago", 1)
+                .option("format", {
+                    describe: "The format of the report.",
+                    choices: REPORT_FORMATS
+                })
+                .default("format", "markdown")
+                .option("output", {
+                    alias: "o",
+                    describe: "The file to which the report should be written. Defaults to stdout."
+                })
+                .option("top-endpoints", {
+                    describe: "How many of the most requested endpoints are listed in the report."
+                })
+                .default("top-endpoints", 10);
+        },
+        async (argv) => await writeReport(argv)
+    )
+    .command(
+        "db",
+        "Manage the schema of the statistics database.",
+        (yargs) => {
+            yargs
+                .command(
+                    "init",
+                    "Create the database (if it does not exist yet) and apply all migrations.",
+                    () => {},
+                    async (argv) => await runMigrations(argv, "init")
+                )
+                .command(
+                    "migrate",
+                    "Apply all migrations that have not yet been applied to the database.",
+                    () => {},
+                    async (argv) => await runMigrations(argv, "migrate")
+                )
+                .demandCommand(1, "Please specify a database command (init or migrate).");
         }
     )
-    .option("db-user", {
-        alias: "u",
-        describe: "The username that should be used to connect to the MySQL database.",
-    })
-    .default("db-user", "root")
-    .option("db-password", {
-        alias: "p",
-        describe: "The password that should be used to connect to the MySQL database.",
-    })
-    .default("db-password", "")
-    .option("db-name", {
-        describe: "The name of the MySQL database in which the results should be stored."
-    })
-    .default("db-name", "statistics")
-    .option("db-host", {
-        describe: "The host of the MySQL database in which the results should be stored. Defaults to \"localhost\""
-    })
-    .default("db-host", "localhost")
-    .option("db-port", {
-        describe: "The port of the MySQL database in which the results should be stored. Defaults to 3306."
-    })
-    .default("db-port", "3306")
     .option("haproxy-config", {
-        describe: "The path to the HAProxy log file that should be used to collect endpoint statistics."
+        describe: "The path(s) to the HAProxy log file(s) that should be used to collect statistics. Files ending in \".gz\" are decompressed on the fly.",
+        type: "array"
     })
     .default("haproxy-config", "/var/log/haproxy.log")
+    .option("nodes", {
+        describe: "The backend nodes for which node statistics are collected (a server is matched if its name contains the name of a node). The availability command only reports nodes that do not occur in the log if they are given explicitly.",
+        type: "array",
+        // Not a default value, so that the availability collector can tell whether the nodes were given explicitly
+        defaultDescription: DEFAULT_NODES.join(" ")
+    })
     .option("days-ago", {
         describe: "How many days ago was the provided log file created? Defaults to 1."
     })
     .default("days-ago", 1)
+    .option("collectors", {
+        describe: "The collectors that are run by the all and backfill commands. Defaults to all collectors (countries is skipped if the GeoIP database is missing).",
+        type: "array",
+        choices: Object.keys(COLLECTORS)
+    })
+    .option("granularity", {
+        describe: "Size of the time buckets in which requests are aggregated. Statistics per day are labelled using --days-ago, hourly and 5-minute buckets are derived from the timestamps in the log and stored in the \"_timeseries\" tables.",
+        choices: Object.keys(GRANULARITIES)
+    })
+    .default("granularity", "day")
+    .option("routes", {
+        describe: "The path to the route table (JSON) that maps requested paths onto canonical endpoint names (used by the endpoints and statuses commands)."
+    })
+    .default("routes", fileURLToPath(new URL("routes.json", import.meta.url)))
+    .option("user-agent-rules", {
+        describe: "The path to the rule file (JSON) that maps user agents onto sources and client versions (used by the sources and clients commands)."
+    })
+    .default("user-agent-rules", fileURLToPath(new URL("user-agents.json", import.meta.url)))
+    .option("client-id", {
+        describe: "How clients are identified by the clients command: by the /24 (IPv4) or /48 (IPv6) network prefix of their IP address, or by a salted hash of their IP address (see --client-salt). Full IP addresses are never stored.",
+        choices: CLIENT_ID_MODES
+    })
+    .default("client-id", "prefix")
+    .option("client-salt", {
+        describe: "The secret salt that is used to hash the IP addresses of clients (required for \"--client-id hash\"). Use the same salt for every run to be able to follow a client over time."
+    })
+    .option("top-clients", {
+        describe: "How many of the clients that sent the most requests are stored (per day or time bucket) by the clients command."
+    })
+    .default("top-clients", 50)
+    .option("geoip-db", {
+        describe: "The path to the GeoIP database that is used by the countries command: a MaxMind database (.mmdb) or a CSV file with IP ranges (start_ip,end_ip,country_code[,continent_code]). IP addresses are never looked up online."
+    })
+    .default("geoip-db", "/var/lib/GeoIP/GeoLite2-Country.mmdb")
+    .option("countries-per-endpoint", {
+        describe: "Count the requests per country for every endpoint separately (instead of for all endpoints together).",
+        type: "boolean"
+    })
+    .default("countries-per-endpoint", false)
+    .option("session-timeout", {
+        describe: "The maximal amount of minutes between two requests of a client that belong to the same analysis session (used by the sessions command)."
+    })
+    .default("session-timeout", 15)
+    .option("session-paths", {
+        describe: "The prefixes of the paths of the requests that are grouped into analysis sessions by the sessions command.",
+        type: "array"
+    })
+    .default("session-paths", DEFAULT_SESSION_PATHS)
+    .option("incident-gap", {
+        describe: "The minimal amount of minutes in which a node handled no requests while the other nodes did, for a period without traffic to be stored as an incident by the availability command."
+    })
+    .default("incident-gap", 5)
+    .option("incident-min-failures", {
+        describe: "The minimal amount of connection failures or 503 responses of a node per minute (which should also be at least half of its requests) that is stored as an incident by the availability command."
+    })
+    .default("incident-min-failures", 5)
+    .option("security-rules", {
+        describe: "The path to the rule file (JSON) with the scanner paths, allowed methods, rate thresholds and allowlist that are used by the security command."
+    })
+    .default("security-rules", fileURLToPath(new URL("security-rules.json", import.meta.url)))
+    .option("security-client-id", {
+        describe: "How clients are stored (and blocked) by the security command: by their full IP address, or by the /24 (IPv4) or /48 (IPv6) network prefix of their IP address. Full addresses are personal data that stay in the security_events table (and the blocklist) until they are removed, \"prefix\" blocks every client in the network of a flagged client.",
+        choices: SECURITY_CLIENT_ID_MODES
+    })
+    .default("security-client-id", "address")
+    .option("dry-run", {
+        describe: "Do not store anything, but print the rows that would have been written (as JSON, one row per line).",
+        type: "boolean"
+    })
+    .default("dry-run", false)
     .help("help")
     .alias("help", "h")
     .argv;
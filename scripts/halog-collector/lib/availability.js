@@ -0,0 +1,237 @@
+/**
+ * Detection of availability incidents of the backend nodes, based on the requests in the HAProxy log. The log is divided
+ * into minutes and an incident is a period in which a node was unavailable for one of the following causes:
+ *
+ * - "no-traffic": the node did not handle any requests, while the other nodes did (in at least "gapMinutes" different
+ *   minutes), e.g. because HAProxy's health checks marked it as down.
+ * - "connection-failures": HAProxy could not connect to the node (termination state "SC" or "sC") for at least
+ *   "minFailures" requests per minute, which were at least half of the requests of the node in that minute.
+ * - "service-unavailable": the node answered at least "minFailures" requests per minute (and at least half of its
+ *   requests) with a 503 status.
+ * - "no-server": HAProxy answered requests with a 503 status because none of the servers of the backend was available
+ *   (server "<NOSRV>"). These incidents apply to every node that handled requests for that backend. They are skipped
+ *   if none of the nodes handled requests for that backend, since it is then unknown which nodes were affected.
+ *
+ * Minutes in which there is no evidence either way (e.g. no requests at all at night) do not end an incident, but are
+ * never the start or end of one either. An incident thus ends at the end of the last minute in which the node was
+ * unavailable, and the minutes without evidence inside an incident count as downtime (see downtime), whereas those
+ * outside of incidents count as uptime.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+/**
+ * All causes of incidents, in the order in which they are reported.
+ */
+export const INCIDENT_CAUSES = ["no-traffic", "connection-failures", "service-unavailable", "no-server"];
+
+/**
+ * The server name that HAProxy logs for requests that could not be sent to any server.
+ */
+export const NO_SERVER = "<NOSRV>";
+
+// The minimal fraction of the requests of a node in a minute that should have failed for the minute to count as a burst
+// of failures.
+const MIN_FAILURE_RATIO = 0.5;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Determine whether a request shows that a node (or the whole backend) was unavailable.
+ *
+ * @param record A parsed log record.
+ * @returns string The cause (one of INCIDENT_CAUSES, apart from "no-traffic"), or null if the request does not indicate
+ * an incident.
+ */
+export const failureCause = function(record) {
+    if (record.status !== 503 && !/^[sS]C/.test(record.terminationState)) {
+        return null;
+    }
+
+    if (record.server === NO_SERVER) {
+        // Requests that HAProxy could not parse (<BADREQ>) are never sent to a server either.
+        return record.status === 503 ? "no-server" : null;
+    }
+
+    return /^[sS]C/.test(record.terminationState) ? "connection-failures" : "service-unavailable";
+}
+
+/**
+ * Find the periods in which a node was unavailable in a range of minutes.
+ *
+ * @param first The first minute of the range (minutes since the epoch).
+ * @param last The last minute of the range.
+ * @param state A function that maps a minute onto "down", "up" or "unknown".
+ * @param minMinutes The minimal amount of minutes in which the node was down for a period to count as an incident.
+ * @returns {{start: number, end: number, minutes: number[]}[]} The first and last minute of every incident, together
+ * with the minutes in which the node was down.
+ */
+const findDownPeriods = function(first, last, state, minMinutes) {
+    const periods = [];
+    let current = null;
+
+    const close = () => {
+        if (current !== null && current.minutes.length >= minMinutes) {
+            periods.push(current);
+        }
+        current = null;
+    };
+
+    for (let minute = first; minute <= last; minute++) {
+        const minuteState = state(minute);
+
+        if (minuteState === "down") {
+            current = current ?? { start: minute, end: minute, minutes: [] };
+            current.end = minute;
+            current.minutes.push(minute);
+        } else if (minuteState === "up") {
+            close();
+        }
+    }
+
+    close();
+    return periods;
+}
+
+/**
+ * Create a new timeline that keeps track of the requests per node and per minute, from which the incidents of the nodes
+ * can be derived afterwards.
+ *
+ * @returns {{add: function, incidents: function}} Call add(node, record) for every request that was handled by one of
+ * the nodes (node is null for the requests that could not be sent to any server) and incidents() to get the incidents.
+ */
+export const createAvailabilityTimeline = function() {
+    // Node -> minute -> {requests, failures: cause -> count}
+    const nodes = new Map();
+    // Minute -> amount of requests that were handled by any of the nodes
+    const served = new Map();
+    // Backend -> {nodes: Set, minutes: minute -> amount of requests without a server}
+    const backends = new Map();
+    let first = Infinity;
+    let last = -Infinity;
+
+    const backend = (name) => {
+        if (!backends.has(name)) {
+            backends.set(name, { nodes: new Set(), minutes: new Map() });
+        }
+        return backends.get(name);
+    };
+
+    return {
+        add(node, record) {
+            if (!record.acceptDate) {
+                return;
+            }
+
+            const minute = Math.floor(record.acceptDate.getTime() / MINUTE_MS);
+            const cause = failureCause(record);
+            first = Math.min(first, minute);
+            last = Math.max(last, minute);
+
+            if (node === null) {
+                if (cause === "no-server") {
+                    const minutes = backend(record.backend).minutes;
+                    minutes.set(minute, (minutes.get(minute) ?? 0) + 1);
+                }
+                return;
+            }
+
+            backend(record.backend).nodes.add(node);
+            served.set(minute, (served.get(minute) ?? 0) + 1);
+
+            if (!nodes.has(node)) {
+                nodes.set(node, new Map());
+            }
+
+            const minutes = nodes.get(node);
+            if (!minutes.has(minute)) {
+                minutes.set(minute, { requests: 0, failures: new Map() });
+            }
+
+            const stat = minutes.get(minute);
+            stat.requests++;
+            if (cause !== null) {
+                stat.failures.set(cause, (stat.failures.get(cause) ?? 0) + 1);
+            }
+        },
+
+        /**
+         * Derive the incidents of the nodes from the timeline.
+         *
+         * @param expectedNodes Nodes that should have handled requests, even if they do not occur in the log (these
+         *                      are unavailable during the whole timeline if the other nodes handled requests).
+         * @param gapMinutes The minimal amount of minutes without traffic (in which the other nodes did handle requests)
+         *                   of a "no-traffic" incident.
+         * @param minFailures The minimal amount of failed requests per minute for a burst of failures.
+         * @returns {{node: string, cause: string, start: Date, end: Date, requests: number}[]} The incidents, where
+         * "requests" is the amount of failed requests (or for "no-traffic", the amount of requests that were handled by
+         * the other nodes).
+         */
+        incidents(expectedNodes, gapMinutes, minFailures) {
+            const incidents = [];
+
+            for (const node of new Set([...nodes.keys(), ...expectedNodes])) {
+                const minutes = nodes.get(node) ?? new Map();
+                const requests = (minute) => minutes.get(minute)?.requests ?? 0;
+                const failures = (minute, cause) => minutes.get(minute)?.failures.get(cause) ?? 0;
+
+                const report = (cause, periods, count) => {
+                    for (const { start, end, minutes: downMinutes } of periods) {
+                        incidents.push({
+                            node,
+                            cause,
+                            start: new Date(start * MINUTE_MS),
+                            end: new Date((end + 1) * MINUTE_MS),
+                            requests: downMinutes.reduce((total, minute) => total + count(minute), 0)
+                        });
+                    }
+                };
+
+                const others = (minute) => (served.get(minute) ?? 0) - requests(minute);
+                report("no-traffic", findDownPeriods(first, last, minute => {
+                    if (requests(minute) > 0) return "up";
+                    return others(minute) > 0 ? "down" : "unknown";
+                }, gapMinutes), others);
+
+                for (const cause of ["connection-failures", "service-unavailable"]) {
+                    report(cause, findDownPeriods(first, last, minute => {
+                        if (requests(minute) === 0) return "unknown";
+                        const failed = failures(minute, cause);
+                        return failed >= minFailures && failed >= MIN_FAILURE_RATIO * requests(minute) ? "down" : "up";
+                    }, 1), minute => failures(minute, cause));
+                }
+
+                const nodeBackends = [...backends.values()].filter(b => b.nodes.has(node));
+                const withoutServer = (minute) => nodeBackends.reduce((total, b) => total + (b.minutes.get(minute) ?? 0), 0);
+                report("no-server", findDownPeriods(first, last, minute => {
+                    if (withoutServer(minute) > 0) return "down";
+                    return requests(minute) > 0 ? "up" : "unknown";
+                }, 1), withoutServer);
+            }
+
+            return incidents.sort((a, b) => a.node.localeCompare(b.node) || a.start - b.start ||
+                INCIDENT_CAUSES.indexOf(a.cause) - INCIDENT_CAUSES.indexOf(b.cause));
+        }
+    };
+}
+
+/**
+ * Compute how long a node was unavailable, taking into account that incidents with different causes may overlap.
+ *
+ * @param incidents The incidents of a single node.
+ * @returns number The amount of milliseconds that are covered by at least one of the incidents.
+ */
+export const downtime = function(incidents) {
+    let total = 0;
+    let coveredUntil = -Infinity;
+
+    for (const { start, end } of [...incidents].sort((a, b) => a.start - b.start)) {
+        const from = Math.max(start.getTime(), coveredUntil);
+        if (end.getTime() > from) {
+            total += end.getTime() - from;
+            coveredUntil = end.getTime();
+        }
+    }
+
+    return total;
+}
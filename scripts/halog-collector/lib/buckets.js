@@ -0,0 +1,145 @@
+/**
+ * Functions that divide the records of an HAProxy log into time buckets (a day, an hour or 5 minutes) and that prepare
+ * the statistics per bucket for the storage backends (see lib/storage).
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import { parseLogLine } from "../../haproxy-log/parser.js";
+import { readLogLines } from "../../haproxy-log/reader.js";
+import { formatDate } from "./dates.js";
+
+// The length (in minutes) of a time bucket for each of the supported granularities. Statistics with a granularity of
+// "day" are stored in the regular tables, all other granularities are stored in the corresponding "_timeseries" tables.
+export const GRANULARITIES = {
+    "day": 24 * 60,
+    "hour": 60,
+    "5min": 5
+};
+
+/**
+ * Compute the start of the time bucket to which a request that was accepted at the given date belongs. Buckets are
+ * aligned with the local time of the host that runs this script (which is also the timezone of HAProxy's accept date).
+ *
+ * @param date The accept date of the request.
+ * @param granularity One of the keys of GRANULARITIES.
+ * @returns Date The start of the bucket (midnight for a granularity of "day").
+ */
+export const bucketStart = function(date, granularity) {
+    const minutes = GRANULARITIES[granularity];
+    const minuteOfDay = date.getHours() * 60 + date.getMinutes();
+    const bucketMinute = minuteOfDay - minuteOfDay % minutes;
+
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(bucketMinute / 60), bucketMinute % 60);
+}
+
+/**
+ * Iterate over all records in the given log files, together with the bucket to which they belong. Daily statistics for
+ * which a "daysAgo" value is given are all put in a single bucket (null) that is labelled with that date. In all other
+ * cases, the bucket is derived from HAProxy's accept date and records without a valid accept date are skipped.
+ *
+ * @param halogPaths The paths to the HAProxy log files that should be read (these can be gzip-compressed).
+ * @param granularity One of the keys of GRANULARITIES.
+ * @param daysAgo Which date (e.g. how many days ago) does the provided log file belong to? Null if the date of each
+ *                request should be derived from the timestamps in the log file.
+ * @param summary An object in which the amount of lines that were read (linesRead), that could not be parsed
+ *                (linesUnparseable) and that were skipped for lack of an accept date (recordsSkipped) are counted.
+ */
+export const readBucketedRecords = async function*(halogPaths, granularity, daysAgo, summary) {
+    const labelled = granularity === "day" && daysAgo !== null;
+
+    for await (const line of readLogLines(halogPaths)) {
+        summary.linesRead++;
+
+        const record = parseLogLine(line);
+        if (!record) {
+            summary.linesUnparseable++;
+            continue;
+        }
+
+        if (labelled) {
+            yield { record, bucket: null, bucketKey: "day" };
+            continue;
+        }
+
+        if (!record.acceptDate) {
+            summary.recordsSkipped++;
+            continue;
+        }
+
+        const bucket = bucketStart(record.acceptDate, granularity);
+        yield { record, bucket, bucketKey: bucket.getTime() };
+    }
+}
+
+/**
+ * Format a date as "YYYY-MM-DD HH:MM:SS" (in local time), which is how the start of a time bucket is stored in the
+ * "_timeseries" tables.
+ */
+export const formatDateTime = function(date) {
+    const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map(value => String(value).padStart(2, "0"));
+    return `${formatDate(date)} ${time.join(":")}`;
+}
+
+/**
+ * Prepare the change that replaces the statistics that are stored in the given table by the provided rows. For a
+ * granularity of "day", the rows are stored in the table itself and all existing rows for the dates that are covered by
+ * the new rows (or for the date that is "daysAgo" days ago) are removed. For all other granularities, the rows are
+ * written to the "<table>_timeseries" table and all existing rows of the same granularity in the range of buckets that
+ * is covered by the new rows are removed. Processing the same log file twice thus never leads to duplicates.
+ *
+ * @param table The name of the (daily) table in which the statistics should be stored.
+ * @param rows An array of objects that map column names onto values. Each row should also have a "bucket" property
+ *             with the start of its time bucket (null if the rows are labelled with "daysAgo").
+ * @param granularity One of the keys of GRANULARITIES.
+ * @param daysAgo Which date (e.g. how many days ago) do the rows belong to? Only used for a granularity of "day" and
+ *                null if the date of each row should be derived from its bucket instead.
+ * @returns {{change: object, dates: string[]}} The change that should be written to the storage backend (see
+ * lib/storage/index.js), or null if there is nothing to replace, together with the dates (formatted as "YYYY-MM-DD")
+ * for which statistics are replaced.
+ */
+export const prepareStats = function(table, rows, granularity, daysAgo) {
+    let dates;
+    let targetTable = table;
+    let scope = null;
+    let periodColumns;
+
+    if (granularity === "day") {
+        let labelledDate = null;
+        if (daysAgo !== null) {
+            labelledDate = new Date();
+            labelledDate.setDate(labelledDate.getDate() - daysAgo);
+        }
+
+        dates = daysAgo !== null ? [formatDate(labelledDate)] : [...new Set(rows.map(row => formatDate(row.bucket)))].sort();
+        scope = dates.length > 0 ? { dates } : null;
+        periodColumns = (bucket) => ({ date: formatDate(labelledDate || bucket) });
+    } else {
+        const periodMinutes = GRANULARITIES[granularity];
+
+        targetTable = `${table}_timeseries`;
+        dates = [...new Set(rows.map(row => formatDate(row.bucket)))].sort();
+        periodColumns = (bucket) => ({ period_start: formatDateTime(bucket), period_minutes: periodMinutes });
+
+        if (rows.length > 0) {
+            const bucketTimes = rows.map(row => row.bucket.getTime());
+            const firstBucket = new Date(bucketTimes.reduce((a, b) => Math.min(a, b)));
+            const lastBucket = new Date(bucketTimes.reduce((a, b) => Math.max(a, b)));
+
+            scope = { periodMinutes, from: formatDateTime(firstBucket), to: formatDateTime(lastBucket) };
+        }
+    }
+
+    if (scope === null) {
+        return { change: null, dates };
+    }
+
+    return {
+        change: {
+            table: targetTable,
+            scope,
+            rows: rows.map(({ bucket, ...values }) => ({ ...periodColumns(bucket), ...values }))
+        },
+        dates
+    };
+}
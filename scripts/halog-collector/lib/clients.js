@@ -0,0 +1,64 @@
+/**
+ * Helpers to anonymize the IP addresses of the clients of the Unipept API. To respect the privacy of our users (GDPR),
+ * client IP addresses are never stored. Instead, every client is identified by one of the following:
+ *
+ * - "prefix": the network prefix of the address, i.e. the /24 network for IPv4 (e.g. "192.0.2.0/24") or the /48
+ *   network for IPv6 (e.g. "2001:db8:1::/48"). All clients of the same lab or institute typically share a prefix.
+ * - "hash": a salted (HMAC-SHA256) hash of the full address. The same salt should be used for every run, so that a
+ *   client keeps the same identifier across days, and it should be kept secret, since IPv4 addresses can otherwise be
+ *   recovered by brute force.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import crypto from "node:crypto";
+import net from "node:net";
+
+import { ipv6Groups, unmapIPv4 } from "./ip-address.js";
+
+/**
+ * All ways in which a client can be identified.
+ */
+export const CLIENT_ID_MODES = ["prefix", "hash"];
+
+/**
+ * Compute the network prefix of an IP address: the /24 network for IPv4 and the /48 network for IPv6. IPv4 addresses
+ * that are mapped onto IPv6 (e.g. "::ffff:192.0.2.1") are treated as IPv4 addresses.
+ *
+ * @param address The IP address of the client.
+ * @returns string The network prefix in CIDR notation, or null if the address is not a valid IP address.
+ */
+export const networkPrefix = function(address) {
+    const ipv4 = unmapIPv4(address);
+
+    if (net.isIPv4(ipv4)) {
+        return `${ipv4.split(".").slice(0, 3).join(".")}.0/24`;
+    }
+
+    if (net.isIPv6(address)) {
+        return `${ipv6Groups(address).slice(0, 3).map(group => group.toString(16)).join(":")}::/48`;
+    }
+
+    return null;
+}
+
+/**
+ * Create a function that maps the IP address of a client onto an anonymized identifier.
+ *
+ * @param mode One of CLIENT_ID_MODES.
+ * @param salt The secret salt that is used by the "hash" mode.
+ * @returns function A function that maps an IP address onto its identifier (or null for an invalid address).
+ */
+export const createClientAnonymizer = function(mode, salt) {
+    if (mode === "hash") {
+        if (!salt) {
+            throw new Error("A salt is required to hash the IP addresses of clients.");
+        }
+
+        return (address) => net.isIP(address) ?
+            crypto.createHmac("sha256", salt).update(address).digest("hex").substring(0, 16) :
+            null;
+    }
+
+    return networkPrefix;
+}
@@ -0,0 +1,868 @@
+/**
+ * The collectors that summarize the records of an HAProxy log into the statistics tables (see schema/migrations). Each
+ * collector creates an aggregator that is fed every record of the log once and that afterwards returns the rows for
+ * each of its tables.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+
+import { isErrorRecord, requestPath } from "../../haproxy-log/parser.js";
+import { createDistribution, PERCENTILES } from "../../haproxy-log/stats.js";
+import { createAvailabilityTimeline, downtime, NO_SERVER } from "./availability.js";
+import { formatDateTime, GRANULARITIES, prepareStats, readBucketedRecords } from "./buckets.js";
+import { createClientAnonymizer, networkPrefix } from "./clients.js";
+import { openGeoDatabase } from "./geoip.js";
+import { loadRoutes, matchRoute, normalizePath } from "./routes.js";
+import { classifyRequest, clientAnomalies, isAllowlisted, isFailedRequest, loadSecurityRules } from "./security.js";
+import { createSessionTracker } from "./sessions.js";
+import { classifyUserAgent, loadUserAgentRules } from "./user-agents.js";
+
+
+// Only requests that were handled by one of the nodes that are given by "--nodes" are taken into account for the node
+// statistics. A server matches a node if its name contains the name of the node.
+export const DEFAULT_NODES = [
+    "patty",
+    "selma",
+    "rick",
+    "sherlock"
+]
+
+export const isAcceptedNode = function(nodes, serverName) {
+    return nodes.some((n) => serverName.includes(n));
+}
+
+/**
+ * Create a new object that keeps track of the amount of (failed) requests, the distribution of both the total time
+ * (Ta) and the server response time (Tr) of these requests and the amount of bytes that were sent to the clients.
+ */
+export const createRequestStats = function() {
+    return {
+        totalReqCount: 0,
+        badReqCount: 0,
+        totalTime: createDistribution(),
+        serverTime: createDistribution(),
+        bytesTotal: 0,
+        bytesMax: 0
+    };
+}
+
+/**
+ * Add a single log record to a stats object that was created by createRequestStats.
+ */
+export const addRequestStats = function(stat, record) {
+    stat.totalReqCount++;
+
+    if (isErrorRecord(record)) {
+        stat.badReqCount++;
+    }
+
+    stat.totalTime.add(record.ta);
+    stat.serverTime.add(record.tr);
+
+    stat.bytesTotal += record.bytesRead;
+    stat.bytesMax = Math.max(stat.bytesMax, record.bytesRead);
+}
+
+/**
+ * Convert the distributions of the total time (Ta) and server response time (Tr) of a stats object into the columns in
+ * which they are stored (ta_avg, ta_p50, ..., ta_max, tr_avg, ..., tr_max).
+ */
+const timingColumns = function(stat) {
+    const columns = {};
+
+    for (const [timer, distribution] of [["ta", stat.totalTime], ["tr", stat.serverTime]]) {
+        const summary = distribution.summary();
+
+        columns[`${timer}_avg`] = summary.avg;
+        for (const p of PERCENTILES) {
+            columns[`${timer}_p${p}`] = summary[`p${p}`];
+        }
+        columns[`${timer}_max`] = summary.max;
+    }
+
+    return columns;
+}
+
+/**
+ * Convert the amount of bytes that were sent to the clients (HAProxy's "bytes_read" field, which includes the response
+ * headers) into the columns in which they are stored: the total, the average per request and the largest response.
+ * Unlike the response time percentiles, no percentiles are computed for the response sizes: these are hardly ever
+ * identical, so keeping their distribution in memory would not be bounded.
+ */
+const bytesColumns = function(stat) {
+    return {
+        bytes_total: stat.bytesTotal,
+        bytes_avg: stat.totalReqCount > 0 ? stat.bytesTotal / stat.totalReqCount : 0,
+        bytes_max: stat.bytesMax
+    };
+}
+
+/**
+ * Create an aggregator that keeps track of how many times each Unipept API-endpoint has been called (including
+ * successful and failed requests) and how long these calls took (average, percentiles and maximum of both the total
+ * time and the server response time) and how many bytes they sent to the clients (total, average and largest
+ * response). Every requested path is mapped onto a canonical endpoint name (together with the API version and response
+ * format) by the route table. Requests that do not match any route are counted in a single "unmatched" endpoint.
+ *
+ * Every aggregator has an add({record, bucket, bucketKey}) method that processes a single log record (as produced by
+ * readBucketedRecords) and a tables() method that returns the rows for each of the (daily) tables that it fills.
+ *
+ * @param routes The compiled route table that maps raw paths onto canonical endpoints (see lib/routes.js).
+ * @returns object An aggregator that fills the endpoint_stats table.
+ */
+export const createEndpointAggregator = function(routes) {
+    const stats = new Map();
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const { endpoint, version, format } = matchRoute(routes, requestPath(record));
+            const key = `${bucketKey}\t${endpoint}\t${version}\t${format}`;
+
+            if (!stats.has(key)) {
+                stats.set(key, {
+                    bucket,
+                    endpoint,
+                    version,
+                    format,
+                    ...createRequestStats()
+                });
+            }
+
+            addRequestStats(stats.get(key), record);
+        },
+
+        tables() {
+            const rows = [...stats.values()].map(stat => ({
+                bucket: stat.bucket,
+                endpoint: stat.endpoint,
+                api_version: stat.version,
+                format: stat.format,
+                req_successful: stat.totalReqCount - stat.badReqCount,
+                req_error: stat.badReqCount,
+                avg_duration: stat.totalTime.summary().avg,
+                ...timingColumns(stat),
+                ...bytesColumns(stat)
+            }));
+
+            return { endpoint_stats: rows };
+        }
+    };
+}
+
+/**
+ * Create an aggregator that keeps track of how many times each of the different handling nodes has been called and how
+ * long it took to handle these requests (average, percentiles and maximum of the total and server time), as well as how
+ * many bytes these requests sent to the clients (total, average and largest response).
+ *
+ * @param nodes The names of the nodes for which statistics are kept (see isAcceptedNode).
+ * @returns object An aggregator that fills the node_stats table.
+ */
+export const createNodeAggregator = function(nodes) {
+    const stats = new Map();
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const serverName = record.server;
+
+            if (!isAcceptedNode(nodes, serverName)) {
+                return;
+            }
+
+            const key = `${bucketKey}\t${serverName}`;
+
+            if (!stats.has(key)) {
+                stats.set(key, { bucket, serverName, ...createRequestStats() });
+            }
+
+            addRequestStats(stats.get(key), record);
+        },
+
+        tables() {
+            // The (historical) avg_duration of a node is the time it took the server to respond (Tr), not the total
+            // time of the request.
+            const rows = [...stats.values()].map(stat => ({
+                bucket: stat.bucket,
+                node: stat.serverName,
+                req_successful: stat.totalReqCount - stat.badReqCount,
+                req_error: stat.badReqCount,
+                avg_duration: stat.serverTime.summary().avg,
+                ...timingColumns(stat),
+                ...bytesColumns(stat)
+            }));
+
+            return { node_stats: rows };
+        }
+    };
+}
+
+/**
+ * Create an aggregator that detects availability incidents of the backend nodes (periods without traffic while the
+ * other nodes were serving, bursts of connection failures or 503 responses and requests for which no server was
+ * available, see lib/availability.js) and computes the uptime of every node per day or time bucket.
+ *
+ * Only the nodes that handled requests somewhere in the log are expected to handle requests in every bucket, unless
+ * expectAllNodes is set: a node that does not occur in the log at all is then unavailable during the whole bucket (if
+ * the other nodes were serving).
+ *
+ * @param nodes The names of the backend nodes (see "--nodes"). Nodes that do not occur in the log at all are reported
+ *              under this name.
+ * @param gapMinutes The minimal length (in minutes) of a period without traffic that counts as an incident.
+ * @param minFailures The minimal amount of failed requests per minute that counts as a burst of failures.
+ * @param bucketMinutes The length of a day or time bucket, in minutes.
+ * @param expectAllNodes Whether all nodes should handle requests, also those that do not occur in the log (i.e. the
+ *                       nodes were given explicitly). Defaults to false.
+ * @returns object An aggregator that fills the node_incidents and node_uptime tables.
+ */
+export const createAvailabilityAggregator = function(nodes, gapMinutes, minFailures, bucketMinutes, expectAllNodes = false) {
+    // Bucket key -> {bucket, servers: Set of the servers that handled requests, timeline}
+    const buckets = new Map();
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const serverName = record.server;
+
+            if (serverName !== NO_SERVER && !isAcceptedNode(nodes, serverName)) {
+                return;
+            }
+
+            if (!buckets.has(bucketKey)) {
+                buckets.set(bucketKey, { bucket, servers: new Set(), timeline: createAvailabilityTimeline() });
+            }
+
+            const { servers, timeline } = buckets.get(bucketKey);
+
+            if (serverName === NO_SERVER) {
+                timeline.add(null, record);
+            } else {
+                servers.add(serverName);
+                timeline.add(serverName, record);
+            }
+        },
+
+        tables() {
+            const incidentRows = [];
+            const uptimeRows = [];
+            // The servers that handled requests in any of the buckets
+            const seen = new Set([...buckets.values()].flatMap(({ servers }) => [...servers]));
+
+            for (const { bucket, servers, timeline } of buckets.values()) {
+                const missingNodes = expectAllNodes
+                    ? nodes.filter(node => ![...servers].some(server => server.includes(node)))
+                    : [...seen].filter(server => !servers.has(server));
+                const incidents = timeline.incidents(missingNodes, gapMinutes, minFailures);
+
+                incidentRows.push(...incidents.map(incident => ({
+                    bucket,
+                    node: incident.node,
+                    cause: incident.cause,
+                    started_at: formatDateTime(incident.start),
+                    ended_at: formatDateTime(incident.end),
+                    duration_seconds: Math.round((incident.end - incident.start) / 1000),
+                    req_affected: incident.requests
+                })));
+
+                for (const node of [...servers, ...missingNodes].sort()) {
+                    const nodeIncidents = incidents.filter(incident => incident.node === node);
+                    const downtimeSeconds = Math.min(Math.round(downtime(nodeIncidents) / 1000), bucketMinutes * 60);
+
+                    uptimeRows.push({
+                        bucket,
+                        node,
+                        uptime: 100 * (1 - downtimeSeconds / (bucketMinutes * 60)),
+                        downtime_seconds: downtimeSeconds,
+                        incidents: nodeIncidents.length
+                    });
+                }
+            }
+
+            return { node_incidents: incidentRows, node_uptime: uptimeRows };
+        }
+    };
+}
+
+/**
+ * Returns the class of an HTTP status code (e.g. "2xx" or "5xx"). Requests for which HAProxy did not log a valid
+ * status code (e.g. because the connection was aborted before a response was received) are classified as "other".
+ */
+const statusClass = function(status) {
+    return status >= 100 && status <= 599 ? `${Math.floor(status / 100)}xx` : "other";
+}
+
+/**
+ * Create an aggregator that counts how many requests ended with each HTTP status class (2xx, 3xx, 4xx, 5xx) and each
+ * termination state, both per endpoint and per node. Only the first two characters of HAProxy's termination state are
+ * used: the cause of the termination (e.g. "s" for a server-side timeout, "C" for a client abort) and the state of the
+ * session at that time (e.g. "D" during data transfer). Requests that terminated normally have state "--".
+ *
+ * @param routes The compiled route table that maps raw paths onto canonical endpoints (see lib/routes.js).
+ * @param nodes The names of the nodes for which statistics are kept (see isAcceptedNode).
+ * @returns object An aggregator that fills the status_stats table.
+ */
+export const createStatusAggregator = function(routes, nodes) {
+    const stats = new Map();
+
+    const increment = function(bucket, bucketKey, dimension, name, statusClass, terminationState) {
+        const key = `${bucketKey}\t${dimension}\t${name}\t${statusClass}\t${terminationState}`;
+
+        if (!stats.has(key)) {
+            stats.set(key, { bucket, dimension, name, statusClass, terminationState, count: 0 });
+        }
+
+        stats.get(key).count++;
+    }
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const recordClass = statusClass(record.status);
+            const terminationState = record.terminationState.substring(0, 2);
+            const endpoint = matchRoute(routes, requestPath(record)).endpoint;
+
+            increment(bucket, bucketKey, "endpoint", endpoint, recordClass, terminationState);
+
+            if (isAcceptedNode(nodes, record.server)) {
+                increment(bucket, bucketKey, "node", record.server, recordClass, terminationState);
+            }
+        },
+
+        tables() {
+            const rows = [...stats.values()].map(stat => ({
+                bucket: stat.bucket,
+                dimension: stat.dimension,
+                name: stat.name,
+                status_class: stat.statusClass,
+                termination_state: stat.terminationState,
+                req_total: stat.count
+            }));
+
+            return { status_stats: rows };
+        }
+    };
+}
+
+/**
+ * Determine where a request originated from (and which version of the client was used), based on the user agent that
+ * was captured by HAProxy.
+ *
+ * @param userAgentRules The compiled user agent rules (see lib/user-agents.js).
+ * @param record A parsed log record.
+ * @returns {{source: string, version: string}} The source of the request and the version of the client, or null if
+ * HAProxy did not capture any request headers.
+ */
+const classifySource = function(userAgentRules, record) {
+    if (record.requestHeaders.length === 0) {
+        return null;
+    }
+
+    return classifyUserAgent(userAgentRules, record.requestHeaders.join("|"));
+}
+
+/**
+ * Create an aggregator that keeps track of where the requests originated from (e.g. the CLI, the desktop app, a
+ * browser, a bot or a script), as determined by the user agent rules. For the CLI and the desktop app, the requests are
+ * also counted per version of the client. Only requests for which HAProxy captured the user agent are taken into
+ * account.
+ *
+ * @param userAgentRules The compiled user agent rules that map user agents onto sources (see lib/user-agents.js).
+ * @param labelled True if all records belong to a single day that is labelled with "daysAgo". In that case, every
+ *                 source is reported (even if it was not used at all).
+ * @returns object An aggregator that fills the source_stats table.
+ */
+export const createSourceAggregator = function(userAgentRules, labelled) {
+    // Bucket key -> {bucket, counts: "source\tversion" -> {source, version, count}}.
+    const buckets = new Map();
+
+    if (labelled) {
+        buckets.set("day", { bucket: null, counts: new Map() });
+    }
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const classification = classifySource(userAgentRules, record);
+
+            if (classification === null) {
+                return;
+            }
+
+            if (!buckets.has(bucketKey)) {
+                buckets.set(bucketKey, { bucket, counts: new Map() });
+            }
+
+            const { source, version } = classification;
+            const counts = buckets.get(bucketKey).counts;
+            const key = `${source}\t${version}`;
+
+            if (!counts.has(key)) {
+                counts.set(key, { source, version, count: 0 });
+            }
+
+            counts.get(key).count++;
+        },
+
+        tables() {
+            if (buckets.has("day")) {
+                const counts = buckets.get("day").counts;
+                const reported = new Set([...counts.values()].map(stat => stat.source));
+
+                for (const source of userAgentRules.sources.filter(source => !reported.has(source))) {
+                    counts.set(`${source}\t`, { source, version: "", count: 0 });
+                }
+            }
+
+            const rows = [...buckets.values()].flatMap(({ bucket, counts }) => [...counts.values()].map(stat => ({
+                bucket,
+                source: stat.source,
+                version: stat.version,
+                req_total: stat.count
+            })));
+
+            return { source_stats: rows };
+        }
+    };
+}
+
+/**
+ * Create an aggregator that counts how many unique clients called the API, in total, per endpoint and per source
+ * (client_stats). The clients that sent the most requests are ranked in a separate table (top_client_stats), together
+ * with the amount of bytes that were sent to them and the total time (Ta) that was spent on their requests. Clients
+ * are identified by an anonymized version of their IP address (see lib/clients.js), full IP addresses are never stored.
+ *
+ * @param routes The compiled route table that maps raw paths onto canonical endpoints (see lib/routes.js).
+ * @param userAgentRules The compiled user agent rules that map user agents onto sources (see lib/user-agents.js).
+ * @param anonymize A function that maps the IP address of a client onto its anonymized identifier.
+ * @param topClients How many of the clients that sent the most requests should be stored (per day or time bucket)?
+ * @returns object An aggregator that fills the client_stats and top_client_stats tables.
+ */
+export const createClientAggregator = function(routes, userAgentRules, anonymize, topClients) {
+    // Bucket key -> {bucket, unique: dimension -> name -> Set of clients, consumers: client -> totals}
+    const buckets = new Map();
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const client = anonymize(record.clientIp);
+
+            if (client === null) {
+                return;
+            }
+
+            if (!buckets.has(bucketKey)) {
+                buckets.set(bucketKey, { bucket, unique: new Map(), consumers: new Map() });
+            }
+
+            const { unique, consumers } = buckets.get(bucketKey);
+            const dimensions = [
+                ["total", ""],
+                ["endpoint", matchRoute(routes, requestPath(record)).endpoint],
+                ["source", classifySource(userAgentRules, record)?.source ?? null]
+            ];
+
+            for (const [dimension, name] of dimensions) {
+                if (name === null) {
+                    continue;
+                }
+
+                const key = `${dimension}\t${name}`;
+                if (!unique.has(key)) {
+                    unique.set(key, { dimension, name, clients: new Set() });
+                }
+                unique.get(key).clients.add(client);
+            }
+
+            if (!consumers.has(client)) {
+                consumers.set(client, { requests: 0, bytes: 0, time: 0 });
+            }
+
+            const consumer = consumers.get(client);
+            consumer.requests++;
+            consumer.bytes += record.bytesRead;
+            consumer.time += Math.max(record.ta, 0);
+        },
+
+        tables() {
+            const clientRows = [...buckets.values()].flatMap(({ bucket, unique }) => [...unique.values()].map(stat => ({
+                bucket,
+                dimension: stat.dimension,
+                name: stat.name,
+                unique_clients: stat.clients.size
+            })));
+
+            const topRows = [...buckets.values()].flatMap(({ bucket, consumers }) => [...consumers.entries()]
+                .sort(([, a], [, b]) => b.requests - a.requests || b.bytes - a.bytes)
+                .slice(0, topClients)
+                .map(([client, consumer], idx) => ({
+                    bucket,
+                    client,
+                    client_rank: idx + 1,
+                    req_total: consumer.requests,
+                    bytes_total: consumer.bytes,
+                    time_total: consumer.time
+                }))
+            );
+
+            return { client_stats: clientRows, top_client_stats: topRows };
+        }
+    };
+}
+
+/**
+ * Create an aggregator that groups the requests of every (anonymized) client and source to the paths that are used by an
+ * analysis in the web or desktop app (e.g. /mpa/pept2data) into analysis sessions (see lib/sessions.js). The amount of
+ * sessions, their duration, amount of requests and bytes are counted in total and per source. A session belongs to the
+ * day or time bucket in which it started.
+ *
+ * @param userAgentRules The compiled user agent rules that map user agents onto sources (see lib/user-agents.js).
+ * @param anonymize A function that maps the IP address of a client onto its anonymized identifier.
+ * @param paths The prefixes of the paths of the requests that are grouped into sessions.
+ * @param idleTimeout The maximal amount of minutes between two requests of the same session.
+ * @returns object An aggregator that fills the session_stats table.
+ */
+export const createSessionAggregator = function(userAgentRules, anonymize, paths, idleTimeout) {
+    // Bucket key -> "dimension\tname" -> {bucket, dimension, name, duration, requests, bytes}
+    const buckets = new Map();
+
+    const addSession = function(session) {
+        const { bucket, bucketKey, source } = session.first;
+
+        if (!buckets.has(bucketKey)) {
+            buckets.set(bucketKey, new Map());
+        }
+
+        const stats = buckets.get(bucketKey);
+        const dimensions = source === "" ? [["total", ""]] : [["total", ""], ["source", source]];
+
+        for (const [dimension, name] of dimensions) {
+            const key = `${dimension}\t${name}`;
+            if (!stats.has(key)) {
+                stats.set(key, { bucket, dimension, name, duration: createDistribution(), requests: 0, bytes: 0 });
+            }
+
+            const stat = stats.get(key);
+            stat.duration.add(Math.round((session.end - session.start) / 1000));
+            stat.requests += session.requests;
+            stat.bytes += session.bytes;
+        }
+    }
+
+    // Sessions are tracked per client and source ("client\tsource").
+    const sessions = createSessionTracker(idleTimeout * 60 * 1000, addSession);
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const path = normalizePath(requestPath(record));
+
+            if (!record.acceptDate || !paths.some(prefix => path.startsWith(prefix))) {
+                return;
+            }
+
+            const client = anonymize(record.clientIp);
+            if (client === null) {
+                return;
+            }
+
+            const source = classifySource(userAgentRules, record)?.source ?? "";
+            const start = record.acceptDate.getTime();
+
+            sessions.add(`${client}\t${source}`, {
+                start,
+                end: start + Math.max(record.ta, 0),
+                bytes: record.bytesRead,
+                source,
+                bucket,
+                bucketKey
+            });
+        },
+
+        tables() {
+            sessions.flush();
+
+            const rows = [...buckets.values()].flatMap(stats => [...stats.values()].map(stat => {
+                const duration = stat.duration.summary();
+
+                return {
+                    bucket: stat.bucket,
+                    dimension: stat.dimension,
+                    name: stat.name,
+                    sessions: duration.count,
+                    duration_avg: duration.avg,
+                    ...Object.fromEntries(PERCENTILES.map(p => [`duration_p${p}`, duration[`p${p}`]])),
+                    duration_max: duration.max,
+                    req_total: stat.requests,
+                    req_avg: stat.requests / duration.count,
+                    bytes_total: stat.bytes,
+                    bytes_avg: stat.bytes / duration.count
+                };
+            }));
+
+            return { session_stats: rows };
+        }
+    };
+}
+
+/**
+ * Create an aggregator that counts the amount of requests per country and continent of the client, as determined by an
+ * offline GeoIP database. The IP addresses of the clients are never stored.
+ *
+ * @param locate A function that maps the IP address of a client onto its {country, continent} (see lib/geoip.js).
+ * @param routes The compiled route table that maps raw paths onto canonical endpoints (see lib/routes.js), or null if
+ *               the requests should not be counted per endpoint.
+ * @returns object An aggregator that fills the country_stats table.
+ */
+export const createCountryAggregator = function(locate, routes) {
+    const stats = new Map();
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const { country, continent } = locate(record.clientIp);
+            const endpoint = routes ? matchRoute(routes, requestPath(record)).endpoint : "";
+            const key = `${bucketKey}\t${endpoint}\t${country}`;
+
+            if (!stats.has(key)) {
+                stats.set(key, { bucket, endpoint, country, continent, count: 0 });
+            }
+
+            stats.get(key).count++;
+        },
+
+        tables() {
+            const rows = [...stats.values()].map(stat => ({
+                bucket: stat.bucket,
+                endpoint: stat.endpoint,
+                country: stat.country,
+                continent: stat.continent,
+                req_total: stat.count
+            }));
+
+            return { country_stats: rows };
+        }
+    };
+}
+
+// How clients are identified in the security_events table: by their full IP address or, if whole networks should be
+// blocked, by their network prefix (see lib/clients.js). Both can be used in an HAProxy ACL.
+export const SECURITY_CLIENT_ID_MODES = ["address", "prefix"];
+
+/**
+ * Create an aggregator that flags the clients that probed for vulnerabilities, sent malformed requests or had an
+ * abnormal request or error rate (see lib/security.js). Every row of the security_events table describes one kind of
+ * event (category and rule) of one client, together with the amount of requests involved and a sample request.
+ *
+ * @param rules The compiled security rules (see lib/security.js).
+ * @param identify A function that maps the IP address of a client onto the identifier under which it is stored.
+ * @param routes The compiled route table (see lib/routes.js), which is used to report the most requested endpoint of
+ *               clients with an abnormal request or error rate.
+ * @param hours The length of a time bucket, in hours (24 for daily statistics).
+ * @returns object An aggregator that fills the security_events table.
+ */
+export const createSecurityAggregator = function(rules, identify, routes, hours) {
+    // Bucket key -> {bucket, clients: client -> {requests, errors, endpoints: endpoint -> count, events}}
+    const buckets = new Map();
+
+    return {
+        add({ record, bucket, bucketKey }) {
+            const client = identify(record.clientIp);
+
+            if (client === null || isAllowlisted(rules, record.clientIp)) {
+                return;
+            }
+
+            if (!buckets.has(bucketKey)) {
+                buckets.set(bucketKey, { bucket, clients: new Map() });
+            }
+
+            const clients = buckets.get(bucketKey).clients;
+            if (!clients.has(client)) {
+                clients.set(client, { requests: 0, errors: 0, endpoints: new Map(), events: new Map() });
+            }
+
+            const stat = clients.get(client);
+            const failed = isFailedRequest(record);
+            const endpoint = matchRoute(routes, requestPath(record)).endpoint;
+
+            stat.requests++;
+            stat.errors += failed ? 1 : 0;
+            stat.endpoints.set(endpoint, (stat.endpoints.get(endpoint) ?? 0) + 1);
+
+            for (const { category, rule, sample } of classifyRequest(rules, record)) {
+                const key = `${category}\t${rule}`;
+                if (!stat.events.has(key)) {
+                    stat.events.set(key, { category, rule, sample, requests: 0, errors: 0 });
+                }
+
+                const event = stat.events.get(key);
+                event.requests++;
+                event.errors += failed ? 1 : 0;
+            }
+        },
+
+        tables() {
+            const rows = [];
+
+            for (const { bucket, clients } of buckets.values()) {
+                for (const [client, stat] of clients) {
+                    const events = [...stat.events.values()];
+
+                    // The sample of an abnormal request or error rate is the endpoint that the client requested most.
+                    for (const { category, rule } of clientAnomalies(rules, stat.requests, stat.errors, hours)) {
+                        const [topEndpoint] = [...stat.endpoints.entries()].sort(([, a], [, b]) => b - a)[0];
+                        events.push({ category, rule, sample: topEndpoint, requests: stat.requests, errors: stat.errors });
+                    }
+
+                    rows.push(...events.map(event => ({
+                        bucket,
+                        client,
+                        category: event.category,
+                        rule: event.rule,
+                        req_total: event.requests,
+                        req_error: event.errors,
+                        sample: event.sample
+                    })));
+                }
+            }
+
+            return { security_events: rows };
+        }
+    };
+}
+
+/**
+ * Create the function that anonymizes the IP addresses of clients, as configured by "--client-id" and "--client-salt".
+ */
+const clientAnonymizer = function(argv) {
+    try {
+        return createClientAnonymizer(argv.clientId, argv.clientSalt);
+    } catch (err) {
+        console.error(err.message);
+        console.error("Pass a secret salt with --client-salt, or use \"--client-id prefix\" instead.");
+        process.exit(1);
+    }
+}
+
+/**
+ * Open the GeoIP database that is given by "--geoip-db" and create a function that locates IP addresses.
+ */
+const openGeoLocator = async function(argv) {
+    try {
+        return await openGeoDatabase(argv.geoipDb);
+    } catch (err) {
+        console.error(`Could not open the GeoIP database ${argv.geoipDb}.`);
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+// The nodes given by "--nodes" (or in the configuration file), or DEFAULT_NODES if none were given
+const nodeNames = function(argv) {
+    return (argv.nodes ?? DEFAULT_NODES).map(String);
+}
+
+// All collectors that can be run by this script, in the order in which they are run. Each of them maps the parsed
+// command line arguments (and whether all records are labelled with a single date) onto a new aggregator.
+export const COLLECTORS = {
+    "endpoints": (argv) => createEndpointAggregator(loadRoutes(argv.routes)),
+    "nodes": (argv) => createNodeAggregator(nodeNames(argv)),
+    "sources": (argv, labelled) => createSourceAggregator(loadUserAgentRules(argv.userAgentRules), labelled),
+    "statuses": (argv) => createStatusAggregator(loadRoutes(argv.routes), nodeNames(argv)),
+    "clients": (argv) => createClientAggregator(
+        loadRoutes(argv.routes),
+        loadUserAgentRules(argv.userAgentRules),
+        clientAnonymizer(argv),
+        Number.parseInt(argv.topClients)
+    ),
+    "countries": async (argv) => createCountryAggregator(
+        await openGeoLocator(argv),
+        argv.countriesPerEndpoint ? loadRoutes(argv.routes) : null
+    ),
+    "sessions": (argv) => createSessionAggregator(
+        loadUserAgentRules(argv.userAgentRules),
+        clientAnonymizer(argv),
+        argv.sessionPaths.map(String),
+        Number.parseFloat(argv.sessionTimeout)
+    ),
+    "availability": (argv) => createAvailabilityAggregator(
+        nodeNames(argv),
+        Number.parseInt(argv.incidentGap),
+        Number.parseInt(argv.incidentMinFailures),
+        GRANULARITIES[argv.granularity],
+        argv.nodes !== undefined
+    ),
+    "security": (argv) => createSecurityAggregator(
+        loadSecurityRules(argv.securityRules),
+        argv.securityClientId === "prefix" ? networkPrefix : (address) => address,
+        loadRoutes(argv.routes),
+        GRANULARITIES[argv.granularity] / 60
+    )
+};
+
+/**
+ * Read the HAProxy log files once and feed every record to all of the given collectors. Afterwards, the statistics of
+ * all collectors are written to the storage backend at once (in a single transaction for the database backends).
+ *
+ * @param storage The storage backend in which the summarized results should be kept (see lib/storage/index.js).
+ * @param halogPaths The paths to the HAProxy log files that should be analyzed (these can be gzip-compressed).
+ * @param collectors An array of {name, aggregator} objects (see COLLECTORS).
+ * @param daysAgo Which date (e.g. how many days ago) does the provided log file belong to? Defaults to 1. If null, the
+ *                date of each request is derived from the timestamps in the log file.
+ * @param granularity Size of the time buckets in which the requests are aggregated (see GRANULARITIES). Defaults to "day".
+ * @returns Promise<{summary: object, dates: Map<string, string[]>}> A summary of the run (the amount of lines that were
+ * read, could not be parsed or were skipped and the amount of rows that were written per table) and the dates
+ * (formatted as "YYYY-MM-DD") for which each collector replaced statistics.
+ */
+export const runCollectors = async function(storage, halogPaths, collectors, daysAgo = 1, granularity = "day") {
+    const summary = { linesRead: 0, linesUnparseable: 0, recordsSkipped: 0, rowsWritten: {} };
+
+    for await (const entry of readBucketedRecords(halogPaths, granularity, daysAgo, summary)) {
+        for (const { aggregator } of collectors) {
+            aggregator.add(entry);
+        }
+    }
+
+    const changes = [];
+    const dates = new Map();
+
+    for (const { name, aggregator } of collectors) {
+        const collectorDates = new Set();
+
+        for (const [table, rows] of Object.entries(aggregator.tables())) {
+            const prepared = prepareStats(table, rows, granularity, daysAgo);
+            prepared.dates.forEach(date => collectorDates.add(date));
+
+            if (prepared.change !== null) {
+                changes.push(prepared.change);
+                summary.rowsWritten[prepared.change.table] = prepared.change.rows.length;
+            }
+        }
+
+        dates.set(name, [...collectorDates].sort());
+    }
+
+    try {
+        await storage.write(changes);
+    } catch (err) {
+        console.error(`Error while inserting data into ${storage.description}.`);
+        console.error(err);
+        process.exit(3);
+    }
+
+    return { summary, dates };
+}
+
+/**
+ * Determine which collectors should be run by the "all" and "backfill" commands: those given by "--collectors", or all
+ * collectors otherwise. Without an explicit selection, the countries collector is skipped if no GeoIP database is
+ * available.
+ */
+export const selectCollectors = function(argv) {
+    if (argv.collectors) {
+        return Object.keys(COLLECTORS).filter(name => argv.collectors.includes(name));
+    }
+
+    return Object.keys(COLLECTORS).filter(name => {
+        if (name === "countries" && !fs.existsSync(argv.geoipDb)) {
+            console.log(`countries: skipped (GeoIP database ${argv.geoipDb} not found).`);
+            return false;
+        }
+
+        return true;
+    });
+}
@@ -0,0 +1,70 @@
+/**
+ * Reading and writing of CSV files (RFC 4180), as used by the CSV storage backend and the CSV reports.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+/**
+ * Quote a single CSV value if it contains a separator, a quote or a newline (RFC 4180).
+ */
+const formatCsvValue = function(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Parse the contents of a CSV file (as written by formatCsv) into an array of objects, using the first line as header.
+ */
+export const parseCsv = function(content) {
+    const records = [];
+    let record = [];
+    let value = "";
+    let quoted = false;
+
+    for (let idx = 0; idx < content.length; idx++) {
+        const char = content[idx];
+
+        if (quoted) {
+            if (char === "\"" && content[idx + 1] === "\"") {
+                value += "\"";
+                idx++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(value);
+            value = "";
+        } else if (char === "\n") {
+            record.push(value.replace(/\r$/, ""));
+            records.push(record);
+            record = [];
+            value = "";
+        } else {
+            value += char;
+        }
+    }
+
+    if (value !== "" || record.length > 0) {
+        record.push(value);
+        records.push(record);
+    }
+
+    const [header = [], ...rows] = records;
+    return rows.map(row => Object.fromEntries(header.map((column, idx) => [column, row[idx]])));
+}
+
+/**
+ * Format a list of rows as CSV, with a header line that lists the given columns.
+ *
+ * @param columns The names of the columns that should be written (in this order).
+ * @param rows An array of objects that map column names onto values.
+ * @returns string The CSV contents (every line, including the last one, ends with a newline).
+ */
+export const formatCsv = function(columns, rows) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(line => line.map(formatCsvValue).join(",")).join("\n") + "\n";
+}
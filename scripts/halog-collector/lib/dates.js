@@ -0,0 +1,42 @@
+/**
+ * Helpers for the "YYYY-MM-DD" dates in which the daily statistics are stored. All dates are interpreted in the local
+ * time of the host (which is also the timezone of HAProxy's accept date).
+ *
+ * @author Pieter Verschaffelt
+ */
+
+/**
+ * Format a date as "YYYY-MM-DD" (in local time), which is how dates are stored in the daily tables.
+ */
+export const formatDate = function(date) {
+    const month = String(date.getMonth() + 1).padStart(2, "0");
+    const day = String(date.getDate()).padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" date into a Date at midnight (in local time).
+ *
+ * @param value The date that should be parsed.
+ * @returns Date The parsed date, or null if the value is not a valid date.
+ */
+export const parseDate = function(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? "");
+
+    if (!match) {
+        return null;
+    }
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(year, month - 1, day);
+
+    // Dates such as "2024-02-30" silently overflow into the next month.
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * Returns the Monday of the week to which the given date belongs (weeks start on Monday).
+ */
+export const startOfWeek = function(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - (date.getDay() + 6) % 7);
+}
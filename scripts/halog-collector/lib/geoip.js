@@ -0,0 +1,155 @@
+/**
+ * Offline GeoIP lookups: the IP addresses of clients are resolved against a database file on disk, no network lookups
+ * are ever performed. Two kinds of database files are supported:
+ *
+ * - A MaxMind database (e.g. GeoLite2-Country.mmdb or GeoLite2-City.mmdb). Reading these files requires the optional
+ *   "maxmind" package, which is only loaded when such a file is used.
+ * - A CSV file with IP ranges, in which every line has the form "start_ip,end_ip,country_code[,continent_code]" (e.g.
+ *   the free "IP to Country Lite" database of DB-IP). Both IPv4 and IPv6 ranges are supported. If the continent is
+ *   missing, it is derived from the country code.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+import net from "node:net";
+import readline from "node:readline";
+
+import { ipToNumber } from "./ip-address.js";
+
+/**
+ * The country and continent under which all clients are counted that cannot be located.
+ */
+export const UNKNOWN_LOCATION = { country: "unknown", continent: "unknown" };
+
+// Continent code -> ISO 3166-1 alpha-2 codes of all countries on that continent (following GeoNames).
+const CONTINENT_COUNTRIES = {
+    AF: "AO BF BI BJ BW CD CF CG CI CM CV DJ DZ EG EH ER ET GA GH GM GN GQ GW KE KM LR LS LY MA MG ML MR MU MW MZ NA " +
+        "NE NG RE RW SC SD SH SL SN SO SS ST SZ TD TG TN TZ UG YT ZA ZM ZW",
+    AN: "AQ BV GS HM TF",
+    AS: "AE AF AM AZ BD BH BN BT CC CN CX GE HK ID IL IN IO IQ IR JO JP KG KH KP KR KW KZ LA LB LK MM MN MO MV MY NP " +
+        "OM PH PK PS QA SA SG SY TH TJ TL TM TR TW UZ VN YE",
+    EU: "AD AL AT AX BA BE BG BY CH CY CZ DE DK EE ES FI FO FR GB GG GI GR HR HU IE IM IS IT JE LI LT LU LV MC MD ME " +
+        "MK MT NL NO PL PT RO RS RU SE SI SJ SK SM UA VA XK",
+    NA: "AG AI AW BB BL BM BQ BS BZ CA CR CU CW DM DO GD GL GP GT HN HT JM KN KY LC MF MQ MS MX NI PA PM PR SV SX TC " +
+        "TT US VC VG VI",
+    OC: "AS AU CK FJ FM GU KI MH MP NC NF NR NU NZ PF PG PN PW SB TK TO TV UM VU WF WS",
+    SA: "AR BO BR CL CO EC FK GF GY PE PY SR UY VE"
+};
+
+const COUNTRY_CONTINENTS = new Map(Object.entries(CONTINENT_COUNTRIES).flatMap(
+    ([continent, countries]) => countries.split(" ").map(country => [country, continent])
+));
+
+/**
+ * Look up the continent of a country.
+ *
+ * @param country An ISO 3166-1 alpha-2 country code (e.g. "BE").
+ * @returns string The code of the continent (AF, AN, AS, EU, NA, OC or SA), or "unknown".
+ */
+export const continentOf = function(country) {
+    return COUNTRY_CONTINENTS.get(country.toUpperCase()) ?? UNKNOWN_LOCATION.continent;
+}
+
+/**
+ * Read a CSV file with IP ranges into two sorted lists of ranges (one for IPv4 and one for IPv6).
+ */
+const loadCsvRanges = async function(csvPath) {
+    const ranges = { 4: [], 6: [] };
+    const lineReader = readline.createInterface({ input: fs.createReadStream(csvPath), crlfDelay: Infinity });
+
+    for await (const line of lineReader) {
+        const [start, end, country, continent] = line.split(",").map(value => value.trim().replace(/^"|"$/g, ""));
+        const startIp = ipToNumber(start ?? "");
+        const endIp = ipToNumber(end ?? "");
+
+        // Header lines, comments and malformed lines are skipped.
+        if (!startIp || !endIp || startIp.version !== endIp.version || !country) {
+            continue;
+        }
+
+        ranges[startIp.version].push({
+            start: startIp.value,
+            end: endIp.value,
+            country: country.toUpperCase(),
+            continent: continent ? continent.toUpperCase() : continentOf(country)
+        });
+    }
+
+    for (const list of Object.values(ranges)) {
+        list.sort((a, b) => a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+    }
+
+    return ranges;
+}
+
+/**
+ * Find the range that contains the given IP address with a binary search.
+ */
+const findRange = function(ranges, ip) {
+    let low = 0;
+    let high = ranges.length - 1;
+
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+
+        if (ip.value < ranges[mid].start) {
+            high = mid - 1;
+        } else if (ip.value > ranges[mid].end) {
+            low = mid + 1;
+        } else {
+            return ranges[mid];
+        }
+    }
+
+    return null;
+}
+
+const openMaxMindDatabase = async function(mmdbPath) {
+    let maxmind;
+    try {
+        maxmind = (await import("maxmind")).default;
+    } catch (err) {
+        throw new Error("Reading MaxMind databases requires the optional \"maxmind\" package (npm install maxmind).");
+    }
+
+    const reader = await maxmind.open(mmdbPath, { watchForUpdates: false });
+
+    return (address) => {
+        const result = net.isIP(address) ? reader.get(address) : null;
+        const country = result?.country?.iso_code ?? result?.registered_country?.iso_code;
+
+        if (!country) {
+            return UNKNOWN_LOCATION;
+        }
+
+        return { country, continent: result.continent?.code ?? continentOf(country) };
+    };
+}
+
+const openCsvDatabase = async function(csvPath) {
+    const ranges = await loadCsvRanges(csvPath);
+
+    return (address) => {
+        const ip = ipToNumber(address);
+        const range = ip ? findRange(ranges[ip.version], ip) : null;
+
+        return range ? { country: range.country, continent: range.continent } : UNKNOWN_LOCATION;
+    };
+}
+
+/**
+ * Open a GeoIP database file and create a function that locates IP addresses. Files ending in ".mmdb" are read as
+ * MaxMind databases, all other files are read as CSV files with IP ranges.
+ *
+ * @param databasePath Path to the GeoIP database file.
+ * @returns Promise<function> A function that maps an IP address onto {country, continent}. Addresses that cannot be
+ * located are mapped onto UNKNOWN_LOCATION.
+ */
+export const openGeoDatabase = async function(databasePath) {
+    if (databasePath.endsWith(".mmdb")) {
+        return openMaxMindDatabase(databasePath);
+    }
+
+    return openCsvDatabase(databasePath);
+}
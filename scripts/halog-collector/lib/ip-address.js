@@ -0,0 +1,107 @@
+/**
+ * Helpers for working with the (IPv4 and IPv6) addresses of clients.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import net from "node:net";
+
+/**
+ * Returns the IPv4 address that is embedded in an IPv4-mapped IPv6 address (e.g. "::ffff:192.0.2.1"), or the address
+ * itself for all other addresses.
+ */
+export const unmapIPv4 = function(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped ? mapped[1] : address;
+}
+
+/**
+ * Expand an IPv6 address (possibly containing "::", an embedded IPv4 address or a zone index) into its 8 groups of 16
+ * bits.
+ *
+ * @param address A valid IPv6 address.
+ * @returns number[] The 8 groups of the address.
+ */
+export const ipv6Groups = function(address) {
+    let normalized = address.replace(/%.*$/, "");
+
+    const embedded = /(\d+\.\d+\.\d+\.\d+)$/.exec(normalized);
+    if (embedded) {
+        const [a, b, c, d] = embedded[1].split(".").map(Number);
+        normalized = normalized.slice(0, embedded.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = normalized.split("::");
+    const headGroups = head ? head.split(":") : [];
+    const tailGroups = tail ? tail.split(":") : [];
+    const missing = tail !== undefined ? 8 - headGroups.length - tailGroups.length : 0;
+
+    return [...headGroups, ...Array(missing).fill("0"), ...tailGroups].map(group => Number.parseInt(group, 16));
+}
+
+/**
+ * Convert an IP address into a number (IPv4) or a BigInt (IPv6), so that addresses can be compared with each other.
+ * IPv4-mapped IPv6 addresses are converted as IPv4 addresses.
+ *
+ * @param address The IP address that should be converted.
+ * @returns {{version: number, value: number|bigint}} The IP version and the numeric value, or null if the address is
+ * not valid.
+ */
+export const ipToNumber = function(address) {
+    const ipv4 = unmapIPv4(address);
+
+    if (net.isIPv4(ipv4)) {
+        return { version: 4, value: ipv4.split(".").reduce((value, octet) => value * 256 + Number(octet), 0) };
+    }
+
+    if (!net.isIPv6(address)) {
+        return null;
+    }
+
+    return { version: 6, value: ipv6Groups(address).reduce((value, group) => (value << 16n) + BigInt(group), 0n) };
+}
+
+/**
+ * Parse a network in CIDR notation (e.g. "192.0.2.0/24" or "2001:db8::/32"). A single address (without prefix length)
+ * is treated as a network that only contains that address.
+ *
+ * @param network The network that should be parsed.
+ * @returns {{version: number, value: number|bigint, prefixLength: number}} The IP version, the numeric value of the
+ * network address and the prefix length, or null if the network is not valid.
+ */
+export const parseNetwork = function(network) {
+    const [address, prefix] = network.split("/");
+    const parsed = ipToNumber(address);
+
+    if (parsed === null) {
+        return null;
+    }
+
+    const maxLength = parsed.version === 4 ? 32 : 128;
+    const prefixLength = prefix === undefined ? maxLength : Number(prefix);
+
+    if (!Number.isInteger(prefixLength) || prefixLength < 0 || prefixLength > maxLength) {
+        return null;
+    }
+
+    return { ...parsed, prefixLength };
+}
+
+/**
+ * Check whether an IP address belongs to a network (as returned by parseNetwork).
+ */
+export const inNetwork = function(network, address) {
+    const parsed = ipToNumber(address);
+
+    if (parsed === null || parsed.version !== network.version) {
+        return false;
+    }
+
+    if (parsed.version === 4) {
+        const size = 2 ** (32 - network.prefixLength);
+        return Math.floor(parsed.value / size) === Math.floor(network.value / size);
+    }
+
+    const shift = BigInt(128 - network.prefixLength);
+    return parsed.value >> shift === network.value >> shift;
+}
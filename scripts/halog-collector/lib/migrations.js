@@ -0,0 +1,165 @@
+/**
+ * Versioned schema migrations for the statistics database. Every migration lives in its own module in the
+ * "schema/migrations" directory. The file name of a migration starts with its version number (e.g.
+ * "003-date-columns-and-unique-keys.js") and the module exports an async "up" function that receives a (promise-based)
+ * MySQL connection. The versions of all migrations that have been applied are tracked in the "schema_migrations" table.
+ *
+ * Note that MySQL implicitly commits DDL statements, so migrations cannot be rolled back automatically. Every migration
+ * should therefore be written in such a way that it can safely be re-run if it was interrupted halfway.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const MIGRATIONS_DIR = fileURLToPath(new URL("../schema/migrations", import.meta.url));
+
+/**
+ * Check whether the given table exists in the current database.
+ */
+export const tableExists = async function(db, table) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) AS count FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name = ?;`,
+        [table]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * Check whether the given column exists in a table of the current database.
+ */
+export const columnExists = async function(db, table, column) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) AS count FROM information_schema.columns WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?;`,
+        [table, column]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * Check whether an index with the given name exists on a table of the current database.
+ */
+export const indexExists = async function(db, table, index) {
+    const [rows] = await db.query(
+        `SELECT COUNT(*) AS count FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = ? AND index_name = ?;`,
+        [table, index]
+    );
+    return rows[0].count > 0;
+}
+
+/**
+ * Create a daily statistics table and its "_timeseries" counterpart (if they do not exist yet). Both have an
+ * auto-incremented id, the given columns and a unique index on the date (or time bucket) and key columns, which the
+ * collector needs to upsert its results.
+ *
+ * @param db A promise-based MySQL connection.
+ * @param table The name of the daily table.
+ * @param columns The definitions of all columns apart from the id, date and time bucket (e.g. "node VARCHAR(255)").
+ * @param keyColumns The names of the columns that identify a row within a day or time bucket.
+ */
+export const createStatisticsTables = async function(db, table, columns, keyColumns) {
+    const variants = [
+        [table, ["date DATE NOT NULL"], ["date"]],
+        [
+            `${table}_timeseries`,
+            ["period_start DATETIME NOT NULL", "period_minutes INTEGER NOT NULL"],
+            ["period_minutes", "period_start"]
+        ]
+    ];
+
+    for (const [name, periodColumns, periodKey] of variants) {
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS ${name} (
+                id INTEGER NOT NULL AUTO_INCREMENT,
+                ${[...periodColumns, ...columns].join(",\n")},
+                PRIMARY KEY (id),
+                UNIQUE INDEX uq_${name} (${[...periodKey, ...keyColumns].join(", ")})
+            );
+        `);
+    }
+}
+
+/**
+ * Load all migrations from the migrations directory, sorted by version.
+ *
+ * @returns Promise<{version: number, name: string, up: function}[]>
+ */
+export const loadMigrations = async function() {
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => /^\d+-.*\.js$/.test(file));
+    const migrations = [];
+
+    for (const file of files) {
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        migrations.push({
+            version: Number.parseInt(file),
+            name: path.basename(file, ".js"),
+            up: module.up
+        });
+    }
+
+    return migrations.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Retrieve the versions of all migrations that have already been applied to the current database.
+ *
+ * @param db A promise-based MySQL connection.
+ * @param create Should the schema_migrations table be created if it does not exist yet?
+ * @returns Promise<Set<number>>
+ */
+const appliedVersions = async function(db, create) {
+    if (!create && !(await tableExists(db, "schema_migrations"))) {
+        return new Set();
+    }
+
+    await db.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (version)
+        );`
+    );
+
+    const [rows] = await db.query(`SELECT version FROM schema_migrations;`);
+    return new Set(rows.map(row => row.version));
+}
+
+/**
+ * Apply all migrations that have not yet been applied to the current database, in order of their version.
+ *
+ * @param db A promise-based MySQL connection to the database that should be migrated.
+ * @returns Promise<string[]> The names of the migrations that have been applied.
+ */
+export const migrate = async function(db) {
+    const applied = await appliedVersions(db, true);
+    const names = [];
+
+    for (const migration of await loadMigrations()) {
+        if (applied.has(migration.version)) {
+            continue;
+        }
+
+        await migration.up(db);
+        await db.query(
+            `INSERT INTO schema_migrations (version, name) VALUES (?, ?);`,
+            [migration.version, migration.name]
+        );
+        names.push(migration.name);
+    }
+
+    return names;
+}
+
+/**
+ * Retrieve the names of all migrations that have not yet been applied to the current database.
+ *
+ * @param db A promise-based MySQL connection.
+ * @returns Promise<string[]>
+ */
+export const pendingMigrations = async function(db) {
+    const applied = await appliedVersions(db, false);
+    return (await loadMigrations()).filter(m => !applied.has(m.version)).map(m => m.name);
+}
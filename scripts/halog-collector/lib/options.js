@@ -0,0 +1,53 @@
+/**
+ * Command line options that are shared by all scripts of the collector that access the statistics: the settings of the
+ * MySQL database and the selection of the storage backend (see lib/storage).
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import { STORAGE_TYPES } from "./storage/index.js";
+
+/**
+ * Add the database and storage options to a yargs instance.
+ *
+ * @param yargs The yargs instance to which the options should be added.
+ * @returns The same yargs instance, so that calls can be chained.
+ */
+export const storageOptions = function(yargs) {
+    return yargs
+        .option("db-user", {
+            alias: "u",
+            describe: "The username that should be used to connect to the MySQL database.",
+        })
+        .default("db-user", "root")
+        .option("db-password", {
+            alias: "p",
+            describe: "The password that should be used to connect to the MySQL database.",
+        })
+        .default("db-password", "")
+        .option("db-name", {
+            describe: "The name of the MySQL database in which the results should be stored."
+        })
+        .default("db-name", "statistics")
+        .option("db-host", {
+            describe: "The host of the MySQL database in which the results should be stored. Defaults to \"localhost\""
+        })
+        .default("db-host", "localhost")
+        .option("db-port", {
+            describe: "The port of the MySQL database in which the results should be stored. Defaults to 3306."
+        })
+        .default("db-port", "3306")
+        .option("storage", {
+            describe: "The backend in which the statistics should be stored: a MySQL database, a local SQLite file (see --sqlite-file) or one JSON / CSV file per table (see --output-dir).",
+            choices: STORAGE_TYPES
+        })
+        .default("storage", "mysql")
+        .option("sqlite-file", {
+            describe: "The path to the SQLite database file that is used by \"--storage sqlite\". The file (and its tables) are created if they do not exist yet."
+        })
+        .default("sqlite-file", "statistics.sqlite")
+        .option("output-dir", {
+            describe: "The directory in which \"--storage json\" and \"--storage csv\" write their files."
+        })
+        .default("output-dir", ".");
+}
@@ -0,0 +1,295 @@
+/**
+ * Usage reports that summarize the statistics of a period (e.g. a week or a month) and compare them with the previous
+ * period of the same length. The reports are built from the daily endpoint_stats, node_stats, source_stats and
+ * session_stats tables of a storage backend (see lib/storage) and can be formatted as Markdown, CSV or JSON.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import { formatCsv } from "./csv.js";
+import { parseDate } from "./dates.js";
+
+/**
+ * All formats in which a report can be produced.
+ */
+export const REPORT_FORMATS = ["markdown", "csv", "json"];
+
+/**
+ * Compute the relative change (in percent) between two values, rounded to one decimal.
+ *
+ * @returns number The change in percent, or null if there is no previous value to compare with.
+ */
+const percentChange = function(current, previous) {
+    if (!previous) {
+        return null;
+    }
+
+    return round((current - previous) / previous * 100);
+}
+
+const round = function(value, decimals = 1) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+const percentage = function(part, total) {
+    return total > 0 ? round(part / total * 100) : 0;
+}
+
+/**
+ * Sum the requests (and failed requests, bytes and time spent) of a list of endpoint_stats or node_stats rows per value
+ * of the given column.
+ *
+ * @returns Map<string, object> Name -> {requests, errors, bytes, duration}.
+ */
+const sumRequests = function(rows, column) {
+    const totals = new Map();
+
+    for (const row of rows) {
+        const name = row[column];
+        const requests = row.req_successful + row.req_error;
+
+        if (!totals.has(name)) {
+            totals.set(name, { requests: 0, errors: 0, bytes: 0, duration: 0 });
+        }
+
+        const total = totals.get(name);
+        total.requests += requests;
+        total.errors += row.req_error;
+        total.bytes += row.bytes_total ?? 0;
+        total.duration += (row.avg_duration ?? 0) * requests;
+    }
+
+    return totals;
+}
+
+/**
+ * Sum the requests of a list of source_stats rows per source (over all versions of the clients).
+ *
+ * @returns Map<string, object> Source -> {requests}.
+ */
+const sumSources = function(rows) {
+    const totals = new Map();
+
+    for (const row of rows) {
+        totals.set(row.source, { requests: (totals.get(row.source)?.requests ?? 0) + row.req_total });
+    }
+
+    return totals;
+}
+
+/**
+ * Combine the totals of the current and the previous period into the rows of a report section, sorted by the amount of
+ * requests in the current period.
+ */
+const compareTotals = function(current, previous, withErrors) {
+    const requestsTotal = [...current.values()].reduce((sum, total) => sum + total.requests, 0);
+
+    return [...current.entries()]
+        .sort(([, a], [, b]) => b.requests - a.requests)
+        .map(([name, total]) => {
+            const previousRequests = previous.get(name)?.requests ?? 0;
+
+            return {
+                name,
+                requests: total.requests,
+                previous_requests: previousRequests,
+                share: percentage(total.requests, requestsTotal),
+                ...(withErrors ? { error_rate: percentage(total.errors, total.requests) } : {}),
+                change: percentChange(total.requests, previousRequests)
+            };
+        });
+}
+
+/**
+ * Compute the overall totals of a period from its endpoint_stats rows.
+ */
+const periodTotals = function(endpointRows) {
+    const total = { requests: 0, errors: 0, bytes: 0, duration: 0 };
+
+    for (const endpoint of sumRequests(endpointRows, "endpoint").values()) {
+        total.requests += endpoint.requests;
+        total.errors += endpoint.errors;
+        total.bytes += endpoint.bytes;
+        total.duration += endpoint.duration;
+    }
+
+    return {
+        requests: total.requests,
+        failed_requests: total.errors,
+        error_rate: percentage(total.errors, total.requests),
+        bytes_sent: total.bytes,
+        avg_duration: total.requests > 0 ? round(total.duration / total.requests) : 0
+    };
+}
+
+/**
+ * Compute the amount of analyses (i.e. analysis sessions, see lib/sessions.js) of a period from its session_stats rows,
+ * in total and per day.
+ */
+const sessionTotals = function(sessionRows, from, to) {
+    const days = Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000)) + 1;
+    const analyses = sessionRows
+        .filter(row => row.dimension === "total")
+        .reduce((total, row) => total + row.sessions, 0);
+
+    return { analyses, analyses_per_day: round(analyses / days) };
+}
+
+/**
+ * Build a usage report for the given period.
+ *
+ * @param storage An opened storage backend from which the daily statistics are read (see lib/storage/index.js).
+ * @param period A description of the period: {name (e.g. "month"), from, to, previous: {from, to}}, in which all dates
+ *               are formatted as "YYYY-MM-DD".
+ * @param topEndpoints How many of the most requested endpoints should be listed in the report?
+ * @returns Promise<object> The report: the period, the totals (with their values in the previous period and the
+ * relative change), the top endpoints, the load of every node and the requests per source.
+ */
+export const buildReport = async function(storage, period, topEndpoints) {
+    const read = async (table) => [
+        await storage.read(table, period.from, period.to),
+        await storage.read(table, period.previous.from, period.previous.to)
+    ];
+
+    const [endpointRows, previousEndpointRows] = await read("endpoint_stats");
+    const [nodeRows, previousNodeRows] = await read("node_stats");
+    const [sourceRows, previousSourceRows] = await read("source_stats");
+    const [sessionRows, previousSessionRows] = await read("session_stats");
+
+    const currentTotals = { ...periodTotals(endpointRows), ...sessionTotals(sessionRows, period.from, period.to) };
+    const previousTotals = {
+        ...periodTotals(previousEndpointRows),
+        ...sessionTotals(previousSessionRows, period.previous.from, period.previous.to)
+    };
+
+    const totals = Object.keys(currentTotals).map(metric => ({
+        metric,
+        value: currentTotals[metric],
+        previous: previousTotals[metric],
+        change: percentChange(currentTotals[metric], previousTotals[metric])
+    }));
+
+    return {
+        period: period.name,
+        from: period.from,
+        to: period.to,
+        previous: { from: period.previous.from, to: period.previous.to },
+        totals,
+        endpoints: compareTotals(sumRequests(endpointRows, "endpoint"), sumRequests(previousEndpointRows, "endpoint"), true)
+            .slice(0, topEndpoints),
+        nodes: compareTotals(sumRequests(nodeRows, "node"), sumRequests(previousNodeRows, "node"), true),
+        sources: compareTotals(sumSources(sourceRows), sumSources(previousSourceRows), false)
+    };
+}
+
+const TOTAL_LABELS = {
+    requests: "Requests",
+    failed_requests: "Failed requests",
+    error_rate: "Error rate (%)",
+    bytes_sent: "Bytes sent",
+    avg_duration: "Average duration (ms)",
+    analyses: "Analyses (MPA sessions)",
+    analyses_per_day: "Analyses per day"
+};
+
+const formatNumber = function(value) {
+    return value.toLocaleString("en-US", { maximumFractionDigits: 1 });
+}
+
+const formatChange = function(change) {
+    if (change === null) {
+        return "n/a";
+    }
+
+    return `${change > 0 ? "+" : ""}${formatNumber(change)}%`;
+}
+
+const markdownTable = function(header, rows) {
+    const alignment = header.map((_, idx) => idx === 0 ? "---" : "---:");
+    return [header, alignment, ...rows].map(cells => `| ${cells.join(" | ")} |`).join("\n");
+}
+
+const formatMarkdown = function(report) {
+    const section = (title, table) => `## ${title}\n\n${table}\n`;
+    const namedRows = (rows, withErrors) => rows.map(row => [
+        row.name,
+        formatNumber(row.requests),
+        `${formatNumber(row.share)}%`,
+        ...(withErrors ? [`${formatNumber(row.error_rate)}%`] : []),
+        formatChange(row.change)
+    ]);
+
+    return [
+        `# Unipept API usage report (${report.period} ${report.from} to ${report.to})\n`,
+        `All changes are relative to the previous ${report.period} (${report.previous.from} to ${report.previous.to}).\n`,
+        section("Totals", markdownTable(
+            ["Metric", "This period", "Previous period", "Change"],
+            report.totals.map(total => [
+                TOTAL_LABELS[total.metric],
+                formatNumber(total.value),
+                formatNumber(total.previous),
+                formatChange(total.change)
+            ])
+        )),
+        section("Top endpoints", markdownTable(
+            ["Endpoint", "Requests", "Share", "Error rate", "Change"],
+            namedRows(report.endpoints, true)
+        )),
+        section("Node load", markdownTable(
+            ["Node", "Requests", "Share", "Error rate", "Change"],
+            namedRows(report.nodes, true)
+        )),
+        section("Sources", markdownTable(
+            ["Source", "Requests", "Share", "Change"],
+            namedRows(report.sources, false)
+        ))
+    ].join("\n");
+}
+
+/**
+ * Format a report as a single CSV table, in which every line belongs to one of the sections of the report (totals,
+ * endpoints, nodes or sources).
+ */
+const formatReportCsv = function(report) {
+    const rows = [
+        ...report.totals.map(total => ({
+            section: "totals",
+            name: total.metric,
+            value: total.value,
+            previous: total.previous,
+            change: total.change
+        })),
+        ...["endpoints", "nodes", "sources"].flatMap(section => report[section].map(row => ({
+            section,
+            name: row.name,
+            value: row.requests,
+            previous: row.previous_requests,
+            share: row.share,
+            error_rate: row.error_rate,
+            change: row.change
+        })))
+    ];
+
+    return formatCsv(["section", "name", "value", "previous", "share", "error_rate", "change"], rows);
+}
+
+/**
+ * Format a report that was built by buildReport.
+ *
+ * @param report The report that should be formatted.
+ * @param format One of REPORT_FORMATS.
+ * @returns string The formatted report.
+ */
+export const formatReport = function(report, format) {
+    switch (format) {
+        case "markdown":
+            return formatMarkdown(report);
+        case "csv":
+            return formatReportCsv(report);
+        case "json":
+            return JSON.stringify(report, null, 2) + "\n";
+        default:
+            throw new Error(`Unknown report format "${format}".`);
+    }
+}
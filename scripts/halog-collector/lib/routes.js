@@ -0,0 +1,178 @@
+/**
+ * A route table maps the raw paths that were requested from the Unipept API onto a canonical endpoint name, the API
+ * version that was used and the format of the response. The route table is read from a JSON file (see routes.json for
+ * the default configuration) with the following structure:
+ *
+ * {
+ *     "routes": [
+ *         {
+ *             "pattern": "/api/v:version/:resource(.:format)?",
+ *             "endpoint": "/api/:resource",
+ *             "version": "v:version",
+ *             "format": ":format",
+ *             "defaults": { "format": "json" }
+ *         }
+ *     ]
+ * }
+ *
+ * Patterns support the following syntax:
+ * - ":name" matches a single path segment consisting of letters, digits, "_" and "-" and captures it as "name".
+ * - "(...)" groups a part of the pattern, a group that is followed by "?" is optional.
+ * - "*" matches anything (including slashes).
+ * All other characters are matched literally. The "endpoint", "version" and "format" properties are templates in which
+ * every ":name" is replaced by the captured value (or by the value from "defaults" if nothing was captured).
+ *
+ * Routes are tried in the order in which they are defined, the first route that matches wins.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+
+/**
+ * The endpoint name under which all requests are counted that do not match any of the routes.
+ */
+export const UNMATCHED_ENDPOINT = "unmatched";
+
+const PARAM_PATTERN = /^:([A-Za-z_]\w*)/;
+
+/**
+ * Convert a route pattern into a regular expression with one named capture group per parameter.
+ *
+ * @param pattern The route pattern that should be compiled (e.g. "/api/v:version/:resource(.:format)?").
+ * @returns RegExp A regular expression that matches the complete path.
+ */
+const compilePattern = function(pattern) {
+    let regex = "";
+    let openGroups = 0;
+    let idx = 0;
+
+    while (idx < pattern.length) {
+        const char = pattern[idx];
+        const param = PARAM_PATTERN.exec(pattern.substring(idx));
+
+        if (param) {
+            regex += `(?<${param[1]}>[A-Za-z0-9_-]+)`;
+            idx += param[0].length;
+            continue;
+        }
+
+        if (char === "(") {
+            regex += "(?:";
+            openGroups++;
+        } else if (char === ")") {
+            if (openGroups === 0) {
+                throw new Error(`Unbalanced parentheses in route pattern "${pattern}".`);
+            }
+            regex += ")";
+            openGroups--;
+
+            if (pattern[idx + 1] === "?") {
+                regex += "?";
+                idx++;
+            }
+        } else if (char === "*") {
+            regex += ".*";
+        } else {
+            regex += char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+        }
+
+        idx++;
+    }
+
+    if (openGroups !== 0) {
+        throw new Error(`Unbalanced parentheses in route pattern "${pattern}".`);
+    }
+
+    return new RegExp(`^${regex}$`);
+}
+
+const fillTemplate = function(template, params) {
+    if (template === undefined) {
+        return "";
+    }
+
+    return template.replace(/:([A-Za-z_]\w*)/g, (_, name) => params[name] ?? "");
+}
+
+/**
+ * Validate and compile a list of route definitions.
+ *
+ * @param routes An array of route definitions (see the documentation at the top of this file).
+ * @returns object[] The compiled routes, ready to be passed to matchRoute.
+ */
+export const compileRoutes = function(routes) {
+    if (!Array.isArray(routes)) {
+        throw new Error("The route table should contain an array of routes.");
+    }
+
+    return routes.map((route, idx) => {
+        if (typeof route.pattern !== "string" || typeof route.endpoint !== "string") {
+            throw new Error(`Route ${idx} in the route table should have a "pattern" and an "endpoint".`);
+        }
+
+        return {
+            ...route,
+            defaults: route.defaults || {},
+            regex: compilePattern(route.pattern)
+        };
+    });
+}
+
+/**
+ * Read a route table from a JSON file and compile all routes that it contains.
+ *
+ * @param routesPath Path to the JSON file that contains the route table.
+ * @returns object[] The compiled routes, ready to be passed to matchRoute.
+ */
+export const loadRoutes = function(routesPath) {
+    const config = JSON.parse(fs.readFileSync(routesPath, "utf-8"));
+    return compileRoutes(config.routes);
+}
+
+/**
+ * Normalize a requested path before it is matched against the route table: duplicate slashes are collapsed and a
+ * trailing slash is removed.
+ *
+ * @param path The path that was requested (without scheme, host and query string).
+ * @returns string The normalized path.
+ */
+export const normalizePath = function(path) {
+    const normalized = path.replace(/\/{2,}/g, "/");
+    return normalized.length > 1 ? normalized.replace(/\/$/, "") : normalized;
+}
+
+/**
+ * Find the first route that matches the given path and compute the canonical endpoint name, API version and format.
+ *
+ * @param routes The compiled routes (as returned by loadRoutes or compileRoutes).
+ * @param path The path that was requested (without scheme, host and query string).
+ * @returns {{endpoint: string, version: string, format: string}} The canonical endpoint, or the "unmatched" endpoint if
+ * none of the routes matched.
+ */
+export const matchRoute = function(routes, path) {
+    const normalized = normalizePath(path);
+
+    for (const route of routes) {
+        const match = route.regex.exec(normalized);
+
+        if (!match) {
+            continue;
+        }
+
+        const params = { ...route.defaults };
+        for (const [name, value] of Object.entries(match.groups || {})) {
+            if (value !== undefined) {
+                params[name] = value;
+            }
+        }
+
+        return {
+            endpoint: fillTemplate(route.endpoint, params),
+            version: fillTemplate(route.version, params),
+            format: fillTemplate(route.format, params)
+        };
+    }
+
+    return { endpoint: UNMATCHED_ENDPOINT, version: "", format: "" };
+}
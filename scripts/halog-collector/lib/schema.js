@@ -0,0 +1,104 @@
+/**
+ * A declarative description of the (latest version of the) tables in which the collector stores its statistics. The
+ * MySQL schema is managed by the migrations in "schema/migrations", which must build the same tables as this file
+ * describes (test/schema.test.js fails if they diverge). Other storage backends (such as SQLite) create their tables
+ * directly from this description.
+ *
+ * Every daily table has a "<table>_timeseries" counterpart with the same columns, in which the "date" column is
+ * replaced by "period_start" and "period_minutes".
+ *
+ * @author Pieter Verschaffelt
+ */
+
+const TIMING_COLUMNS = Object.fromEntries(["ta", "tr"].flatMap(timer => [
+    [`${timer}_avg`, "real"],
+    ...["p50", "p90", "p95", "p99", "max"].map(metric => [`${timer}_${metric}`, "integer"])
+]));
+
+const BYTES_COLUMNS = { bytes_total: "integer", bytes_avg: "real", bytes_max: "integer" };
+
+/**
+ * Table name -> {key, values}. "key" lists the columns (apart from the date or time bucket) that uniquely identify a
+ * row, "values" lists all other columns. Every column is mapped onto its type: "text", "integer", "real" or "datetime"
+ * (a "YYYY-MM-DD HH:MM:SS" string in local time).
+ */
+export const TABLES = {
+    endpoint_stats: {
+        key: { endpoint: "text", api_version: "text", format: "text" },
+        values: { req_successful: "integer", req_error: "integer", avg_duration: "real", ...TIMING_COLUMNS, ...BYTES_COLUMNS }
+    },
+    node_stats: {
+        key: { node: "text" },
+        values: { req_successful: "integer", req_error: "integer", avg_duration: "real", ...TIMING_COLUMNS, ...BYTES_COLUMNS }
+    },
+    source_stats: {
+        key: { source: "text", version: "text" },
+        values: { req_total: "integer" }
+    },
+    status_stats: {
+        key: { dimension: "text", name: "text", status_class: "text", termination_state: "text" },
+        values: { req_total: "integer" }
+    },
+    client_stats: {
+        key: { dimension: "text", name: "text" },
+        values: { unique_clients: "integer" }
+    },
+    top_client_stats: {
+        key: { client: "text" },
+        values: { client_rank: "integer", req_total: "integer", bytes_total: "integer", time_total: "integer" }
+    },
+    country_stats: {
+        key: { endpoint: "text", country: "text" },
+        values: { continent: "text", req_total: "integer" }
+    },
+    session_stats: {
+        key: { dimension: "text", name: "text" },
+        values: {
+            sessions: "integer",
+            duration_avg: "real",
+            ...Object.fromEntries(["p50", "p90", "p95", "p99", "max"].map(metric => [`duration_${metric}`, "integer"])),
+            req_total: "integer",
+            req_avg: "real",
+            bytes_total: "integer",
+            bytes_avg: "real"
+        }
+    },
+    node_incidents: {
+        key: { node: "text", cause: "text", started_at: "datetime" },
+        values: { ended_at: "datetime", duration_seconds: "integer", req_affected: "integer" }
+    },
+    node_uptime: {
+        key: { node: "text" },
+        values: { uptime: "real", downtime_seconds: "integer", incidents: "integer" }
+    },
+    security_events: {
+        key: { client: "text", category: "text", rule: "text" },
+        values: { req_total: "integer", req_error: "integer", sample: "text" }
+    }
+};
+
+/**
+ * Describe the columns of a daily table or of its "_timeseries" counterpart.
+ *
+ * @param table The name of a table in TABLES, optionally followed by "_timeseries".
+ * @returns {{period: object, key: object, values: object}} The period, key and value columns (mapped onto their type).
+ */
+export const describeTable = function(table) {
+    const timeseries = table.endsWith("_timeseries");
+    const definition = TABLES[timeseries ? table.slice(0, -"_timeseries".length) : table];
+
+    if (!definition) {
+        throw new Error(`Unknown statistics table "${table}".`);
+    }
+
+    return {
+        period: timeseries ? { period_start: "datetime", period_minutes: "integer" } : { date: "date" },
+        key: definition.key,
+        values: definition.values
+    };
+}
+
+/**
+ * The names of all tables (both the daily tables and their "_timeseries" counterparts).
+ */
+export const ALL_TABLES = Object.keys(TABLES).flatMap(table => [table, `${table}_timeseries`]);
@@ -0,0 +1,250 @@
+/**
+ * Security rules flag the clients of the Unipept API that probe for vulnerabilities, send malformed requests or put an
+ * abnormal load on the API. The rules are read from a JSON file (see security-rules.json for the default
+ * configuration) with the following structure:
+ *
+ * {
+ *     "scanner_paths": [
+ *         { "name": "wordpress", "pattern": "^/(wp-(admin|login|content|includes)|xmlrpc\\.php)" }
+ *     ],
+ *     "allowed_methods": ["GET", "HEAD", "POST", "OPTIONS"],
+ *     "max_requests_per_hour": 36000,
+ *     "max_error_rate": 0.5,
+ *     "min_requests": 100,
+ *     "allowlist": ["127.0.0.1", "10.0.0.0/8"]
+ * }
+ *
+ * Every client is checked for the following categories of events:
+ *
+ * - "scanner": the client requested a path that matches one of the "scanner_paths" (regular expressions that are
+ *   matched against the path without query string, "flags" defaults to "i"). The Unipept API and website never serve
+ *   such paths (e.g. /phpmyadmin/index.php or /.env), so these requests come from vulnerability scanners. The first
+ *   pattern that matches wins.
+ * - "malformed": the client sent a request that HAProxy could not parse ("<BADREQ>", rule "bad-request"), used a method
+ *   that is not in "allowed_methods" (e.g. "CONNECT ipinfo.io:443" to find open proxies, rule "method") or requested
+ *   a target that is neither a path nor an absolute URL (rule "request-target").
+ * - "rate": the client sent more than "max_requests_per_hour" requests per hour on average (over a day, or over a time
+ *   bucket with "--granularity").
+ * - "errors": at least "max_error_rate" of the requests of a client (with at least "min_requests" requests) failed, i.e.
+ *   were answered with a 4xx or 5xx status or failed according to halog.
+ *
+ * Clients whose address belongs to one of the networks in the "allowlist" (e.g. our own monitoring) are never flagged.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+
+import { isErrorRecord, requestPath } from "../../haproxy-log/parser.js";
+import { inNetwork, parseNetwork } from "./ip-address.js";
+
+/**
+ * All categories of security events, in the order in which they are reported.
+ */
+export const SECURITY_CATEGORIES = ["scanner", "malformed", "rate", "errors"];
+
+const DEFAULT_ALLOWED_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"];
+
+// Samples are stored in a VARCHAR(255) column.
+const MAX_SAMPLE_LENGTH = 255;
+
+const truncate = function(value) {
+    return value.length > MAX_SAMPLE_LENGTH ? value.substring(0, MAX_SAMPLE_LENGTH) : value;
+}
+
+const positiveNumber = function(config, name, fallback) {
+    const value = config[name] ?? fallback;
+
+    if (typeof value !== "number" || !(value > 0)) {
+        throw new Error(`"${name}" in the security rules should be a positive number.`);
+    }
+
+    return value;
+}
+
+/**
+ * Validate and compile the security rules from a parsed rule file.
+ *
+ * @param config The contents of a rule file (see the documentation at the top of this file).
+ * @returns object The compiled rules, ready to be passed to classifyRequest, clientAnomalies and isAllowlisted.
+ */
+export const compileSecurityRules = function(config) {
+    if (!Array.isArray(config.scanner_paths)) {
+        throw new Error("The security rule file should contain an array of scanner_paths.");
+    }
+
+    const scannerPaths = config.scanner_paths.map((rule, idx) => {
+        if (typeof rule.name !== "string" || typeof rule.pattern !== "string") {
+            throw new Error(`Scanner path ${idx} in the security rules should have a "name" and a "pattern".`);
+        }
+
+        return { name: rule.name, regex: new RegExp(rule.pattern, rule.flags ?? "i") };
+    });
+
+    const allowlist = (config.allowlist ?? []).map(network => {
+        const parsed = typeof network === "string" ? parseNetwork(network) : null;
+
+        if (parsed === null) {
+            throw new Error(`Invalid network "${network}" in the allowlist of the security rules.`);
+        }
+
+        return parsed;
+    });
+
+    const maxErrorRate = positiveNumber(config, "max_error_rate", 0.5);
+    if (maxErrorRate > 1) {
+        throw new Error("\"max_error_rate\" in the security rules should be a fraction between 0 and 1.");
+    }
+
+    return {
+        scannerPaths,
+        allowedMethods: new Set((config.allowed_methods ?? DEFAULT_ALLOWED_METHODS).map(method => method.toUpperCase())),
+        maxRequestsPerHour: positiveNumber(config, "max_requests_per_hour", 36000),
+        maxErrorRate,
+        minRequests: positiveNumber(config, "min_requests", 100),
+        allowlist
+    };
+}
+
+/**
+ * Read the security rules from a JSON file and compile them.
+ *
+ * @param rulesPath Path to the JSON file that contains the security rules.
+ * @returns object The compiled rules.
+ */
+export const loadSecurityRules = function(rulesPath) {
+    return compileSecurityRules(JSON.parse(fs.readFileSync(rulesPath, "utf-8")));
+}
+
+/**
+ * Check whether the address of a client belongs to one of the networks in the allowlist.
+ */
+export const isAllowlisted = function(rules, address) {
+    return rules.allowlist.some(network => inNetwork(network, address));
+}
+
+/**
+ * Check whether a request counts as failed for the "errors" category: it was answered with a 4xx or 5xx status, or it
+ * failed according to halog's definition.
+ */
+export const isFailedRequest = function(record) {
+    return record.status >= 400 || isErrorRecord(record);
+}
+
+/**
+ * Find the "scanner" and "malformed" events that a single request gives rise to.
+ *
+ * @param rules The compiled security rules.
+ * @param record A parsed log record.
+ * @returns {{category: string, rule: string, sample: string}[]} The events, with the path or request line that caused
+ * them as a sample.
+ */
+export const classifyRequest = function(rules, record) {
+    const events = [];
+
+    if (record.method === "") {
+        events.push({ category: "malformed", rule: "bad-request", sample: truncate(record.request) });
+        return events;
+    }
+
+    if (!rules.allowedMethods.has(record.method.toUpperCase())) {
+        events.push({ category: "malformed", rule: "method", sample: truncate(record.request) });
+    } else if (!record.url.startsWith("/") && !/^https?:\/\//i.test(record.url) && record.url !== "*") {
+        events.push({ category: "malformed", rule: "request-target", sample: truncate(record.request) });
+    }
+
+    const path = requestPath(record);
+    const scanner = rules.scannerPaths.find(rule => rule.regex.test(path));
+
+    if (scanner) {
+        events.push({ category: "scanner", rule: scanner.name, sample: truncate(path) });
+    }
+
+    return events;
+}
+
+/**
+ * Find the "rate" and "errors" events of a client, based on all requests that it sent during a day or time bucket.
+ *
+ * @param rules The compiled security rules.
+ * @param requests The amount of requests that the client sent.
+ * @param errors The amount of these requests that failed (see isFailedRequest).
+ * @param hours The length of the day or time bucket, in hours.
+ * @returns {{category: string, rule: string}[]} The events.
+ */
+export const clientAnomalies = function(rules, requests, errors, hours) {
+    const events = [];
+
+    if (requests > rules.maxRequestsPerHour * hours) {
+        events.push({ category: "rate", rule: "max_requests_per_hour" });
+    }
+
+    if (requests >= rules.minRequests && errors >= rules.maxErrorRate * requests) {
+        events.push({ category: "errors", rule: "max_error_rate" });
+    }
+
+    return events;
+}
+
+/**
+ * Select the clients that should be blocked from a list of security events and describe why.
+ *
+ * @param rules The compiled security rules (clients in the allowlist are never blocked).
+ * @param events Rows of the security_events table.
+ * @param categories The categories of events for which a client is blocked.
+ * @param minRequests The minimal amount of requests of a client in these events before it is blocked, so that a single
+ *                    stray request (e.g. a mistyped path that happens to match a scanner pattern) is not enough.
+ * @returns {{client: string, requests: number, lastSeen: string, reasons: string[]}[]} The clients that should be
+ * blocked, the clients that sent the most offending requests first.
+ */
+export const selectBlockedClients = function(rules, events, categories, minRequests = 1) {
+    const clients = new Map();
+
+    for (const event of events) {
+        if (!categories.includes(event.category) || isAllowlisted(rules, event.client.replace(/\/\d+$/, ""))) {
+            continue;
+        }
+
+        if (!clients.has(event.client)) {
+            clients.set(event.client, { client: event.client, requests: 0, lastSeen: "", reasons: new Map() });
+        }
+
+        const blocked = clients.get(event.client);
+        blocked.requests += event.req_total;
+        blocked.lastSeen = String(event.date) > blocked.lastSeen ? String(event.date) : blocked.lastSeen;
+
+        const reason = `${event.category}/${event.rule}`;
+        if (!blocked.reasons.has(reason)) {
+            blocked.reasons.set(reason, event.sample);
+        }
+    }
+
+    return [...clients.values()]
+        .filter(blocked => blocked.requests >= minRequests)
+        .sort((a, b) => b.requests - a.requests || a.client.localeCompare(b.client))
+        .map(blocked => ({
+            ...blocked,
+            reasons: [...blocked.reasons.entries()].map(([reason, sample]) => sample ? `${reason} (e.g. ${sample})` : reason)
+        }));
+}
+
+/**
+ * Format a list of blocked clients as an HAProxy ACL file, with one address or network per line that is preceded by a
+ * comment that explains why it is blocked. Such a file can be loaded with e.g.
+ * "http-request deny if { src -f /etc/haproxy/blocklist.acl }".
+ *
+ * @param blocked The clients that should be blocked (see selectBlockedClients).
+ * @param header Lines that are added as a comment at the top of the file.
+ * @returns string The contents of the ACL file.
+ */
+export const formatBlocklist = function(blocked, header) {
+    const lines = header.map(line => `# ${line}`);
+
+    for (const { client, requests, lastSeen, reasons } of blocked) {
+        // Newlines in a sample would end the comment and turn the rest of the sample into a pattern.
+        const reason = reasons.join(", ").replace(/[\r\n]/g, " ");
+        lines.push("", `# ${requests} request(s), last seen ${lastSeen}: ${reason}`, client);
+    }
+
+    return lines.join("\n") + "\n";
+}
@@ -0,0 +1,64 @@
+/**
+ * Reconstruction of analysis sessions from the requests of the clients. A single metaproteomics analysis in the
+ * Unipept web or desktop app results in a burst of requests (e.g. a series of /mpa/pept2data POSTs), so the amount of
+ * requests says little about the amount of analyses that were run. Instead, consecutive requests of the same client are
+ * grouped into a session, which ends when the client stays idle for longer than a timeout.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+/**
+ * The paths of the requests that are grouped into sessions by default: those of the metaproteomics analysis (MPA) and
+ * the private API that is used by the web and desktop app.
+ */
+export const DEFAULT_SESSION_PATHS = ["/mpa/", "/private_api/"];
+
+/**
+ * Create a tracker that groups the requests of every client into sessions while the log is being read. Only the session
+ * that is currently open is kept for every client, so memory usage does not grow with the amount of requests. A request
+ * starts a new session if more than "idleTimeout" milliseconds have passed since the end of the last request of the
+ * current session of its client.
+ *
+ * HAProxy logs a request when it is completed, so requests are not added in the order in which they started. A request
+ * that started before the end of the current session (e.g. a long request that was logged after shorter ones) belongs
+ * to that session.
+ *
+ * @param idleTimeout The maximal amount of milliseconds between two requests of the same session.
+ * @param onSession Function that is called with every session ({start, end, requests, bytes, first}) when it is
+ *                  closed, where "first" is the request that opened the session.
+ * @returns {{add: function, flush: function}} Call add(client, request) for every request of a client, in the order of
+ * the log, with a {start, end, bytes} request in which start and end are timestamps in milliseconds (the accept date of
+ * the request and the moment at which it was completed). Call flush() at the end of the log to close all open sessions.
+ */
+export const createSessionTracker = function(idleTimeout, onSession) {
+    // Client -> the session that is currently open
+    const open = new Map();
+
+    return {
+        add(client, request) {
+            let current = open.get(client);
+
+            if (current !== undefined && request.start - current.end > idleTimeout) {
+                onSession(current);
+                current = undefined;
+            }
+
+            if (current === undefined) {
+                current = { start: request.start, end: request.end, requests: 0, bytes: 0, first: request };
+                open.set(client, current);
+            }
+
+            current.start = Math.min(current.start, request.start);
+            current.end = Math.max(current.end, request.end);
+            current.requests++;
+            current.bytes += request.bytes;
+        },
+
+        flush() {
+            for (const session of open.values()) {
+                onSession(session);
+            }
+            open.clear();
+        }
+    };
+}
@@ -0,0 +1,280 @@
+/**
+ * A small read-only HTTP API that exposes the collected daily statistics as JSON (or CSV), so that other tools (e.g.
+ * the usage page of the Unipept website or internal dashboards) do not need database credentials. The following routes
+ * are available:
+ *
+ * - /stats/endpoints: requests, errors, durations and bytes per endpoint (endpoint_stats).
+ * - /stats/nodes: requests, errors, durations and bytes per node (node_stats).
+ * - /stats/sources: requests per source and client version (source_stats).
+ *
+ * All routes return JSON, or CSV (served as a download) if ".csv" is appended to the route (e.g. /stats/nodes.csv).
+ * They accept the following query parameters:
+ *
+ * - from / to: the range of dates ("YYYY-MM-DD", inclusive) that should be returned. Defaults to the last 30 days.
+ * - group: aggregate the statistics per "day" (default), "week" (starting on Monday) or "month".
+ * - One parameter per key column of the table (e.g. endpoint=/api/pept2lca or node=rick) to filter the results.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import { formatCsv } from "./csv.js";
+import { formatDate, parseDate, startOfWeek } from "./dates.js";
+
+const GROUPS = ["day", "week", "month"];
+
+// The default range of dates that is returned if no "from" is given.
+const DEFAULT_DAYS = 30;
+
+// The maximum number of responses that are kept in the cache.
+const MAX_CACHE_ENTRIES = 1000;
+
+/**
+ * Metrics of the tables that count requests per endpoint or node. Requests are summed, the average duration is
+ * weighted by the amount of requests.
+ */
+const REQUEST_METRICS = {
+    init: () => ({ requests: 0, req_successful: 0, req_error: 0, duration: 0, bytes_total: 0 }),
+    add: (totals, row) => {
+        const requests = row.req_successful + row.req_error;
+
+        totals.requests += requests;
+        totals.req_successful += row.req_successful;
+        totals.req_error += row.req_error;
+        totals.duration += (row.avg_duration ?? 0) * requests;
+        totals.bytes_total += row.bytes_total ?? 0;
+    },
+    finish: ({ duration, ...totals }) => ({
+        ...totals,
+        error_rate: totals.requests > 0 ? totals.req_error / totals.requests : 0,
+        avg_duration: totals.requests > 0 ? duration / totals.requests : 0
+    })
+};
+
+/**
+ * Route -> {table, group, filters, metrics}. "group" lists the columns by which the rows are aggregated, "filters" the
+ * columns that can be filtered on with query parameters.
+ */
+const ROUTES = {
+    "/stats/endpoints": {
+        table: "endpoint_stats",
+        group: ["endpoint"],
+        filters: ["endpoint", "api_version", "format"],
+        metrics: REQUEST_METRICS
+    },
+    "/stats/nodes": {
+        table: "node_stats",
+        group: ["node"],
+        filters: ["node"],
+        metrics: REQUEST_METRICS
+    },
+    "/stats/sources": {
+        table: "source_stats",
+        group: ["source", "version"],
+        filters: ["source", "version"],
+        metrics: {
+            init: () => ({ requests: 0 }),
+            add: (totals, row) => {
+                totals.requests += row.req_total;
+            },
+            finish: (totals) => totals
+        }
+    }
+};
+
+/**
+ * An error that is reported to the client with the given HTTP status code.
+ */
+const requestError = function(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Returns the first date of the period (day, week or month) to which a "YYYY-MM-DD" date belongs.
+ */
+const periodStart = function(date, group) {
+    if (group === "day") {
+        return date;
+    }
+
+    const parsed = parseDate(date);
+    if (group === "week") {
+        return formatDate(startOfWeek(parsed));
+    }
+
+    return formatDate(new Date(parsed.getFullYear(), parsed.getMonth(), 1));
+}
+
+/**
+ * Parse and validate the query parameters of a request.
+ */
+const parseQuery = function(route, searchParams) {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+
+    const to = searchParams.get("to") ?? formatDate(yesterday);
+    const toDate = parseDate(to);
+    if (!toDate) {
+        throw requestError(400, `Invalid "to" date "${to}" (expected YYYY-MM-DD).`);
+    }
+
+    const defaultFrom = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate() - DEFAULT_DAYS + 1);
+    const from = searchParams.get("from") ?? formatDate(defaultFrom);
+    if (!parseDate(from)) {
+        throw requestError(400, `Invalid "from" date "${from}" (expected YYYY-MM-DD).`);
+    }
+
+    if (from > to) {
+        throw requestError(400, `"from" (${from}) should not be after "to" (${to}).`);
+    }
+
+    const group = searchParams.get("group") ?? "day";
+    if (!GROUPS.includes(group)) {
+        throw requestError(400, `Invalid group "${group}" (expected one of ${GROUPS.join(", ")}).`);
+    }
+
+    const filters = route.filters
+        .filter(column => searchParams.has(column))
+        .map(column => [column, searchParams.get(column)]);
+
+    return { from, to, group, filters };
+}
+
+/**
+ * Filter the rows of a table and aggregate them per period and per value of the grouping columns of the route.
+ *
+ * @returns object[] One object per period and group, sorted by period.
+ */
+const aggregateRows = function(route, rows, { group, filters }) {
+    const aggregates = new Map();
+
+    for (const row of rows) {
+        if (filters.some(([column, value]) => String(row[column]) !== value)) {
+            continue;
+        }
+
+        const period = periodStart(row.date, group);
+        const key = [period, ...route.group.map(column => row[column])].join("\t");
+
+        if (!aggregates.has(key)) {
+            aggregates.set(key, {
+                keys: { period, ...Object.fromEntries(route.group.map(column => [column, row[column]])) },
+                totals: route.metrics.init()
+            });
+        }
+
+        route.metrics.add(aggregates.get(key).totals, row);
+    }
+
+    return [...aggregates.values()]
+        .map(({ keys, totals }) => ({ ...keys, ...route.metrics.finish(totals) }))
+        .sort((a, b) => a.period.localeCompare(b.period) || b.requests - a.requests);
+}
+
+/**
+ * Build the response for a single (GET) request.
+ *
+ * @returns Promise<{status, headers, body}>
+ */
+const handleRequest = async function(readTable, url) {
+    const [, pathname, extension] = /^(.*?)(?:\.(json|csv))?\/*$/.exec(url.pathname);
+    const route = ROUTES[pathname];
+
+    if (!route) {
+        throw requestError(404, `Unknown route "${url.pathname}" (available routes: ${Object.keys(ROUTES).join(", ")}).`);
+    }
+
+    const query = parseQuery(route, url.searchParams);
+    const data = aggregateRows(route, await readTable(route.table, query.from, query.to), query);
+
+    if (extension === "csv") {
+        const name = pathname.split("/").pop();
+
+        return {
+            status: 200,
+            headers: {
+                "Content-Type": "text/csv; charset=utf-8",
+                "Content-Disposition": `attachment; filename="${name}-${query.from}-${query.to}.csv"`
+            },
+            body: formatCsv(data.length > 0 ? Object.keys(data[0]) : ["period", ...route.group], data)
+        };
+    }
+
+    return {
+        status: 200,
+        headers: { "Content-Type": "application/json; charset=utf-8" },
+        body: JSON.stringify({ from: query.from, to: query.to, group: query.group, data })
+    };
+}
+
+/**
+ * Create the request handler of the statistics API, which can be passed to http.createServer.
+ *
+ * @param readTable An async function that returns the rows of a daily table between two dates (both inclusive), e.g.
+ *                  the read method of a storage backend (see lib/storage/index.js).
+ * @param cacheTtl How long (in seconds) a response is cached, both by the server itself and by its clients. Use 0 to
+ *                 disable caching.
+ * @param allowOrigin The value of the Access-Control-Allow-Origin header (e.g. "*"), or null to omit this header.
+ * @returns function A request handler that takes an http.IncomingMessage and an http.ServerResponse.
+ */
+export const createStatsHandler = function(readTable, cacheTtl = 300, allowOrigin = "*") {
+    // Request URL -> {expires, response}
+    const cache = new Map();
+
+    const send = function(req, res, { status, headers, body }) {
+        res.writeHead(status, {
+            ...headers,
+            "Content-Length": Buffer.byteLength(body),
+            "Cache-Control": status === 200 && cacheTtl > 0 ? `public, max-age=${cacheTtl}` : "no-store",
+            ...(allowOrigin ? { "Access-Control-Allow-Origin": allowOrigin } : {})
+        });
+        res.end(req.method === "HEAD" ? undefined : body);
+    }
+
+    return async (req, res) => {
+        if (req.method !== "GET" && req.method !== "HEAD") {
+            send(req, res, {
+                status: 405,
+                headers: { "Content-Type": "application/json; charset=utf-8", "Allow": "GET, HEAD" },
+                body: JSON.stringify({ error: "This API is read-only." })
+            });
+            return;
+        }
+
+        const url = new URL(req.url, "http://localhost");
+        const cacheKey = `${url.pathname}?${[...url.searchParams].sort().map(pair => pair.join("=")).join("&")}`;
+        const cached = cache.get(cacheKey);
+
+        if (cached && cached.expires > Date.now()) {
+            send(req, res, cached.response);
+            return;
+        }
+
+        let response;
+        try {
+            response = await handleRequest(readTable, url);
+        } catch (err) {
+            if (!err.status) {
+                console.error(`Error while handling ${req.url}.`);
+                console.error(err);
+            }
+
+            response = {
+                status: err.status ?? 500,
+                headers: { "Content-Type": "application/json; charset=utf-8" },
+                body: JSON.stringify({ error: err.status ? err.message : "Could not read the statistics." })
+            };
+        }
+
+        if (response.status === 200 && cacheTtl > 0) {
+            cache.delete(cacheKey);
+            cache.set(cacheKey, { expires: Date.now() + cacheTtl * 1000, response });
+
+            // Maps iterate in insertion order, so the first key is the oldest entry.
+            if (cache.size > MAX_CACHE_ENTRIES) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+
+        send(req, res, response);
+    };
+}
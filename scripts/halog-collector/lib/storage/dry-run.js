@@ -0,0 +1,51 @@
+/**
+ * Storage backend that does not store anything, but prints the rows that would have been written (one JSON object per
+ * line) to stdout instead. This is useful to check the output of a collector without touching any existing statistics.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+const describeScope = function(scope) {
+    if (scope.dates) {
+        return `date(s) ${scope.dates.join(", ")}`;
+    }
+
+    return `${scope.periodMinutes}-minute buckets from ${scope.from} to ${scope.to}`;
+}
+
+/**
+ * Create a storage backend that only prints what it would write.
+ *
+ * @returns object The storage backend (see lib/storage/index.js for a description of its interface).
+ */
+export const createDryRunStorage = function() {
+    return {
+        description: "dry run output",
+
+        async open() {},
+
+        async init() {
+            return [];
+        },
+
+        async migrate() {
+            return [];
+        },
+
+        async write(changes) {
+            for (const { table, scope, rows } of changes) {
+                console.log(`[dry run] ${table}: replace ${describeScope(scope)} with ${rows.length} row(s)`);
+
+                for (const row of rows) {
+                    console.log(JSON.stringify(row));
+                }
+            }
+        },
+
+        async read() {
+            return [];
+        },
+
+        async end() {}
+    };
+}
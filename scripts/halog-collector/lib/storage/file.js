@@ -0,0 +1,110 @@
+/**
+ * Storage backend that keeps the statistics in plain files: one file per table ("<table>.json" or "<table>.csv") in the
+ * directory given by "--output-dir". These files can be used as a portable archive or inspected without any database.
+ * Just like the database backends, writing statistics replaces all rows for the same dates (or time range) that were
+ * written before. Every file is rewritten as a whole and atomically renamed into place.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+import { formatCsv, parseCsv } from "../csv.js";
+import { describeTable } from "../schema.js";
+
+const FORMATS = {
+    json: {
+        parse: (content) => JSON.parse(content),
+        format: (columns, rows) => JSON.stringify(rows.map(row => Object.fromEntries(columns.map(c => [c, row[c]]))), null, 2) + "\n"
+    },
+    csv: {
+        parse: parseCsv,
+        format: formatCsv
+    }
+};
+
+/**
+ * Check whether a row that was read from a file falls within the scope of rows that is being replaced. Values that were
+ * read from a CSV file are strings, so all values are compared as strings.
+ */
+const inScope = function(row, scope) {
+    if (scope.dates) {
+        return scope.dates.includes(String(row.date));
+    }
+
+    return String(row.period_minutes) === String(scope.periodMinutes) &&
+        String(row.period_start) >= scope.from &&
+        String(row.period_start) <= scope.to;
+}
+
+/**
+ * Create a storage backend that writes JSON or CSV files to the directory given by "--output-dir".
+ *
+ * @param argv The parsed command line arguments.
+ * @param format Either "json" or "csv".
+ * @returns object The storage backend (see lib/storage/index.js for a description of its interface).
+ */
+export const createFileStorage = function(argv, format) {
+    const { parse, format: formatRows } = FORMATS[format];
+    const tablePath = (table) => path.join(argv.outputDir, `${table}.${format}`);
+
+    return {
+        description: `${format.toUpperCase()} files in "${argv.outputDir}"`,
+
+        async open() {
+            fs.mkdirSync(argv.outputDir, { recursive: true });
+        },
+
+        async init() {
+            await this.open();
+            return [];
+        },
+
+        async migrate() {
+            return this.init();
+        },
+
+        /**
+         * Rewrite the file of every changed table. Every file is replaced atomically (by renaming a temporary file),
+         * but unlike the database backends, the changes to different tables are not written in a single transaction.
+         */
+        async write(changes) {
+            for (const { table, scope, rows } of changes) {
+                const { period, key, values } = describeTable(table);
+                const columns = [...Object.keys(period), ...Object.keys(key), ...Object.keys(values)];
+                const file = tablePath(table);
+
+                const existing = fs.existsSync(file) ? parse(fs.readFileSync(file, "utf-8")) : [];
+                const kept = existing.filter(row => !inScope(row, scope));
+
+                fs.writeFileSync(`${file}.tmp`, formatRows(columns, [...kept, ...rows]));
+                fs.renameSync(`${file}.tmp`, file);
+            }
+        },
+
+        /**
+         * Read the rows of a table from its file. Values that were read from a CSV file are strings, so the numeric
+         * columns are converted back into numbers.
+         */
+        async read(table, from, to) {
+            const { values } = describeTable(table);
+            const file = tablePath(table);
+            const rows = fs.existsSync(file) ? parse(fs.readFileSync(file, "utf-8")) : [];
+
+            return rows
+                .filter(row => String(row.date) >= from && String(row.date) <= to)
+                .map(row => {
+                    const converted = { ...row };
+                    for (const [column, type] of Object.entries(values)) {
+                        if ((type === "integer" || type === "real") && row[column] !== undefined && row[column] !== "") {
+                            converted[column] = Number(row[column]);
+                        }
+                    }
+                    return converted;
+                });
+        },
+
+        async end() {}
+    };
+}
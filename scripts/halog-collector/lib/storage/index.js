@@ -0,0 +1,70 @@
+/**
+ * The collectors do not write to a database directly, but to a storage backend. Every backend is an object with the
+ * following (async) methods:
+ *
+ * - open(): prepare the backend for writing statistics (e.g. connect to the database and check its schema).
+ * - init() / migrate(): create or update the schema of the backend. Both return the names of the changes that were
+ *   applied (e.g. the migrations for MySQL).
+ * - write(changes): apply a list of changes, each of the form {table, scope, rows}: remove all rows within the scope from
+ *   the table and store the new rows. The scope is either {dates} (an array of "YYYY-MM-DD" dates, for the daily
+ *   tables) or {periodMinutes, from, to} (a range of "YYYY-MM-DD HH:MM:SS" bucket starts, for the "_timeseries"
+ *   tables). Every row maps column names onto values. The database backends apply all changes in a single transaction.
+ * - read(table, from, to): return all rows of a daily table with a date between "from" and "to" (both "YYYY-MM-DD",
+ *   inclusive). Dates are returned as "YYYY-MM-DD" strings and numeric columns as numbers.
+ * - end(): release all resources that are held by the backend.
+ *
+ * Every backend also has a human-readable "description" that is used in error messages.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import { createMysqlStorage } from "./mysql.js";
+import { createSqliteStorage } from "./sqlite.js";
+import { createFileStorage } from "./file.js";
+import { createDryRunStorage } from "./dry-run.js";
+
+/**
+ * All storage backends that can be selected with "--storage".
+ */
+export const STORAGE_TYPES = ["mysql", "sqlite", "json", "csv"];
+
+/**
+ * Create the storage backend that is selected by the command line arguments. "--dry-run" takes precedence over
+ * "--storage".
+ *
+ * @param argv The parsed command line arguments.
+ * @param options {pooled: boolean} Should the MySQL backend use a pool of connections instead of a single connection?
+ *                This is meant for long-running processes (such as server.js), which should survive the database
+ *                closing idle connections or being restarted.
+ * @returns object A storage backend that has not been opened yet.
+ */
+export const createStorage = function(argv, options = {}) {
+    if (argv.dryRun) {
+        return createDryRunStorage();
+    }
+
+    switch (argv.storage) {
+        case "mysql":
+            return createMysqlStorage(argv, options.pooled);
+        case "sqlite":
+            return createSqliteStorage(argv);
+        case "json":
+        case "csv":
+            return createFileStorage(argv, argv.storage);
+        default:
+            throw new Error(`Unknown storage backend "${argv.storage}".`);
+    }
+}
+
+/**
+ * Create and open the storage backend that is selected by the command line arguments.
+ *
+ * @param argv The parsed command line arguments.
+ * @param options See createStorage.
+ * @returns Promise<object> A storage backend to which statistics can be written.
+ */
+export const openStorage = async function(argv, options = {}) {
+    const storage = createStorage(argv, options);
+    await storage.open();
+    return storage;
+}
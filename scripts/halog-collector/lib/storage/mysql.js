@@ -0,0 +1,179 @@
+/**
+ * Storage backend that keeps the statistics in a MySQL database. The schema of this database is managed by the
+ * migrations in "schema/migrations" (see lib/migrations.js).
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import mysql from "mysql2/promise";
+
+import { migrate, pendingMigrations } from "../migrations.js";
+
+// The maximum number of rows that are inserted by a single INSERT statement.
+const INSERT_BATCH_SIZE = 1000;
+
+const PERIOD_COLUMNS = ["date", "period_start", "period_minutes"];
+
+const connectionOptions = function(argv, selectDatabase) {
+    return {
+        user: argv.dbUser,
+        password: argv.dbPassword,
+        database: selectDatabase ? argv.dbName : undefined,
+        port: argv.dbPort,
+        host: argv.dbHost,
+        // DATE and DATETIME columns are read as "YYYY-MM-DD" and "YYYY-MM-DD HH:MM:SS" strings, just like in the other
+        // storage backends.
+        dateStrings: ["DATE", "DATETIME"]
+    };
+}
+
+const setupDatabase = async function(argv, selectDatabase = true) {
+    return mysql.createConnection(connectionOptions(argv, selectDatabase));
+}
+
+/**
+ * Create a pool of connections to the statistics database. The pool drops connections that were closed by the server
+ * (e.g. after MySQL's wait_timeout or a restart) and opens new ones when they are needed, whereas a single connection
+ * would stay broken (and emit an "error" event that nobody listens to).
+ */
+const setupPool = function(argv) {
+    return mysql.createPool({
+        ...connectionOptions(argv, true),
+        connectionLimit: 4,
+        enableKeepAlive: true
+    });
+}
+
+/**
+ * Create the statements that remove all rows within the given scope from a table.
+ *
+ * @param table The name of the table from which rows should be removed.
+ * @param scope Either {dates} (for the daily tables) or {periodMinutes, from, to} (for the "_timeseries" tables).
+ * @returns Array<[string, any[]]> A list of SQL statements, together with their parameters.
+ */
+const deleteStatements = function(table, scope) {
+    if (scope.dates) {
+        return scope.dates.map(date => [`DELETE FROM ${table} WHERE date = ?;`, [date]]);
+    }
+
+    return [[
+        `DELETE FROM ${table} WHERE period_minutes = ? AND period_start BETWEEN ? AND ?;`,
+        [scope.periodMinutes, scope.from, scope.to]
+    ]];
+}
+
+/**
+ * Create the statements that upsert the given rows into a table, in batches of INSERT_BATCH_SIZE rows.
+ *
+ * @param table The name of the table into which the rows should be inserted.
+ * @param rows An array of objects that map column names onto values (all with the same columns).
+ * @returns Array<[string, any[]]> A list of SQL statements, together with their parameters.
+ */
+const insertStatements = function(table, rows) {
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const columns = Object.keys(rows[0]);
+    const updates = columns
+        .filter(column => !PERIOD_COLUMNS.includes(column))
+        .map(column => `${column} = VALUES(${column})`)
+        .join(", ");
+
+    const statements = [];
+    for (let idx = 0; idx < rows.length; idx += INSERT_BATCH_SIZE) {
+        const values = rows.slice(idx, idx + INSERT_BATCH_SIZE).map(row => columns.map(column => row[column]));
+
+        statements.push([
+            `INSERT INTO ${table} (${columns.join(", ")}) VALUES ? ON DUPLICATE KEY UPDATE ${updates};`,
+            [values]
+        ]);
+    }
+
+    return statements;
+}
+
+/**
+ * Create a storage backend that writes to the MySQL database that is described by the command line arguments.
+ *
+ * @param argv The parsed command line arguments (containing the database settings).
+ * @param pooled Should a pool of connections be used instead of a single connection (for long-running processes)?
+ * @returns object The storage backend (see lib/storage/index.js for a description of its interface).
+ */
+export const createMysqlStorage = function(argv, pooled = false) {
+    let db = null;
+
+    return {
+        description: "MySQL database",
+
+        /**
+         * Open a connection to the statistics database and verify that all schema migrations have been applied. The
+         * collectors refuse to run against an outdated schema, since their upserts rely on the unique indexes that are
+         * added by these migrations.
+         */
+        async open() {
+            db = pooled ? setupPool(argv) : await setupDatabase(argv);
+            const pending = await pendingMigrations(db);
+
+            if (pending.length > 0) {
+                console.error(`The database schema is out of date (pending migrations: ${pending.join(", ")}).`);
+                console.error("Run \"node collect.js db migrate\" (or \"db init\" for a new database) first.");
+                await db.end();
+                process.exit(2);
+            }
+        },
+
+        async init() {
+            const server = await setupDatabase(argv, false);
+            await server.query(`CREATE DATABASE IF NOT EXISTS ${mysql.escapeId(argv.dbName)};`);
+            await server.end();
+
+            return this.migrate();
+        },
+
+        async migrate() {
+            db = await setupDatabase(argv);
+            return migrate(db);
+        },
+
+        /**
+         * Remove all rows within the scope of every change and upsert the new rows, in a single transaction. A failure
+         * halfway thus never leaves a day half-deleted, nor some tables updated and others not.
+         */
+        async write(changes) {
+            const statements = changes.flatMap(({ table, scope, rows }) => [
+                ...deleteStatements(table, scope),
+                ...insertStatements(table, rows)
+            ]);
+
+            // A transaction needs a single connection, which has to be taken from the pool first.
+            const connection = pooled ? await db.getConnection() : db;
+
+            try {
+                await connection.beginTransaction();
+                for (const [sql, params] of statements) {
+                    await connection.query(sql, params);
+                }
+                await connection.commit();
+            } catch (err) {
+                await connection.rollback();
+                throw err;
+            } finally {
+                if (pooled) {
+                    connection.release();
+                }
+            }
+        },
+
+        async read(table, from, to) {
+            const [rows] = await db.query(`SELECT * FROM ${table} WHERE date BETWEEN ? AND ?;`, [from, to]);
+            return rows;
+        },
+
+        async end() {
+            if (db) {
+                await db.end();
+            }
+        }
+    };
+}
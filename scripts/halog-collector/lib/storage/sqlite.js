@@ -0,0 +1,157 @@
+/**
+ * Storage backend that keeps the statistics in a local SQLite file, which is convenient for trying out the collector
+ * without a MySQL server or for keeping a portable archive. The tables are created (and extended with new columns) from
+ * the declarative description in lib/schema.js, so no separate migrations are needed.
+ *
+ * This backend requires the optional "better-sqlite3" package, which is only loaded when the backend is used.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import { ALL_TABLES, describeTable } from "../schema.js";
+
+const SQLITE_TYPES = {
+    text: "TEXT NOT NULL DEFAULT ''",
+    integer: "INTEGER",
+    real: "REAL",
+    date: "TEXT NOT NULL",
+    datetime: "TEXT NOT NULL"
+};
+
+const loadDriver = async function() {
+    try {
+        return (await import("better-sqlite3")).default;
+    } catch (err) {
+        console.error("The SQLite storage backend requires the optional \"better-sqlite3\" package.");
+        console.error("Install it with \"npm install better-sqlite3\" (Node.js 20 or newer is required).");
+        process.exit(2);
+    }
+}
+
+/**
+ * Create a table (if it does not exist yet), add all columns that are missing from an existing table and make sure that
+ * the unique index covers the current set of key columns.
+ *
+ * @param db An open better-sqlite3 database.
+ * @param table The name of the table that should be created or updated.
+ * @returns string[] A description of every change that has been made to the table.
+ */
+const syncTable = function(db, table) {
+    const { period, key, values } = describeTable(table);
+    const columns = { ...period, ...key, ...values };
+    const uniqueColumns = [...Object.keys(period), ...Object.keys(key)];
+    const changes = [];
+
+    const existing = db.prepare(`PRAGMA table_info(${table});`).all().map(column => column.name);
+
+    if (existing.length === 0) {
+        const definitions = Object.entries(columns).map(([column, type]) => `${column} ${SQLITE_TYPES[type]}`);
+        db.exec(`CREATE TABLE ${table} (id INTEGER PRIMARY KEY AUTOINCREMENT, ${definitions.join(", ")});`);
+        changes.push(`create ${table}`);
+    } else {
+        for (const [column, type] of Object.entries(columns)) {
+            if (!existing.includes(column)) {
+                db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${SQLITE_TYPES[type]};`);
+                changes.push(`add ${table}.${column}`);
+            }
+        }
+    }
+
+    const indexed = db.prepare(`PRAGMA index_info(uq_${table});`).all().map(column => column.name);
+    if (indexed.join(",") !== uniqueColumns.join(",")) {
+        db.exec(`DROP INDEX IF EXISTS uq_${table};`);
+        db.exec(`CREATE UNIQUE INDEX uq_${table} ON ${table} (${uniqueColumns.join(", ")});`);
+
+        if (existing.length > 0) {
+            changes.push(`index ${table} on (${uniqueColumns.join(", ")})`);
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Remove all rows within the given scope from a table and upsert the new rows. This should be run inside a
+ * transaction.
+ *
+ * @param db An open better-sqlite3 database.
+ * @param table The name of the table whose rows should be replaced.
+ * @param scope Either {dates} (for the daily tables) or {periodMinutes, from, to} (for the "_timeseries" tables).
+ * @param rows An array of objects that map column names onto values (all with the same columns).
+ */
+const replaceRows = function(db, table, scope, rows) {
+    const { period, key } = describeTable(table);
+    const uniqueColumns = [...Object.keys(period), ...Object.keys(key)];
+
+    if (scope.dates) {
+        const remove = db.prepare(`DELETE FROM ${table} WHERE date = ?;`);
+        scope.dates.forEach(date => remove.run(date));
+    } else {
+        db.prepare(
+            `DELETE FROM ${table} WHERE period_minutes = ? AND period_start BETWEEN ? AND ?;`
+        ).run(scope.periodMinutes, scope.from, scope.to);
+    }
+
+    if (rows.length === 0) {
+        return;
+    }
+
+    const columns = Object.keys(rows[0]);
+    const updates = columns
+        .filter(column => !uniqueColumns.includes(column))
+        .map(column => `${column} = excluded.${column}`)
+        .join(", ");
+    const insert = db.prepare(
+        `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})
+         ON CONFLICT (${uniqueColumns.join(", ")}) DO UPDATE SET ${updates};`
+    );
+
+    rows.forEach(row => insert.run(columns.map(column => row[column])));
+}
+
+/**
+ * Create a storage backend that writes to the SQLite file given by "--sqlite-file".
+ *
+ * @param argv The parsed command line arguments.
+ * @returns object The storage backend (see lib/storage/index.js for a description of its interface).
+ */
+export const createSqliteStorage = function(argv) {
+    let db = null;
+
+    return {
+        description: `SQLite database "${argv.sqliteFile}"`,
+
+        async open() {
+            const Database = await loadDriver();
+            db = new Database(argv.sqliteFile);
+            db.pragma("journal_mode = WAL");
+
+            return db.transaction(() => ALL_TABLES.flatMap(table => syncTable(db, table)))();
+        },
+
+        async init() {
+            return this.open();
+        },
+
+        async migrate() {
+            return this.open();
+        },
+
+        /**
+         * Remove all rows within the scope of every change and upsert the new rows, in a single transaction.
+         */
+        async write(changes) {
+            db.transaction(() => changes.forEach(({ table, scope, rows }) => replaceRows(db, table, scope, rows)))();
+        },
+
+        async read(table, from, to) {
+            return db.prepare(`SELECT * FROM ${table} WHERE date BETWEEN ? AND ?;`).all(from, to);
+        },
+
+        async end() {
+            if (db) {
+                db.close();
+            }
+        }
+    };
+}
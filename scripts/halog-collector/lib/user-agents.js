@@ -0,0 +1,85 @@
+/**
+ * User agent rules determine where a request originated from (e.g. the Unipept CLI, the desktop app, a browser, a bot
+ * or a script) based on the user agent that was captured by HAProxy. The rules are read from a JSON file (see
+ * user-agents.json for the default configuration) with the following structure:
+ *
+ * {
+ *     "rules": [
+ *         {
+ *             "source": "cli",
+ *             "pattern": "unipept cli(?:[^|\\d]*(?<version>\\d+(?:\\.\\d+)+))?",
+ *             "flags": "i"
+ *         }
+ *     ],
+ *     "fallback": "other"
+ * }
+ *
+ * Every pattern is a regular expression that is matched against the user agent ("flags" defaults to "i", i.e. case
+ * insensitive). If the pattern contains a named group "version", the captured value is reported as the version of the
+ * client. Rules are tried in the order in which they are defined, the first rule that matches wins. User agents that do
+ * not match any rule are attributed to the "fallback" source.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+
+/**
+ * The source to which user agents are attributed if the rule file does not define a fallback.
+ */
+export const DEFAULT_FALLBACK_SOURCE = "other";
+
+/**
+ * Validate and compile the user agent rules from a parsed rule file.
+ *
+ * @param config The contents of a rule file (see the documentation at the top of this file).
+ * @returns {{rules: object[], fallback: string, sources: string[]}} The compiled rules, ready to be passed to
+ * classifyUserAgent, together with all sources that can be reported.
+ */
+export const compileUserAgentRules = function(config) {
+    if (!Array.isArray(config.rules)) {
+        throw new Error("The user agent rule file should contain an array of rules.");
+    }
+
+    const rules = config.rules.map((rule, idx) => {
+        if (typeof rule.source !== "string" || typeof rule.pattern !== "string") {
+            throw new Error(`User agent rule ${idx} should have a "source" and a "pattern".`);
+        }
+
+        return { source: rule.source, regex: new RegExp(rule.pattern, rule.flags ?? "i") };
+    });
+
+    const fallback = config.fallback || DEFAULT_FALLBACK_SOURCE;
+
+    return { rules, fallback, sources: [...new Set([...rules.map(rule => rule.source), fallback])] };
+}
+
+/**
+ * Read the user agent rules from a JSON file and compile them.
+ *
+ * @param rulesPath Path to the JSON file that contains the user agent rules.
+ * @returns object The compiled rules, ready to be passed to classifyUserAgent.
+ */
+export const loadUserAgentRules = function(rulesPath) {
+    return compileUserAgentRules(JSON.parse(fs.readFileSync(rulesPath, "utf-8")));
+}
+
+/**
+ * Determine the source (and, if the matching rule captures it, the version) of the client that sent a request.
+ *
+ * @param compiled The compiled rules (as returned by loadUserAgentRules or compileUserAgentRules).
+ * @param userAgent The user agent of the client.
+ * @returns {{source: string, version: string}} The source of the request and the version of the client (an empty
+ * string if it is unknown).
+ */
+export const classifyUserAgent = function(compiled, userAgent) {
+    for (const rule of compiled.rules) {
+        const match = rule.regex.exec(userAgent);
+
+        if (match) {
+            return { source: rule.source, version: match.groups?.version ?? "" };
+        }
+    }
+
+    return { source: compiled.fallback, version: "" };
+}
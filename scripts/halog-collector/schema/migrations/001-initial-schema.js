@@ -0,0 +1,40 @@
+/**
+ * The original schema of the statistics database (formerly "schema/default_schema.sql"). Databases that were
+ * initialized by hand with that file already contain these tables, which is why they are only created if they do not
+ * exist yet.
+ */
+export const up = async function(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS endpoint_stats (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            date TEXT NOT NULL,
+            endpoint TEXT NOT NULL,
+            req_successful INTEGER,
+            req_error INTEGER,
+            avg_duration REAL,
+            PRIMARY KEY (id)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS node_stats (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            date TEXT NOT NULL,
+            node TEXT NOT NULL,
+            req_successful INTEGER,
+            req_error INTEGER,
+            avg_duration REAL,
+            PRIMARY KEY (id)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS source_stats (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            date TEXT NOT NULL,
+            source TEXT NOT NULL,
+            req_total INTEGER,
+            PRIMARY KEY (id)
+        );
+    `);
+}
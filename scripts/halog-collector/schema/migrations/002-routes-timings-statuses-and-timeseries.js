@@ -0,0 +1,95 @@
+/**
+ * Adds the columns and tables that were introduced after the initial schema: the API version and format of an endpoint,
+ * the latency percentiles of endpoints and nodes, the status_stats table and the "_timeseries" tables. Columns that
+ * have already been added by hand (following the upgrade instructions in older versions of the README) are skipped.
+ */
+
+import { columnExists } from "../../lib/migrations.js";
+
+const TIMING_COLUMNS = ["ta", "tr"].flatMap(timer => [
+    [`${timer}_avg`, "REAL"],
+    ...["p50", "p90", "p95", "p99", "max"].map(metric => [`${timer}_${metric}`, "INTEGER"])
+]);
+
+const addMissingColumns = async function(db, table, columns) {
+    for (const [column, type] of columns) {
+        if (!(await columnExists(db, table, column))) {
+            await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+        }
+    }
+}
+
+const timingDefinitions = TIMING_COLUMNS.map(([column, type]) => `${column} ${type},`).join("\n");
+
+export const up = async function(db) {
+    await addMissingColumns(db, "endpoint_stats", [["api_version", "TEXT"], ["format", "TEXT"], ...TIMING_COLUMNS]);
+    await addMissingColumns(db, "node_stats", TIMING_COLUMNS);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS status_stats (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            date TEXT NOT NULL,
+            dimension TEXT NOT NULL,
+            name TEXT NOT NULL,
+            status_class TEXT NOT NULL,
+            termination_state TEXT NOT NULL,
+            req_total INTEGER,
+            PRIMARY KEY (id)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS endpoint_stats_timeseries (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            period_start DATETIME NOT NULL,
+            period_minutes INTEGER NOT NULL,
+            endpoint TEXT NOT NULL,
+            api_version TEXT,
+            format TEXT,
+            req_successful INTEGER,
+            req_error INTEGER,
+            avg_duration REAL,
+            ${timingDefinitions}
+            PRIMARY KEY (id)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS node_stats_timeseries (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            period_start DATETIME NOT NULL,
+            period_minutes INTEGER NOT NULL,
+            node TEXT NOT NULL,
+            req_successful INTEGER,
+            req_error INTEGER,
+            avg_duration REAL,
+            ${timingDefinitions}
+            PRIMARY KEY (id)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS source_stats_timeseries (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            period_start DATETIME NOT NULL,
+            period_minutes INTEGER NOT NULL,
+            source TEXT NOT NULL,
+            req_total INTEGER,
+            PRIMARY KEY (id)
+        );
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS status_stats_timeseries (
+            id INTEGER NOT NULL AUTO_INCREMENT,
+            period_start DATETIME NOT NULL,
+            period_minutes INTEGER NOT NULL,
+            dimension TEXT NOT NULL,
+            name TEXT NOT NULL,
+            status_class TEXT NOT NULL,
+            termination_state TEXT NOT NULL,
+            req_total INTEGER,
+            PRIMARY KEY (id)
+        );
+    `);
+}
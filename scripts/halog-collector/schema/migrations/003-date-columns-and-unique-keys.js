@@ -0,0 +1,57 @@
+/**
+ * Converts the date columns (which used to be TEXT) into real DATE columns, turns the key columns into (indexable)
+ * VARCHARs and adds a unique index on the date (or time bucket) and key columns of every table. These unique indexes
+ * allow the collector to upsert its results.
+ *
+ * Older versions of the collector did not wait for their DELETE queries to finish, so a table might contain duplicate
+ * rows for the same key. Only the most recent of these rows (the one with the highest id) is kept.
+ */
+
+import { indexExists } from "../../lib/migrations.js";
+
+// Table -> [column, type] for all columns that are part of the unique key (apart from the date or time bucket).
+const KEYS = {
+    endpoint_stats: [["endpoint", "VARCHAR(255)"], ["api_version", "VARCHAR(16)"], ["format", "VARCHAR(16)"]],
+    node_stats: [["node", "VARCHAR(255)"]],
+    source_stats: [["source", "VARCHAR(64)"]],
+    status_stats: [
+        ["dimension", "VARCHAR(16)"],
+        ["name", "VARCHAR(255)"],
+        ["status_class", "VARCHAR(8)"],
+        ["termination_state", "VARCHAR(4)"]
+    ]
+};
+
+const migrateTable = async function(db, table, periodColumns, keyColumns) {
+    const uniqueColumns = [...periodColumns, ...keyColumns.map(([column]) => column)];
+
+    // Unique indexes do not consider NULL values to be equal, so optional key columns become empty strings instead.
+    // Values that are too long for the new column type are truncated (before duplicates are removed).
+    for (const [column, type] of keyColumns) {
+        const length = Number.parseInt(/\d+/.exec(type)[0]);
+        await db.query(`UPDATE ${table} SET ${column} = LEFT(COALESCE(${column}, ''), ${length});`);
+    }
+
+    await db.query(`
+        DELETE older FROM ${table} older
+        JOIN ${table} newer ON ${uniqueColumns.map(c => `older.${c} = newer.${c}`).join(" AND ")} AND older.id < newer.id;
+    `);
+
+    const modifications = keyColumns.map(([column, type]) => `MODIFY ${column} ${type} NOT NULL DEFAULT ''`);
+    if (periodColumns.includes("date")) {
+        modifications.unshift("MODIFY date DATE NOT NULL");
+    }
+    await db.query(`ALTER TABLE ${table} ${modifications.join(", ")};`);
+
+    const index = `uq_${table}`;
+    if (!(await indexExists(db, table, index))) {
+        await db.query(`ALTER TABLE ${table} ADD UNIQUE INDEX ${index} (${uniqueColumns.join(", ")});`);
+    }
+}
+
+export const up = async function(db) {
+    for (const [table, keyColumns] of Object.entries(KEYS)) {
+        await migrateTable(db, table, ["date"], keyColumns);
+        await migrateTable(db, `${table}_timeseries`, ["period_minutes", "period_start"], keyColumns);
+    }
+}
@@ -0,0 +1,22 @@
+/**
+ * Adds the amount of bytes that were sent to the clients (HAProxy's "bytes_read" field) to the endpoint and node
+ * statistics: the total, the average per request and the largest response.
+ */
+
+import { columnExists } from "../../lib/migrations.js";
+
+const BYTES_COLUMNS = [
+    ["bytes_total", "BIGINT"],
+    ["bytes_avg", "REAL"],
+    ["bytes_max", "BIGINT"]
+];
+
+export const up = async function(db) {
+    for (const table of ["endpoint_stats", "node_stats", "endpoint_stats_timeseries", "node_stats_timeseries"]) {
+        for (const [column, type] of BYTES_COLUMNS) {
+            if (!(await columnExists(db, table, column))) {
+                await db.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+            }
+        }
+    }
+}
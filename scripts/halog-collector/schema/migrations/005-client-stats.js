@@ -0,0 +1,23 @@
+/**
+ * Adds the tables for the (anonymized) client statistics: the amount of unique clients per day, endpoint and source
+ * (client_stats) and the clients that sent the most requests (top_client_stats). Clients are only stored as a salted
+ * hash or a truncated network prefix, never as a full IP address.
+ */
+
+import { createStatisticsTables } from "../../lib/migrations.js";
+
+export const up = async function(db) {
+    await createStatisticsTables(db, "client_stats", [
+        "dimension VARCHAR(16) NOT NULL DEFAULT ''",
+        "name VARCHAR(255) NOT NULL DEFAULT ''",
+        "unique_clients INTEGER"
+    ], ["dimension", "name"]);
+
+    await createStatisticsTables(db, "top_client_stats", [
+        "client VARCHAR(64) NOT NULL DEFAULT ''",
+        "client_rank INTEGER",
+        "req_total INTEGER",
+        "bytes_total BIGINT",
+        "time_total BIGINT"
+    ], ["client"]);
+}
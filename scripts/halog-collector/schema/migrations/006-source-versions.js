@@ -0,0 +1,20 @@
+/**
+ * Adds the version of the client (e.g. the release of the Unipept CLI or the desktop app) as an extra dimension of the
+ * source statistics. Existing rows get an empty version and the unique index is extended with the new column.
+ */
+
+import { columnExists, indexExists } from "../../lib/migrations.js";
+
+export const up = async function(db) {
+    for (const [table, periodColumns] of [["source_stats", ["date"]], ["source_stats_timeseries", ["period_minutes", "period_start"]]]) {
+        if (!(await columnExists(db, table, "version"))) {
+            await db.query(`ALTER TABLE ${table} ADD COLUMN version VARCHAR(32) NOT NULL DEFAULT '' AFTER source;`);
+        }
+
+        const index = `uq_${table}`;
+        if (await indexExists(db, table, index)) {
+            await db.query(`ALTER TABLE ${table} DROP INDEX ${index};`);
+        }
+        await db.query(`ALTER TABLE ${table} ADD UNIQUE INDEX ${index} (${[...periodColumns, "source", "version"].join(", ")});`);
+    }
+}
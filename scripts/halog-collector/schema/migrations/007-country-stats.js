@@ -0,0 +1,15 @@
+/**
+ * Adds the country_stats table (and its time series counterpart), which contains the amount of requests per country
+ * and continent (and optionally per endpoint), as determined by an offline GeoIP database.
+ */
+
+import { createStatisticsTables } from "../../lib/migrations.js";
+
+export const up = async function(db) {
+    await createStatisticsTables(db, "country_stats", [
+        "endpoint VARCHAR(255) NOT NULL DEFAULT ''",
+        "country VARCHAR(16) NOT NULL DEFAULT ''",
+        "continent VARCHAR(16) NOT NULL DEFAULT ''",
+        "req_total INTEGER"
+    ], ["endpoint", "country"]);
+}
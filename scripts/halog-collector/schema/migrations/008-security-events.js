@@ -0,0 +1,18 @@
+/**
+ * Adds the security_events table (and its time series counterpart), which contains the clients that probed for
+ * vulnerabilities, sent malformed requests or had an abnormal request or error rate. Unlike the other tables, clients
+ * are stored by their IP address (or network prefix), since these are needed to block them.
+ */
+
+import { createStatisticsTables } from "../../lib/migrations.js";
+
+export const up = async function(db) {
+    await createStatisticsTables(db, "security_events", [
+        "client VARCHAR(64) NOT NULL DEFAULT ''",
+        "category VARCHAR(16) NOT NULL DEFAULT ''",
+        "rule VARCHAR(64) NOT NULL DEFAULT ''",
+        "req_total INTEGER",
+        "req_error INTEGER",
+        "sample VARCHAR(255) NOT NULL DEFAULT ''"
+    ], ["client", "category", "rule"]);
+}
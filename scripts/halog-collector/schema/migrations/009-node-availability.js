@@ -0,0 +1,24 @@
+/**
+ * Adds the node_incidents table, which contains the periods in which a backend node was unavailable (with their cause),
+ * and the node_uptime table, which contains the uptime of every node. Both have a time series counterpart.
+ */
+
+import { createStatisticsTables } from "../../lib/migrations.js";
+
+export const up = async function(db) {
+    await createStatisticsTables(db, "node_incidents", [
+        "node VARCHAR(255) NOT NULL DEFAULT ''",
+        "cause VARCHAR(32) NOT NULL DEFAULT ''",
+        "started_at DATETIME NOT NULL",
+        "ended_at DATETIME NOT NULL",
+        "duration_seconds INTEGER",
+        "req_affected INTEGER"
+    ], ["node", "cause", "started_at"]);
+
+    await createStatisticsTables(db, "node_uptime", [
+        "node VARCHAR(255) NOT NULL DEFAULT ''",
+        "uptime REAL",
+        "downtime_seconds INTEGER",
+        "incidents INTEGER"
+    ], ["node"]);
+}
@@ -0,0 +1,21 @@
+/**
+ * Adds the session_stats table (and its time series counterpart), which contains the amount of analysis sessions (groups
+ * of consecutive /mpa and /private_api requests of the same client) in total and per source, together with their
+ * duration, amount of requests and bytes.
+ */
+
+import { createStatisticsTables } from "../../lib/migrations.js";
+
+export const up = async function(db) {
+    await createStatisticsTables(db, "session_stats", [
+        "dimension VARCHAR(16) NOT NULL DEFAULT ''",
+        "name VARCHAR(255) NOT NULL DEFAULT ''",
+        "sessions INTEGER",
+        "duration_avg REAL",
+        ...["p50", "p90", "p95", "p99", "max"].map(metric => `duration_${metric} INTEGER`),
+        "req_total INTEGER",
+        "req_avg REAL",
+        "bytes_total BIGINT",
+        "bytes_avg REAL"
+    ], ["dimension", "name"]);
+}
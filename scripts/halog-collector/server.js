@@ -0,0 +1,62 @@
+/**
+ * This script serves the statistics that have been collected by collect.js over a small read-only HTTP API (see
+ * lib/stats-api.js for the available routes). It reads from the same storage backends as collect.js and accepts the
+ * same database settings, so that other tools can use the statistics without having access to the database itself.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import http from "node:http";
+
+import yargs from "yargs";
+import { hideBin } from "yargs/helpers";
+
+import { configOptions } from "../haproxy-log/config.js";
+import { storageOptions } from "./lib/options.js";
+import { createStatsHandler } from "./lib/stats-api.js";
+import { openStorage } from "./lib/storage/index.js";
+
+// The storage settings are read from the "collector" section of the configuration file, unless they are overridden in the
+// "server" section.
+const argv = configOptions(storageOptions(yargs(hideBin(process.argv))), "server", ["collector"])
+    .usage("Usage: node $0 [options]")
+    .option("port", {
+        describe: "The port on which the HTTP server listens."
+    })
+    .default("port", 8080)
+    .option("host", {
+        describe: "The address on which the HTTP server listens. Use \"0.0.0.0\" to accept connections from other hosts."
+    })
+    .default("host", "localhost")
+    .option("cache-ttl", {
+        describe: "How long (in seconds) responses are cached by the server and its clients. Use 0 to disable caching."
+    })
+    .default("cache-ttl", 300)
+    .option("allow-origin", {
+        describe: "The value of the Access-Control-Allow-Origin header, which allows web pages on other domains to use the API. Use an empty string to omit this header."
+    })
+    .default("allow-origin", "*")
+    .help("help")
+    .alias("help", "h")
+    .argv;
+
+// The storage backend is opened once and reused for all requests. The MySQL backend uses a pool of connections, which
+// replaces connections that were lost (e.g. after an idle timeout or a restart of the database) for the next request.
+const storage = await openStorage(argv, { pooled: true });
+
+const readTable = function(table, from, to) {
+    return storage.read(table, from, to);
+}
+
+const server = http.createServer(createStatsHandler(readTable, Number.parseInt(argv.cacheTtl), argv.allowOrigin || null));
+
+server.listen(Number.parseInt(argv.port), argv.host, () => {
+    console.log(`Serving statistics from the ${argv.storage} storage on http://${argv.host}:${argv.port}/stats/.`);
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+        server.close(() => storage.end());
+        server.closeAllConnections();
+    });
+}
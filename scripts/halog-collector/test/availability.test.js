@@ -0,0 +1,194 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createAvailabilityTimeline, downtime, failureCause, NO_SERVER } from "../lib/availability.js";
+import { createAvailabilityAggregator } from "../lib/collectors.js";
+
+const at = function(minute, second = 0) {
+    return new Date(2023, 8, 10, 12, minute, second);
+}
+
+const record = function(minute, fields = {}) {
+    return { acceptDate: at(minute), backend: "all_handlers", server: "rick", status: 200, terminationState: "----", ...fields };
+}
+
+// Let "rick" and "selma" handle one request in every minute of the range, apart from the given minutes for selma.
+const serveBoth = function(timeline, first, last, selmaDown = []) {
+    for (let minute = first; minute <= last; minute++) {
+        timeline.add("rick", record(minute));
+        if (!selmaDown.includes(minute)) {
+            timeline.add("selma", record(minute, { server: "selma" }));
+        }
+    }
+}
+
+describe("failureCause", () => {
+    it("classifies failed requests", () => {
+        assert.equal(failureCause(record(0)), null);
+        assert.equal(failureCause(record(0, { status: 503, terminationState: "SC--" })), "connection-failures");
+        assert.equal(failureCause(record(0, { status: -1, terminationState: "sC--" })), "connection-failures");
+        assert.equal(failureCause(record(0, { status: 503 })), "service-unavailable");
+        assert.equal(failureCause(record(0, { status: 503, server: NO_SERVER, terminationState: "SC--" })), "no-server");
+        assert.equal(failureCause(record(0, { status: 400, server: NO_SERVER, terminationState: "PR--" })), null);
+    });
+});
+
+describe("createAvailabilityTimeline", () => {
+    it("reports gaps in the traffic of a node while the other nodes were serving", () => {
+        const timeline = createAvailabilityTimeline();
+        serveBoth(timeline, 0, 9, [3, 4, 5, 6, 7]);
+
+        assert.deepEqual(timeline.incidents([], 5, 5), [
+            { node: "selma", cause: "no-traffic", start: at(3), end: at(8), requests: 5 }
+        ]);
+        assert.deepEqual(timeline.incidents([], 6, 5), []);
+    });
+
+    it("reports expected nodes that do not occur in the log as unavailable", () => {
+        const timeline = createAvailabilityTimeline();
+        serveBoth(timeline, 0, 4);
+
+        assert.deepEqual(timeline.incidents(["patty"], 5, 5), [
+            { node: "patty", cause: "no-traffic", start: at(0), end: at(5), requests: 10 }
+        ]);
+    });
+
+    it("reports bursts of connection failures and 503 responses", () => {
+        const timeline = createAvailabilityTimeline();
+        serveBoth(timeline, 0, 5);
+
+        for (let idx = 0; idx < 5; idx++) {
+            timeline.add("selma", record(2, { server: "selma", status: 503, terminationState: "SC--" }));
+            timeline.add("rick", record(4, { status: 503 }));
+        }
+        // Four failures in a minute are not enough, nor are failures that are less than half of the requests.
+        for (let idx = 0; idx < 4; idx++) {
+            timeline.add("selma", record(5, { server: "selma", status: 503 }));
+        }
+
+        assert.deepEqual(timeline.incidents([], 5, 5), [
+            { node: "rick", cause: "service-unavailable", start: at(4), end: at(5), requests: 5 },
+            { node: "selma", cause: "connection-failures", start: at(2), end: at(3), requests: 5 }
+        ]);
+    });
+
+    it("ignores minutes without evidence inside an incident", () => {
+        const timeline = createAvailabilityTimeline();
+
+        for (const minute of [0, 1, 5]) {
+            for (let idx = 0; idx < 5; idx++) {
+                timeline.add("rick", record(minute, { status: 503 }));
+            }
+        }
+        timeline.add("rick", record(6));
+
+        assert.deepEqual(timeline.incidents([], 5, 5), [
+            { node: "rick", cause: "service-unavailable", start: at(0), end: at(6), requests: 15 }
+        ]);
+    });
+
+    it("attributes requests without server to the nodes of their backend", () => {
+        const timeline = createAvailabilityTimeline();
+        serveBoth(timeline, 0, 4);
+        timeline.add("sherlock", record(0, { backend: "other_handlers", server: "sherlock" }));
+
+        timeline.add(null, record(2, { server: NO_SERVER, status: 503, terminationState: "SC--" }));
+        timeline.add(null, record(3, { backend: "other_handlers", server: NO_SERVER, status: 503 }));
+        // No node is known for this backend, so it is unknown which nodes were affected.
+        timeline.add(null, record(4, { backend: "unknown", server: NO_SERVER, status: 503 }));
+
+        assert.deepEqual(timeline.incidents([], 5, 5), [
+            { node: "rick", cause: "no-server", start: at(2), end: at(3), requests: 1 },
+            { node: "selma", cause: "no-server", start: at(2), end: at(3), requests: 1 },
+            { node: "sherlock", cause: "no-server", start: at(3), end: at(4), requests: 1 }
+        ]);
+    });
+});
+
+describe("downtime", () => {
+    it("counts overlapping incidents only once", () => {
+        const incidents = [
+            { start: at(0), end: at(10) },
+            { start: at(5), end: at(15) },
+            { start: at(6), end: at(8) },
+            { start: at(20), end: at(21) }
+        ];
+
+        assert.equal(downtime(incidents), 16 * 60 * 1000);
+        assert.equal(downtime([]), 0);
+    });
+});
+
+describe("createAvailabilityAggregator", () => {
+    const NODES = ["patty", "rick", "selma"];
+
+    // Feed the records to an aggregator with daily buckets (or hourly buckets if hourly is set) and return its tables.
+    const aggregate = function(records, expectAllNodes, hourly = false) {
+        const aggregator = createAvailabilityAggregator(NODES, 5, 5, hourly ? 60 : 24 * 60, expectAllNodes);
+
+        for (const entry of records) {
+            const bucket = new Date(entry.acceptDate);
+            bucket.setMinutes(0, 0, 0);
+            aggregator.add(hourly
+                ? { record: entry, bucket, bucketKey: bucket.getTime() }
+                : { record: entry, bucket: null, bucketKey: "day" });
+        }
+
+        return aggregator.tables();
+    }
+
+    const servingBoth = function(first, last) {
+        return Array.from({ length: last - first + 1 }, (_, idx) => [
+            record(first + idx),
+            record(first + idx, { server: "selma" })
+        ]).flat();
+    }
+
+    it("only reports the nodes that occur in the log, unless all nodes are expected", () => {
+        const records = servingBoth(0, 9);
+
+        const seen = aggregate(records, false);
+        assert.deepEqual(seen.node_incidents, []);
+        assert.deepEqual(seen.node_uptime.map(row => [row.node, row.downtime_seconds]), [["rick", 0], ["selma", 0]]);
+
+        const expected = aggregate(records, true);
+        assert.deepEqual(expected.node_incidents.map(row => [row.node, row.cause, row.duration_seconds, row.req_affected]), [
+            ["patty", "no-traffic", 600, 20]
+        ]);
+        assert.deepEqual(expected.node_uptime.map(row => [row.node, row.downtime_seconds, row.incidents]), [
+            ["patty", 600, 1],
+            ["rick", 0, 0],
+            ["selma", 0, 0]
+        ]);
+    });
+
+    it("reports a node that occurs in the log in the buckets in which it is missing", () => {
+        // selma only handles requests during the first hour
+        const records = [...servingBoth(0, 9), ...Array.from({ length: 10 }, (_, idx) => record(60 + idx))];
+        const { node_incidents, node_uptime } = aggregate(records, false, true);
+
+        assert.deepEqual(node_incidents.map(row => [row.bucket.getHours(), row.node, row.cause, row.duration_seconds]), [
+            [13, "selma", "no-traffic", 600]
+        ]);
+        assert.deepEqual(node_uptime.map(row => [row.bucket.getHours(), row.node, row.downtime_seconds]), [
+            [12, "rick", 0],
+            [12, "selma", 0],
+            [13, "rick", 0],
+            [13, "selma", 600]
+        ]);
+    });
+
+    it("counts the minutes without evidence inside an incident as downtime", () => {
+        // rick answers all requests with a 503 status in minute 0 and 30, and is not sent any requests in between
+        const failures = Array.from({ length: 5 }, () => [record(0, { status: 503 }), record(30, { status: 503 })]).flat();
+        const { node_incidents, node_uptime } = aggregate([...failures, record(40)], false);
+
+        assert.deepEqual(node_incidents.map(row => [row.node, row.cause, row.duration_seconds, row.req_affected]), [
+            ["rick", "service-unavailable", 31 * 60, 10]
+        ]);
+        // The minutes without evidence after the incident count as uptime
+        assert.deepEqual(node_uptime, [
+            { bucket: null, node: "rick", uptime: 100 * (1 - 31 * 60 / 86400), downtime_seconds: 31 * 60, incidents: 1 }
+        ]);
+    });
+});
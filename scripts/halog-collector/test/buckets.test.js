@@ -0,0 +1,107 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+
+import { bucketStart, GRANULARITIES, prepareStats } from "../lib/buckets.js";
+import { createNodeAggregator, runCollectors } from "../lib/collectors.js";
+
+const at = function(hour, minute, second = 0) {
+    return new Date(2023, 8, 10, hour, minute, second);
+}
+
+describe("bucketStart", () => {
+    it("truncates to the start of the hour", () => {
+        assert.deepEqual(bucketStart(at(14, 0), "hour"), at(14, 0));
+        assert.deepEqual(bucketStart(at(14, 59, 59), "hour"), at(14, 0));
+        assert.deepEqual(bucketStart(at(0, 30), "hour"), at(0, 0));
+    });
+
+    it("truncates to the start of a 5-minute bucket", () => {
+        assert.deepEqual(bucketStart(at(14, 0), "5min"), at(14, 0));
+        assert.deepEqual(bucketStart(at(14, 4, 59), "5min"), at(14, 0));
+        assert.deepEqual(bucketStart(at(14, 5), "5min"), at(14, 5));
+        assert.deepEqual(bucketStart(at(23, 59, 59), "5min"), at(23, 55));
+    });
+
+    it("truncates to midnight for daily buckets", () => {
+        assert.deepEqual(bucketStart(at(23, 59, 59), "day"), at(0, 0));
+    });
+});
+
+describe("prepareStats", () => {
+    it("writes hourly rows to the time series table and replaces the range of buckets they cover", () => {
+        const rows = [
+            { bucket: at(15, 0), endpoint: "/api/pept2lca", req_total: 3 },
+            { bucket: at(13, 0), endpoint: "/api/pept2lca", req_total: 1 }
+        ];
+
+        assert.deepEqual(prepareStats("endpoint_stats", rows, "hour", null), {
+            change: {
+                table: "endpoint_stats_timeseries",
+                scope: { periodMinutes: GRANULARITIES.hour, from: "2023-09-10 13:00:00", to: "2023-09-10 15:00:00" },
+                rows: [
+                    { period_start: "2023-09-10 15:00:00", period_minutes: 60, endpoint: "/api/pept2lca", req_total: 3 },
+                    { period_start: "2023-09-10 13:00:00", period_minutes: 60, endpoint: "/api/pept2lca", req_total: 1 }
+                ]
+            },
+            dates: ["2023-09-10"]
+        });
+    });
+
+    it("stores the length of 5-minute buckets with every row", () => {
+        const { change } = prepareStats("node_stats", [{ bucket: at(9, 55), node: "rick" }], "5min", null);
+
+        assert.equal(change.table, "node_stats_timeseries");
+        assert.deepEqual(change.scope, { periodMinutes: 5, from: "2023-09-10 09:55:00", to: "2023-09-10 09:55:00" });
+        assert.deepEqual(change.rows, [{ period_start: "2023-09-10 09:55:00", period_minutes: 5, node: "rick" }]);
+    });
+
+    it("has nothing to replace if a time series is empty", () => {
+        assert.deepEqual(prepareStats("endpoint_stats", [], "hour", null), { change: null, dates: [] });
+    });
+});
+
+describe("runCollectors", () => {
+    const logLine = function(acceptDate, server) {
+        return `Sep 10 00:00:00 unipeptapi haproxy[121187]: 104.131.144.24:58200 [${acceptDate}] handlers ` +
+            `all_handlers/${server} 0/0/1/2/3 200 285 - - ---- 1/1/0/0/0 0/0 "GET /api/v2/pept2lca.json HTTP/1.1"`;
+    }
+
+    it("splits a log that spans midnight into separate days when backfilling", async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "halog-buckets-"));
+        const logPath = path.join(dir, "haproxy.log");
+        fs.writeFileSync(logPath, [
+            logLine("09/Sep/2023:23:59:58.100", "rick"),
+            logLine("09/Sep/2023:23:59:59.999", "selma"),
+            logLine("10/Sep/2023:00:00:00.000", "rick"),
+            "Sep 10 00:00:01 unipeptapi haproxy[101813]: [NOTICE]   (101813) : Reloading HAProxy",
+            ""
+        ].join("\n"));
+
+        const writes = [];
+        const storage = { description: "test storage", write: async (changes) => writes.push(changes) };
+
+        try {
+            const { summary, dates } = await runCollectors(
+                storage, [logPath], [{ name: "nodes", aggregator: createNodeAggregator(["rick", "selma"]) }], null, "day"
+            );
+
+            assert.deepEqual(dates, new Map([["nodes", ["2023-09-09", "2023-09-10"]]]));
+            assert.equal(summary.linesRead, 4);
+            assert.equal(summary.linesUnparseable, 1);
+
+            // All days are written at once, each row is labelled with the day on which its request was accepted.
+            assert.equal(writes.length, 1);
+            const [change] = writes[0];
+            assert.deepEqual(change.scope, { dates: ["2023-09-09", "2023-09-10"] });
+            assert.deepEqual(
+                change.rows.map(row => [row.date, row.node, row.req_successful]).sort(),
+                [["2023-09-09", "rick", 1], ["2023-09-09", "selma", 1], ["2023-09-10", "rick", 1]]
+            );
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+});
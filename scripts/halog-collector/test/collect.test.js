@@ -0,0 +1,163 @@
+/**
+ * Runs the "all" command of collect.js on fixtures/haproxy.log with the SQLite storage backend (which requires the
+ * optional "better-sqlite3" package) and checks the tables that it fills.
+ */
+
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { after, before, describe, it } from "node:test";
+
+import { createEndpointAggregator, createNodeAggregator, runCollectors } from "../lib/collectors.js";
+import { loadRoutes } from "../lib/routes.js";
+
+const COLLECT = fileURLToPath(new URL("../collect.js", import.meta.url));
+const LOG_PATH = fileURLToPath(new URL("./fixtures/haproxy.log", import.meta.url));
+const GEOIP_PATH = fileURLToPath(new URL("./fixtures/geoip.csv", import.meta.url));
+
+let Database = null;
+try {
+    Database = (await import("better-sqlite3")).default;
+} catch (err) {
+    // The tests that use the SQLite backend are skipped.
+}
+
+describe("collect.js all", { skip: Database === null && "better-sqlite3 is not installed" }, () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "halog-collect-"));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    const run = function(sqliteFile, ...args) {
+        const result = spawnSync(process.execPath, [
+            COLLECT, "all", "--storage", "sqlite", "--sqlite-file", sqliteFile, "--haproxy-config", LOG_PATH,
+            "--client-salt", "test", "--days-ago", "0", ...args
+        ], { encoding: "utf-8", timeout: 60000 });
+
+        assert.equal(result.status, 0, result.stderr);
+        return result.stdout;
+    }
+
+    const query = function(sqliteFile, sql) {
+        const db = new Database(sqliteFile, { readonly: true });
+        try {
+            return db.prepare(sql).all();
+        } finally {
+            db.close();
+        }
+    }
+
+    it("fills the tables of all collectors in a single pass", () => {
+        const sqliteFile = path.join(dir, "all.sqlite");
+        const output = run(sqliteFile, "--geoip-db", GEOIP_PATH);
+
+        assert.match(output, /Read 38 line\(s\): 5 unparseable/);
+        assert.deepEqual(
+            query(sqliteFile, "SELECT node, req_successful, req_error FROM node_stats ORDER BY node"),
+            [
+                { node: "rick", req_successful: 10, req_error: 0 },
+                { node: "selma", req_successful: 11, req_error: 0 },
+                { node: "sherlock", req_successful: 9, req_error: 0 }
+            ]
+        );
+
+        // Every request of the log is counted once per collector.
+        for (const table of ["endpoint_stats", "country_stats"]) {
+            const column = table === "endpoint_stats" ? "req_successful + req_error" : "req_total";
+            assert.deepEqual(query(sqliteFile, `SELECT SUM(${column}) AS total FROM ${table}`), [{ total: 33 }], table);
+        }
+        // HAProxy did not capture any user agents in this log, but every source is reported for a labelled day.
+        assert.deepEqual(query(sqliteFile, "SELECT COUNT(*) AS count, SUM(req_total) AS total FROM source_stats"),
+            [{ count: 6, total: 0 }]);
+        for (const table of ["status_stats", "client_stats", "session_stats", "node_uptime", "security_events"]) {
+            assert.ok(query(sqliteFile, `SELECT COUNT(*) AS count FROM ${table}`)[0].count > 0, table);
+        }
+    });
+
+    it("replaces the statistics of the same day when it is run again", () => {
+        const sqliteFile = path.join(dir, "rerun.sqlite");
+        run(sqliteFile, "--collectors", "nodes");
+        run(sqliteFile, "--collectors", "nodes");
+
+        assert.deepEqual(query(sqliteFile, "SELECT COUNT(*) AS count FROM node_stats"), [{ count: 3 }]);
+    });
+
+    it("only runs the selected collectors and skips countries without a GeoIP database", () => {
+        const sqliteFile = path.join(dir, "selected.sqlite");
+        run(sqliteFile, "--collectors", "nodes", "sources");
+
+        assert.deepEqual(query(sqliteFile, "SELECT COUNT(*) AS count FROM node_stats"), [{ count: 3 }]);
+        assert.deepEqual(query(sqliteFile, "SELECT COUNT(*) AS count FROM endpoint_stats"), [{ count: 0 }]);
+
+        const output = run(path.join(dir, "no-geoip.sqlite"), "--geoip-db", path.join(dir, "missing.mmdb"));
+        assert.match(output, /countries: skipped/);
+    });
+});
+
+describe("collect.js security", () => {
+    const clients = function(...args) {
+        const result = spawnSync(process.execPath, [
+            COLLECT, "security", "--haproxy-config", LOG_PATH, "--days-ago", "0", "--dry-run", ...args
+        ], { encoding: "utf-8", timeout: 60000 });
+
+        assert.equal(result.status, 0, result.stderr);
+        return [...new Set(result.stdout.split("\n").filter(line => line.startsWith("{")).map(line => JSON.parse(line).client))];
+    }
+
+    it("stores flagged clients by their full address unless prefixes are requested", () => {
+        assert.deepEqual(clients(), ["141.94.130.164", "185.36.81.95", "103.127.78.55"]);
+        assert.deepEqual(clients("--security-client-id", "prefix"), ["141.94.130.0/24", "185.36.81.0/24", "103.127.78.0/24"]);
+    });
+
+    it("only blocks clients with enough offending requests", { skip: Database === null && "better-sqlite3 is not installed" }, () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "halog-collect-"));
+        const blocklist = path.join(dir, "blocklist.acl");
+
+        const block = function(...args) {
+            const result = spawnSync(process.execPath, [
+                COLLECT, "security", "--storage", "sqlite", "--sqlite-file", path.join(dir, "security.sqlite"),
+                "--haproxy-config", LOG_PATH, "--days-ago", "0", "--blocklist", blocklist, ...args
+            ], { encoding: "utf-8", timeout: 60000 });
+
+            assert.equal(result.status, 0, result.stderr);
+            return fs.readFileSync(blocklist, "utf-8").split("\n").filter(line => line !== "" && !line.startsWith("#"));
+        }
+
+        try {
+            // The log contains a single request of a scanner.
+            assert.deepEqual(block(), []);
+            assert.deepEqual(block("--block-min-requests", "1"), ["185.36.81.95"]);
+            assert.deepEqual(block("--block-min-requests", "2", "--block-categories", "scanner", "malformed"), [
+                "103.127.78.55",
+                "185.36.81.95"
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true });
+        }
+    });
+});
+
+describe("runCollectors", () => {
+    it("writes the tables of all collectors at once", async () => {
+        const writes = [];
+        const storage = { description: "test storage", write: async (changes) => writes.push(changes) };
+        const collectors = [
+            { name: "endpoints", aggregator: createEndpointAggregator(loadRoutes(new URL("../routes.json", import.meta.url))) },
+            { name: "nodes", aggregator: createNodeAggregator(["rick", "selma", "sherlock"]) }
+        ];
+
+        const { summary } = await runCollectors(storage, [LOG_PATH], collectors, 0);
+
+        assert.equal(writes.length, 1);
+        assert.deepEqual(writes[0].map(change => change.table), ["endpoint_stats", "node_stats"]);
+        assert.deepEqual(summary.rowsWritten, { endpoint_stats: 6, node_stats: 3 });
+    });
+});
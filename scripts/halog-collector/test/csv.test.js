@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { formatCsv, parseCsv } from "../lib/csv.js";
+
+describe("formatCsv", () => {
+    it("quotes values with separators, quotes and newlines", () => {
+        const csv = formatCsv(["client", "sample", "req_total"], [
+            { client: "10.0.0.0/24", sample: "/a,b", req_total: 3 },
+            { client: "x", sample: "say \"hi\"\nbye", req_total: null }
+        ]);
+
+        assert.equal(csv, "client,sample,req_total\n10.0.0.0/24,\"/a,b\",3\nx,\"say \"\"hi\"\"\nbye\",\n");
+    });
+});
+
+describe("parseCsv", () => {
+    it("reads back what formatCsv wrote", () => {
+        const rows = [
+            { endpoint: "/api/pept2lca", sample: "\"quoted\", with comma", note: "line\nbreak" },
+            { endpoint: "", sample: "plain", note: "" }
+        ];
+
+        assert.deepEqual(parseCsv(formatCsv(["endpoint", "sample", "note"], rows)), rows);
+    });
+
+    it("accepts CRLF line endings and a missing final newline", () => {
+        assert.deepEqual(parseCsv("a,b\r\n1,2\r\n3,4"), [{ a: "1", b: "2" }, { a: "3", b: "4" }]);
+    });
+
+    it("returns no rows for an empty file", () => {
+        assert.deepEqual(parseCsv(""), []);
+    });
+});
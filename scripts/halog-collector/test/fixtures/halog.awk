@@ -0,0 +1,81 @@
+# Derives the output of "halog -u -H" (mode=urls) and "halog -srv -H" (mode=servers) for an HAProxy log in the
+# default HTTP format, following the counting rules of halog.c. Used to produce halog.tsv and halog-srv.tsv when the
+# halog binary is not available (see README.md):
+#
+#   awk -v mode=urls -f halog.awk haproxy.log | sort -k 9 > halog.tsv
+#   awk -v mode=servers -f halog.awk haproxy.log | sort > halog-srv.tsv
+#
+# Both outputs are printed without their header line, which has to be prepended after sorting.
+
+# Only the request lines are taken into account: they have the timers (Tq/Tw/Tc/Tr/Ta) in field 10.
+$10 !~ /^-?[0-9]+\/-?[0-9]+\/-?[0-9]+\/-?[0-9]+\/-?[0-9]+$/ {
+    next
+}
+
+{
+    split($10, timers, "/")
+    status = $11 + 0
+    bytes = $12 + 0
+
+    # A request is an error if one of its timers was not set or if the server returned a 5xx response.
+    err = status >= 500
+    for (i = 1; i <= 5; i++) {
+        if (timers[i] < 0) {
+            err = 1
+        }
+    }
+
+    if (mode == "urls") {
+        # The request is everything between the first and the last quote. halog cuts the URL at the first "?" or
+        # ";" and uses the whole quoted request as key if there is no URL (e.g. "<BADREQ>").
+        request = substr($0, index($0, "\"") + 1)
+        request = substr(request, 1, length(request) - 1)
+        if (split(request, parts, " ") >= 2) {
+            url = parts[2]
+            sub(/[?;].*/, "", url)
+        } else {
+            url = "\"" request "\""
+        }
+
+        # The duration of a request is its server response time (Tr), or its total time (Ta) if Tr was not set.
+        time = timers[4] >= 0 ? timers[4] : timers[5]
+
+        req[url]++
+        errors[url] += err
+        ttot[url] += time > 0 ? time : 0
+        btot[url] += bytes
+        if (!err) {
+            oktot[url] += time
+        }
+    } else {
+        srv = $9
+        cls = status >= 100 && status <= 599 ? int(status / 100) : 6
+
+        count[srv, cls]++
+        total[srv]++
+        if (!err) {
+            ok[srv]++
+            ct[srv] += timers[3]
+            rt[srv] += timers[4]
+        }
+    }
+}
+
+END {
+    if (mode == "urls") {
+        for (url in req) {
+            okreq = req[url] - errors[url]
+            printf "%d %d %d %d %d %d %d %d %s\n", req[url], errors[url], ttot[url], int(ttot[url] / req[url]),
+                oktot[url], (okreq > 0 ? int(oktot[url] / okreq) : 0), int(btot[url] / req[url]), btot[url], url
+        }
+    } else {
+        for (srv in total) {
+            line = srv
+            for (cls = 1; cls <= 6; cls++) {
+                line = line " " (count[srv, cls] + 0)
+            }
+            printf "%s %d %d %.1f %d %d\n", line, total[srv], ok[srv], ok[srv] * 100 / total[srv],
+                (ok[srv] > 0 ? int(ct[srv] / ok[srv]) : 0), (ok[srv] > 0 ? int(rt[srv] / ok[srv]) : 0)
+        }
+    }
+}
@@ -0,0 +1,55 @@
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { before, describe, it } from "node:test";
+
+import { continentOf, openGeoDatabase, UNKNOWN_LOCATION } from "../lib/geoip.js";
+
+describe("continentOf", () => {
+    it("maps countries onto their continent", () => {
+        assert.equal(continentOf("BE"), "EU");
+        assert.equal(continentOf("be"), "EU");
+        assert.equal(continentOf("BR"), "SA");
+        assert.equal(continentOf("AQ"), "AN");
+        assert.equal(continentOf("ZZ"), "unknown");
+    });
+});
+
+describe("openGeoDatabase (CSV)", () => {
+    let locate;
+
+    before(async () => {
+        locate = await openGeoDatabase(fileURLToPath(new URL("./fixtures/geoip.csv", import.meta.url)));
+    });
+
+    it("includes both boundaries of an IPv4 range", () => {
+        assert.deepEqual(locate("156.255.255.255"), UNKNOWN_LOCATION);
+        assert.deepEqual(locate("157.193.0.0"), { country: "BE", continent: "EU" });
+        assert.deepEqual(locate("157.193.255.255"), { country: "BE", continent: "EU" });
+        assert.deepEqual(locate("157.194.0.0"), { country: "US", continent: "NA" });
+        assert.deepEqual(locate("157.195.0.0"), UNKNOWN_LOCATION);
+    });
+
+    it("includes both boundaries of an IPv6 range", () => {
+        assert.deepEqual(locate("2001:6a7:ffff:ffff:ffff:ffff:ffff:ffff"), UNKNOWN_LOCATION);
+        assert.deepEqual(locate("2001:6a8::"), { country: "BE", continent: "EU" });
+        assert.deepEqual(locate("2001:6a8:ffff:ffff:ffff:ffff:ffff:ffff"), { country: "BE", continent: "EU" });
+        assert.deepEqual(locate("2001:6a9::"), UNKNOWN_LOCATION);
+    });
+
+    it("locates IPv4-mapped IPv6 addresses in the IPv4 ranges", () => {
+        assert.deepEqual(locate("::ffff:1.0.0.1"), { country: "AU", continent: "OC" });
+        assert.deepEqual(locate("::ffff:1.0.1.0"), UNKNOWN_LOCATION);
+    });
+
+    it("uses the continent of the file if it is given and derives it from the country otherwise", () => {
+        // Some databases use the code "EU" for addresses that are only known to be in the European Union.
+        assert.deepEqual(locate("2.16.0.1"), { country: "EU", continent: "EU" });
+        assert.deepEqual(locate("157.193.1.1"), { country: "BE", continent: "EU" });
+        assert.deepEqual(locate("2001:db8::1"), { country: "ZZ", continent: "unknown" });
+    });
+
+    it("skips the header, malformed lines and invalid addresses", () => {
+        assert.deepEqual(locate("8.8.8.8"), UNKNOWN_LOCATION);
+        assert.deepEqual(locate("unknown"), UNKNOWN_LOCATION);
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Compares the statistics of the collectors with the per-URL totals of "halog -u -H" (fixtures/halog.tsv) and the
+ * per-server totals of "halog -srv -H" (fixtures/halog-srv.tsv) for the same log (fixtures/haproxy.log). If the halog
+ * binary is installed, both fixtures are also checked against its output. See fixtures/README.md for how the fixtures
+ * were produced.
+ */
+
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { before, describe, it } from "node:test";
+
+import { readBucketedRecords } from "../lib/buckets.js";
+import { addRequestStats, createNodeAggregator, createRequestStats, createStatusAggregator } from "../lib/collectors.js";
+import { loadRoutes } from "../lib/routes.js";
+
+const LOG_PATH = fileURLToPath(new URL("./fixtures/haproxy.log", import.meta.url));
+
+const NODES = ["rick", "selma", "sherlock"];
+
+/**
+ * Parse the output of halog into a map from the key of every line (the last column for "-u", the first column for
+ * "-srv") to an object with the numeric values of all other columns, named after the header line.
+ */
+const parseHalogOutput = function(output, keyColumn) {
+    const lines = output.split("\n").filter(line => line !== "");
+    const columns = lines[0].substring(1).split(" ");
+    const keyIdx = columns.indexOf(keyColumn);
+    const rows = new Map();
+
+    for (const line of lines.slice(1)) {
+        // The key of "-u" can contain spaces (e.g. for a quoted bad request), the values never do.
+        const fields = line.split(" ");
+        const values = keyIdx === 0 ? fields.slice(1) : fields.slice(0, columns.length - 1);
+        const key = keyIdx === 0 ? fields[0] : fields.slice(columns.length - 1).join(" ");
+
+        rows.set(key, Object.fromEntries(
+            columns.filter(column => column !== keyColumn).map((column, idx) => [column, Number.parseFloat(values[idx])])
+        ));
+    }
+
+    return rows;
+}
+
+const readFixture = function(name) {
+    return fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf-8");
+}
+
+/**
+ * halog groups requests by their URL up to the first "?" or ";", or by the quoted request if there is no URL.
+ */
+const halogUrl = function(record) {
+    return record.method === "" ? `"${record.request}"` : record.url.split(/[?;]/)[0];
+}
+
+describe("halog compatibility", () => {
+    const entries = [];
+
+    before(async () => {
+        const summary = { linesRead: 0, linesUnparseable: 0, recordsSkipped: 0 };
+
+        for await (const entry of readBucketedRecords([LOG_PATH], "day", 0, summary)) {
+            entries.push(entry);
+        }
+    });
+
+    it("computes the same per-URL totals as halog -u", () => {
+        const expected = parseHalogOutput(readFixture("halog.tsv"), "src");
+        const stats = new Map();
+
+        for (const { record } of entries) {
+            const url = halogUrl(record);
+            if (!stats.has(url)) {
+                stats.set(url, createRequestStats());
+            }
+            addRequestStats(stats.get(url), record);
+        }
+
+        assert.deepEqual([...stats.keys()].sort(), [...expected.keys()].sort());
+
+        // halog's ttot and tavg mix Tr and Ta (for requests without Tr) and have no counterpart in the statistics
+        // tables. okavg corresponds with the average Tr, because the requests with errors in the fixture have no Tr.
+        for (const [url, totals] of expected) {
+            const stat = stats.get(url);
+
+            assert.equal(stat.totalReqCount, totals.req, `req of ${url}`);
+            assert.equal(stat.badReqCount, totals.err, `err of ${url}`);
+            assert.equal(stat.bytesTotal, totals.btot, `btot of ${url}`);
+            assert.equal(Math.floor(stat.bytesTotal / stat.totalReqCount), totals.bavg, `bavg of ${url}`);
+            assert.equal(Math.floor(stat.serverTime.summary().avg), totals.okavg, `okavg of ${url}`);
+        }
+    });
+
+    it("computes the same per-server totals as halog -srv", () => {
+        const expected = parseHalogOutput(readFixture("halog-srv.tsv"), "srv_name");
+        const nodes = createNodeAggregator(NODES);
+        const statuses = createStatusAggregator(loadRoutes(new URL("../routes.json", import.meta.url)), NODES);
+
+        for (const entry of entries) {
+            nodes.add(entry);
+            statuses.add(entry);
+        }
+
+        const nodeRows = nodes.tables().node_stats;
+        const statusRows = statuses.tables().status_stats.filter(row => row.dimension === "node");
+
+        // Requests without a server are not attributed to any node.
+        assert.deepEqual(nodeRows.map(row => `all_handlers/${row.node}`).sort(),
+            [...expected.keys()].filter(name => !name.endsWith("/<NOSRV>")).sort());
+
+        for (const row of nodeRows) {
+            const totals = expected.get(`all_handlers/${row.node}`);
+
+            assert.equal(row.req_successful + row.req_error, totals.tot_req, `tot_req of ${row.node}`);
+            assert.equal(row.req_successful, totals.req_ok, `req_ok of ${row.node}`);
+            assert.equal(Math.floor(row.avg_duration), totals.avg_rt, `avg_rt of ${row.node}`);
+
+            for (const statusClass of ["1xx", "2xx", "3xx", "4xx", "5xx", "other"]) {
+                const count = statusRows
+                    .filter(status => status.name === row.node && status.status_class === statusClass)
+                    .reduce((total, status) => total + status.req_total, 0);
+
+                assert.equal(count, totals[statusClass], `${statusClass} of ${row.node}`);
+            }
+        }
+    });
+
+    for (const [fixture, args, keyColumn] of [["halog.tsv", ["-u", "-H"], "src"], ["halog-srv.tsv", ["-srv", "-H"], "srv_name"]]) {
+        it(`matches the output of halog ${args.join(" ")}`, (t) => {
+            const halog = spawnSync("halog", args, { input: fs.readFileSync(LOG_PATH), encoding: "utf-8" });
+
+            if (halog.error) {
+                t.skip("halog is not installed (see fixtures/README.md)");
+                return;
+            }
+
+            assert.deepEqual(parseHalogOutput(halog.stdout, keyColumn), parseHalogOutput(readFixture(fixture), keyColumn));
+        });
+    }
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { inNetwork, ipToNumber, ipv6Groups, parseNetwork, unmapIPv4 } from "../lib/ip-address.js";
+
+describe("ipv6Groups", () => {
+    it("expands \"::\" at the start, in the middle and at the end of an address", () => {
+        assert.deepEqual(ipv6Groups("::"), [0, 0, 0, 0, 0, 0, 0, 0]);
+        assert.deepEqual(ipv6Groups("::1"), [0, 0, 0, 0, 0, 0, 0, 1]);
+        assert.deepEqual(ipv6Groups("2001:db8::8:1"), [0x2001, 0xdb8, 0, 0, 0, 0, 8, 1]);
+        assert.deepEqual(ipv6Groups("fe80::"), [0xfe80, 0, 0, 0, 0, 0, 0, 0]);
+        assert.deepEqual(ipv6Groups("2001:db8:0:0:0:0:8:1"), ipv6Groups("2001:db8::8:1"));
+    });
+
+    it("converts an embedded IPv4 address into two groups and drops the zone index", () => {
+        assert.deepEqual(ipv6Groups("::ffff:192.0.2.1"), [0, 0, 0, 0, 0, 0xffff, 0xc000, 0x0201]);
+        assert.deepEqual(ipv6Groups("fe80::1%eth0"), [0xfe80, 0, 0, 0, 0, 0, 0, 1]);
+    });
+});
+
+describe("ipToNumber", () => {
+    it("treats IPv4-mapped IPv6 addresses as IPv4 addresses", () => {
+        assert.equal(unmapIPv4("::FFFF:192.0.2.1"), "192.0.2.1");
+        assert.equal(unmapIPv4("2001:db8::1"), "2001:db8::1");
+        assert.deepEqual(ipToNumber("::ffff:192.0.2.1"), ipToNumber("192.0.2.1"));
+        assert.deepEqual(ipToNumber("192.0.2.1"), { version: 4, value: 0xc0000201 });
+    });
+
+    it("converts IPv6 addresses into BigInts", () => {
+        assert.deepEqual(ipToNumber("::1"), { version: 6, value: 1n });
+        assert.deepEqual(ipToNumber("2001:db8::"), { version: 6, value: 0x20010db8n << 96n });
+    });
+
+    it("rejects invalid addresses", () => {
+        assert.equal(ipToNumber("256.0.0.1"), null);
+        assert.equal(ipToNumber("2001:db8:::1"), null);
+        assert.equal(ipToNumber(""), null);
+    });
+});
+
+describe("inNetwork", () => {
+    it("includes both boundaries of an IPv4 network", () => {
+        const network = parseNetwork("192.0.2.0/24");
+
+        assert.equal(inNetwork(network, "192.0.1.255"), false);
+        assert.equal(inNetwork(network, "192.0.2.0"), true);
+        assert.equal(inNetwork(network, "192.0.2.255"), true);
+        assert.equal(inNetwork(network, "192.0.3.0"), false);
+        assert.equal(inNetwork(network, "::ffff:192.0.2.7"), true);
+    });
+
+    it("includes both boundaries of an IPv6 network", () => {
+        const network = parseNetwork("2001:db8::/32");
+
+        assert.equal(inNetwork(network, "2001:db7:ffff:ffff:ffff:ffff:ffff:ffff"), false);
+        assert.equal(inNetwork(network, "2001:db8::"), true);
+        assert.equal(inNetwork(network, "2001:db8:ffff:ffff:ffff:ffff:ffff:ffff"), true);
+        assert.equal(inNetwork(network, "2001:db9::"), false);
+    });
+
+    it("treats an address without prefix length as a network with a single address", () => {
+        assert.equal(inNetwork(parseNetwork("2001:db8::1"), "2001:db8:0::1"), true);
+        assert.equal(inNetwork(parseNetwork("2001:db8::1"), "2001:db8::2"), false);
+        assert.equal(inNetwork(parseNetwork("0.0.0.0/0"), "203.0.113.9"), true);
+    });
+
+    it("never matches addresses of the other IP version", () => {
+        assert.equal(inNetwork(parseNetwork("::/0"), "192.0.2.1"), false);
+        assert.equal(inNetwork(parseNetwork("0.0.0.0/0"), "2001:db8::1"), false);
+    });
+
+    it("rejects invalid networks", () => {
+        assert.equal(parseNetwork("192.0.2.0/33"), null);
+        assert.equal(parseNetwork("2001:db8::/129"), null);
+        assert.equal(parseNetwork("192.0.2.0/x"), null);
+        assert.equal(parseNetwork("example.org/24"), null);
+    });
+});
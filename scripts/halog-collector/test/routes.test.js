@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { compileRoutes, loadRoutes, matchRoute, normalizePath, UNMATCHED_ENDPOINT } from "../lib/routes.js";
+
+const ROUTES = loadRoutes(new URL("../routes.json", import.meta.url));
+
+describe("matchRoute", () => {
+    it("maps API paths onto their endpoint, version and format", () => {
+        assert.deepEqual(matchRoute(ROUTES, "/api/v1/pept2lca.json"),
+            { endpoint: "/api/pept2lca", version: "v1", format: "json" });
+        assert.deepEqual(matchRoute(ROUTES, "/api/v2/taxonomy.xml"),
+            { endpoint: "/api/taxonomy", version: "v2", format: "xml" });
+    });
+
+    it("uses the defaults for optional parts that were not captured", () => {
+        assert.deepEqual(matchRoute(ROUTES, "/api/v2/pept2lca"),
+            { endpoint: "/api/pept2lca", version: "v2", format: "json" });
+        assert.deepEqual(matchRoute(ROUTES, "/mpa/pept2data"),
+            { endpoint: "/mpa/pept2data", version: "", format: "json" });
+    });
+
+    it("matches wildcards across slashes", () => {
+        assert.deepEqual(matchRoute(ROUTES, "/private_api/proteins/P12345/taxa"),
+            { endpoint: "/private_api/proteins", version: "", format: "json" });
+    });
+
+    it("normalizes the path before matching", () => {
+        assert.equal(matchRoute(ROUTES, "//mpa//pept2data/").endpoint, "/mpa/pept2data");
+    });
+
+    it("reports paths that do not match any route as unmatched", () => {
+        assert.deepEqual(matchRoute(ROUTES, "/wp-login.php"), { endpoint: UNMATCHED_ENDPOINT, version: "", format: "" });
+        assert.equal(matchRoute(ROUTES, "/api/v1/pept2lca.json/extra").endpoint, UNMATCHED_ENDPOINT);
+    });
+
+    it("uses the first route that matches", () => {
+        const routes = compileRoutes([
+            { pattern: "/api/v1/*", endpoint: "legacy" },
+            { pattern: "/api/:version/:resource", endpoint: "/api/:resource" }
+        ]);
+
+        assert.equal(matchRoute(routes, "/api/v1/pept2lca").endpoint, "legacy");
+        assert.equal(matchRoute(routes, "/api/v2/pept2lca").endpoint, "/api/pept2lca");
+    });
+
+    it("matches other characters literally", () => {
+        const routes = compileRoutes([{ pattern: "/a.b+c", endpoint: "literal" }]);
+
+        assert.equal(matchRoute(routes, "/a.b+c").endpoint, "literal");
+        assert.equal(matchRoute(routes, "/aXbbc").endpoint, UNMATCHED_ENDPOINT);
+    });
+});
+
+describe("compileRoutes", () => {
+    it("rejects invalid route tables", () => {
+        assert.throws(() => compileRoutes({}), /array of routes/);
+        assert.throws(() => compileRoutes([{ pattern: "/api" }]), /Route 0/);
+        assert.throws(() => compileRoutes([{ pattern: "/api(/:version", endpoint: "/api" }]), /Unbalanced/);
+        assert.throws(() => compileRoutes([{ pattern: "/api)", endpoint: "/api" }]), /Unbalanced/);
+    });
+});
+
+describe("normalizePath", () => {
+    it("collapses duplicate slashes and removes a trailing slash", () => {
+        assert.equal(normalizePath("//mpa///pept2data/"), "/mpa/pept2data");
+        assert.equal(normalizePath("/"), "/");
+        assert.equal(normalizePath("//"), "/");
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * Checks that the tables that the MySQL migrations build are the same as the tables that are described in lib/schema.js
+ * (from which the other storage backends create their tables). The migrations are run against an in-memory database
+ * that understands the DDL statements they use.
+ */
+
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { migrate } from "../lib/migrations.js";
+import { ALL_TABLES, describeTable } from "../lib/schema.js";
+
+const TYPES = [
+    [/^(VARCHAR\(\d+\)|TEXT\b)/i, "text"],
+    [/^(INTEGER|BIGINT)\b/i, "integer"],
+    [/^REAL\b/i, "real"],
+    [/^DATETIME\b/i, "datetime"],
+    [/^DATE\b/i, "date"]
+];
+
+/**
+ * Split a list of definitions on the commas that are not enclosed in parentheses.
+ */
+const splitDefinitions = function(text) {
+    const parts = [""];
+    let depth = 0;
+
+    for (const char of text) {
+        depth += char === "(" ? 1 : char === ")" ? -1 : 0;
+
+        if (char === "," && depth === 0) {
+            parts.push("");
+        } else {
+            parts[parts.length - 1] += char;
+        }
+    }
+
+    return parts.map(part => part.trim()).filter(part => part !== "");
+}
+
+const indexColumns = function(list) {
+    return list.split(",").map(column => column.trim());
+}
+
+/**
+ * Create an in-memory stand-in for a MySQL connection that keeps track of the columns and unique indexes of the tables
+ * that are created and altered by the migrations.
+ */
+const createSchemaRecorder = function() {
+    // Table -> {columns: Map(column -> type), indexes: Map(index -> columns)}
+    const tables = new Map();
+
+    const table = (name) => {
+        if (!tables.has(name)) {
+            throw new Error(`Table ${name} does not exist.`);
+        }
+        return tables.get(name);
+    };
+
+    const alter = (name, definition) => {
+        let match;
+
+        if ((match = /^ADD COLUMN (\w+) (.*?)(?: AFTER \w+)?$/is.exec(definition))) {
+            table(name).columns.set(match[1], match[2]);
+        } else if ((match = /^MODIFY (\w+) (.*)$/is.exec(definition))) {
+            assert.ok(table(name).columns.has(match[1]), `${name}.${match[1]} does not exist`);
+            table(name).columns.set(match[1], match[2]);
+        } else if ((match = /^ADD UNIQUE INDEX (\w+) \((.*)\)$/is.exec(definition))) {
+            table(name).indexes.set(match[1], indexColumns(match[2]));
+        } else if ((match = /^DROP INDEX (\w+)$/is.exec(definition))) {
+            table(name).indexes.delete(match[1]);
+        } else {
+            throw new Error(`Unsupported ALTER TABLE statement: ${definition}`);
+        }
+    };
+
+    const count = (value) => [[{ count: value ? 1 : 0 }]];
+
+    return {
+        tables,
+
+        async query(sql, params = []) {
+            const statement = sql.trim().replace(/;$/, "").trim();
+            let match;
+
+            if (/information_schema\.tables/.test(statement)) {
+                return count(tables.has(params[0]));
+            } else if (/information_schema\.columns/.test(statement)) {
+                return count(tables.get(params[0])?.columns.has(params[1]));
+            } else if (/information_schema\.statistics/.test(statement)) {
+                return count(tables.get(params[0])?.indexes.has(params[1]));
+            } else if (/^SELECT version FROM schema_migrations/.test(statement)) {
+                return [[]];
+            } else if ((match = /^CREATE TABLE IF NOT EXISTS (\w+) \((.*)\)$/is.exec(statement))) {
+                if (!tables.has(match[1])) {
+                    const created = { columns: new Map(), indexes: new Map() };
+
+                    for (const definition of splitDefinitions(match[2])) {
+                        const index = /^UNIQUE INDEX (\w+) \((.*)\)$/is.exec(definition);
+
+                        if (index) {
+                            created.indexes.set(index[1], indexColumns(index[2]));
+                        } else if (!/^PRIMARY KEY/i.test(definition)) {
+                            const [, column, type] = /^(\w+) (.*)$/s.exec(definition);
+                            created.columns.set(column, type);
+                        }
+                    }
+
+                    tables.set(match[1], created);
+                }
+            } else if ((match = /^ALTER TABLE (\w+) (.*)$/is.exec(statement))) {
+                splitDefinitions(match[2]).forEach(definition => alter(match[1], definition));
+            } else if (!/^(INSERT INTO schema_migrations|UPDATE|DELETE)\b/.test(statement)) {
+                throw new Error(`Unsupported statement: ${statement}`);
+            }
+
+            return [[]];
+        }
+    };
+}
+
+const columnType = function(definition) {
+    const type = TYPES.find(([pattern]) => pattern.test(definition));
+    return type ? type[1] : definition;
+}
+
+describe("schema", () => {
+    it("describes the same tables as the migrations build", async () => {
+        const db = createSchemaRecorder();
+        await migrate(db);
+
+        const migrated = [...db.tables.keys()].filter(name => name !== "schema_migrations");
+        assert.deepEqual(migrated.sort(), [...ALL_TABLES].sort());
+
+        for (const name of ALL_TABLES) {
+            const { period, key, values } = describeTable(name);
+            const { columns, indexes } = db.tables.get(name);
+
+            const expected = Object.fromEntries(Object.entries({ ...period, ...key, ...values }).sort());
+            const actual = Object.fromEntries([...columns.entries()]
+                .filter(([column]) => column !== "id")
+                .map(([column, definition]) => [column, columnType(definition)])
+                .sort());
+            assert.deepEqual(actual, expected, `columns of ${name}`);
+
+            const periodKey = "date" in period ? ["date"] : ["period_minutes", "period_start"];
+            assert.deepEqual(indexes.get(`uq_${name}`), [...periodKey, ...Object.keys(key)], `unique index of ${name}`);
+        }
+    });
+});
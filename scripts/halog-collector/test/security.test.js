@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+    classifyRequest,
+    clientAnomalies,
+    compileSecurityRules,
+    formatBlocklist,
+    isAllowlisted,
+    isFailedRequest,
+    loadSecurityRules,
+    selectBlockedClients
+} from "../lib/security.js";
+
+const RULES = loadSecurityRules(new URL("../security-rules.json", import.meta.url));
+
+const request = function(line) {
+    const [method, url] = line.split(" ");
+    return url === undefined ? { request: line, method: "", url: line } : { request: line, method, url };
+}
+
+describe("classifyRequest", () => {
+    it("flags scanner paths with the first matching rule", () => {
+        assert.deepEqual(classifyRequest(RULES, request("GET /wp-login.php HTTP/1.1")),
+            [{ category: "scanner", rule: "wordpress", sample: "/wp-login.php" }]);
+        assert.deepEqual(classifyRequest(RULES, request("GET https://api.unipept.ugent.be/.env?x=1 HTTP/2.0")),
+            [{ category: "scanner", rule: "secrets", sample: "/.env" }]);
+        assert.deepEqual(classifyRequest(RULES, request("GET /sql/phpMyAdmin4/index.php HTTP/1.1")),
+            [{ category: "scanner", rule: "database-admin", sample: "/sql/phpMyAdmin4/index.php" }]);
+    });
+
+    it("does not flag regular API requests", () => {
+        assert.deepEqual(classifyRequest(RULES, request("POST /api/v2/pept2lca.json HTTP/1.1")), []);
+        assert.deepEqual(classifyRequest(RULES, request("GET https://api.unipept.ugent.be/mpa/pept2data HTTP/2.0")), []);
+    });
+
+    it("flags malformed requests", () => {
+        assert.deepEqual(classifyRequest(RULES, request("<BADREQ>")),
+            [{ category: "malformed", rule: "bad-request", sample: "<BADREQ>" }]);
+        assert.deepEqual(classifyRequest(RULES, request("CONNECT ipinfo.io:443 HTTP/1.1")),
+            [{ category: "malformed", rule: "method", sample: "CONNECT ipinfo.io:443 HTTP/1.1" }]);
+        assert.deepEqual(classifyRequest(RULES, request("GET api.unipept.ugent.be HTTP/1.1")),
+            [{ category: "malformed", rule: "request-target", sample: "GET api.unipept.ugent.be HTTP/1.1" }]);
+    });
+
+    it("truncates long samples", () => {
+        const [event] = classifyRequest(RULES, request(`GET /${"a".repeat(300)}.php HTTP/1.1`));
+        assert.equal(event.sample.length, 255);
+    });
+});
+
+describe("clientAnomalies", () => {
+    it("flags clients that exceed the request rate", () => {
+        assert.deepEqual(clientAnomalies(RULES, 36000 * 24 + 1, 0, 24), [{ category: "rate", rule: "max_requests_per_hour" }]);
+        assert.deepEqual(clientAnomalies(RULES, 36000 * 24, 0, 24), []);
+    });
+
+    it("flags clients with a high error rate, but only if they sent enough requests", () => {
+        assert.deepEqual(clientAnomalies(RULES, 100, 50, 24), [{ category: "errors", rule: "max_error_rate" }]);
+        assert.deepEqual(clientAnomalies(RULES, 100, 49, 24), []);
+        assert.deepEqual(clientAnomalies(RULES, 99, 99, 24), []);
+    });
+});
+
+describe("isFailedRequest", () => {
+    it("counts 4xx and 5xx responses and aborted requests", () => {
+        const timers = { tq: 0, tw: 0, tc: 0, tr: 5, ta: 5 };
+
+        assert.equal(isFailedRequest({ ...timers, status: 200 }), false);
+        assert.equal(isFailedRequest({ ...timers, status: 404 }), true);
+        assert.equal(isFailedRequest({ ...timers, status: 200, tr: -1 }), true);
+    });
+});
+
+describe("compileSecurityRules", () => {
+    it("rejects invalid rule files", () => {
+        assert.throws(() => compileSecurityRules({}), /scanner_paths/);
+        assert.throws(() => compileSecurityRules({ scanner_paths: [{ name: "x" }] }), /Scanner path 0/);
+        assert.throws(() => compileSecurityRules({ scanner_paths: [], allowlist: ["not a network"] }), /Invalid network/);
+        assert.throws(() => compileSecurityRules({ scanner_paths: [], max_error_rate: 2 }), /max_error_rate/);
+        assert.throws(() => compileSecurityRules({ scanner_paths: [], min_requests: 0 }), /min_requests/);
+    });
+});
+
+describe("blocklist", () => {
+    const rules = compileSecurityRules({ scanner_paths: [], allowlist: ["127.0.0.1", "10.0.0.0/8"] });
+
+    const events = [
+        { date: "2023-09-09", client: "185.36.81.0/24", category: "scanner", rule: "wordpress", req_total: 3, sample: "/wp-login.php" },
+        { date: "2023-09-10", client: "185.36.81.0/24", category: "malformed", rule: "method", req_total: 1, sample: "CONNECT x" },
+        { date: "2023-09-10", client: "185.36.81.0/24", category: "scanner", rule: "secrets", req_total: 2, sample: "/.env\n" },
+        { date: "2023-09-10", client: "45.79.181.179", category: "scanner", rule: "wordpress", req_total: 10, sample: "/xmlrpc.php" },
+        { date: "2023-09-10", client: "10.1.2.0/24", category: "scanner", rule: "wordpress", req_total: 50, sample: "/wp-admin" }
+    ];
+
+    it("checks addresses against the allowlist", () => {
+        assert.equal(isAllowlisted(rules, "127.0.0.1"), true);
+        assert.equal(isAllowlisted(rules, "10.200.0.1"), true);
+        assert.equal(isAllowlisted(rules, "11.0.0.1"), false);
+    });
+
+    it("selects the clients with events in the given categories", () => {
+        assert.deepEqual(selectBlockedClients(rules, events, ["scanner"]), [
+            { client: "45.79.181.179", requests: 10, lastSeen: "2023-09-10", reasons: ["scanner/wordpress (e.g. /xmlrpc.php)"] },
+            {
+                client: "185.36.81.0/24",
+                requests: 5,
+                lastSeen: "2023-09-10",
+                reasons: ["scanner/wordpress (e.g. /wp-login.php)", "scanner/secrets (e.g. /.env\n)"]
+            }
+        ]);
+    });
+
+    it("only blocks the clients with at least the minimal amount of requests", () => {
+        assert.deepEqual(selectBlockedClients(rules, events, ["scanner"], 10).map(blocked => blocked.client), ["45.79.181.179"]);
+        assert.deepEqual(selectBlockedClients(rules, events, ["scanner"], 11), []);
+
+        // The requests of all events of a client in the selected categories count towards the minimum.
+        assert.deepEqual(selectBlockedClients(rules, events, ["scanner"], 5).map(blocked => blocked.client),
+            ["45.79.181.179", "185.36.81.0/24"]);
+        assert.deepEqual(selectBlockedClients(rules, events, ["scanner", "malformed"], 6).map(blocked => blocked.client),
+            ["45.79.181.179", "185.36.81.0/24"]);
+    });
+
+    it("formats the blocked clients as an HAProxy ACL file", () => {
+        const blocked = selectBlockedClients(rules, events, ["scanner"]);
+
+        assert.equal(formatBlocklist(blocked.slice(1), ["Generated by collect.js"]), [
+            "# Generated by collect.js",
+            "",
+            "# 5 request(s), last seen 2023-09-10: scanner/wordpress (e.g. /wp-login.php), scanner/secrets (e.g. /.env )",
+            "185.36.81.0/24",
+            ""
+        ].join("\n"));
+    });
+});
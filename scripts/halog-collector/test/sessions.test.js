@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createSessionTracker } from "../lib/sessions.js";
+
+const MINUTE = 60 * 1000;
+
+const track = function(requests, idleTimeout = 15 * MINUTE) {
+    const sessions = [];
+    const tracker = createSessionTracker(idleTimeout, session => sessions.push(session));
+
+    for (const [client, start, duration, bytes = 100] of requests) {
+        tracker.add(client, { start, end: start + duration, bytes });
+    }
+    tracker.flush();
+
+    return sessions.map(({ start, end, requests, bytes }) => ({ start, end, requests, bytes }));
+}
+
+describe("createSessionTracker", () => {
+    it("groups consecutive requests of a client into a session", () => {
+        assert.deepEqual(track([
+            ["a", 0, 1000],
+            ["a", 5 * MINUTE, 2000],
+            ["a", 19 * MINUTE, 500, 50]
+        ]), [{ start: 0, end: 19 * MINUTE + 500, requests: 3, bytes: 250 }]);
+    });
+
+    it("starts a new session after the idle timeout", () => {
+        assert.deepEqual(track([
+            ["a", 0, 1000],
+            ["a", 15 * MINUTE + 1000, 1000],
+            ["a", 30 * MINUTE + 2001, 1000]
+        ]), [
+            { start: 0, end: 15 * MINUTE + 2000, requests: 2, bytes: 200 },
+            { start: 30 * MINUTE + 2001, end: 30 * MINUTE + 3001, requests: 1, bytes: 100 }
+        ]);
+    });
+
+    it("keeps the sessions of different clients apart", () => {
+        assert.deepEqual(track([
+            ["a", 0, 1000],
+            ["b", 1000, 1000],
+            ["a", 2000, 1000]
+        ]), [
+            { start: 0, end: 3000, requests: 2, bytes: 200 },
+            { start: 1000, end: 2000, requests: 1, bytes: 100 }
+        ]);
+    });
+
+    it("adds requests that were logged after shorter ones to the current session", () => {
+        assert.deepEqual(track([
+            ["a", 10 * MINUTE, 1000],
+            ["a", 0, 20 * MINUTE]
+        ], 5 * MINUTE), [{ start: 0, end: 20 * MINUTE, requests: 2, bytes: 200 }]);
+    });
+
+    it("reports the first request of every session", () => {
+        const firsts = [];
+        const tracker = createSessionTracker(MINUTE, session => firsts.push(session.first.id));
+
+        tracker.add("a", { id: 1, start: 0, end: 10, bytes: 0 });
+        tracker.add("a", { id: 2, start: 20, end: 30, bytes: 0 });
+        tracker.add("a", { id: 3, start: 2 * MINUTE, end: 2 * MINUTE, bytes: 0 });
+        tracker.flush();
+        tracker.flush();
+
+        assert.deepEqual(firsts, [1, 3]);
+    });
+});
@@ -0,0 +1,195 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { parseCsv } from "../lib/csv.js";
+import { createStatsHandler } from "../lib/stats-api.js";
+
+const NODE_STATS = [
+    { date: "2023-09-09", node: "rick", req_successful: 1, req_error: 0, avg_duration: 10, bytes_total: 100 },
+    { date: "2023-09-10", node: "rick", req_successful: 2, req_error: 1, avg_duration: 20, bytes_total: 300 },
+    { date: "2023-09-10", node: "selma", req_successful: 4, req_error: 0, avg_duration: 5, bytes_total: 400 },
+    { date: "2023-09-11", node: "rick", req_successful: 5, req_error: 0, avg_duration: 2, bytes_total: 500 },
+    { date: "2023-10-01", node: "rick", req_successful: 1, req_error: 1, avg_duration: 0, bytes_total: 0 }
+];
+
+/**
+ * Create a stats handler that reads NODE_STATS and keeps track of the tables that it reads.
+ */
+const createHandler = function(cacheTtl = 300) {
+    const reads = [];
+    const readTable = async (table, from, to) => {
+        reads.push(`${table} ${from} ${to}`);
+        return table === "node_stats" ? NODE_STATS.filter(row => row.date >= from && row.date <= to) : [];
+    };
+
+    return { handler: createStatsHandler(readTable, cacheTtl), reads };
+}
+
+/**
+ * Send a request to a handler and collect the response.
+ */
+const request = async function(handler, url, method = "GET") {
+    const response = {};
+
+    await handler({ method, url }, {
+        writeHead(status, headers) {
+            response.status = status;
+            response.headers = headers;
+        },
+        end(body) {
+            response.body = body;
+        }
+    });
+
+    return response;
+}
+
+const getJson = async function(handler, url) {
+    const response = await request(handler, url);
+    return { ...response, json: JSON.parse(response.body) };
+}
+
+describe("createStatsHandler", () => {
+    it("rejects invalid dates, ranges and groups", async () => {
+        const { handler, reads } = createHandler();
+
+        for (const [query, message] of [
+            ["from=2023-13-01&to=2023-12-31", /Invalid "from" date/],
+            ["from=2023-09-01&to=yesterday", /Invalid "to" date/],
+            ["from=2023-09-10&to=2023-09-09", /should not be after/],
+            ["from=2023-09-01&to=2023-09-30&group=year", /Invalid group "year"/]
+        ]) {
+            const { status, json } = await getJson(handler, `/stats/nodes?${query}`);
+
+            assert.equal(status, 400, query);
+            assert.match(json.error, message, query);
+        }
+
+        assert.deepEqual(reads, []);
+        assert.equal((await request(handler, "/stats/unknown")).status, 404);
+    });
+
+    it("aggregates per day and filters on the key columns", async () => {
+        const { handler } = createHandler();
+        const { status, json } = await getJson(handler, "/stats/nodes?from=2023-09-10&to=2023-09-11&node=rick");
+
+        assert.equal(status, 200);
+        assert.deepEqual(json.data.map(row => [row.period, row.node, row.requests]), [
+            ["2023-09-10", "rick", 3],
+            ["2023-09-11", "rick", 5]
+        ]);
+    });
+
+    it("groups days into weeks starting on Monday and into months", async () => {
+        const { handler } = createHandler();
+
+        const weeks = await getJson(handler, "/stats/nodes?from=2023-09-01&to=2023-10-31&group=week&node=rick");
+        assert.deepEqual(weeks.json.data.map(row => [row.period, row.requests]), [
+            ["2023-09-04", 4],
+            ["2023-09-11", 5],
+            ["2023-09-25", 2]
+        ]);
+
+        const months = await getJson(handler, "/stats/nodes?from=2023-09-01&to=2023-10-31&group=month&node=rick");
+        assert.deepEqual(months.json.data.map(row => [row.period, row.requests]), [
+            ["2023-09-01", 9],
+            ["2023-10-01", 2]
+        ]);
+    });
+
+    it("weights the average duration by the amount of requests", async () => {
+        const { handler } = createHandler();
+        const { json } = await getJson(handler, "/stats/nodes?from=2023-09-09&to=2023-09-10&group=week&node=rick");
+
+        // (1 request * 10 ms + 3 requests * 20 ms) / 4 requests
+        assert.deepEqual(json.data, [{
+            period: "2023-09-04",
+            node: "rick",
+            requests: 4,
+            req_successful: 3,
+            req_error: 1,
+            bytes_total: 400,
+            error_rate: 0.25,
+            avg_duration: 17.5
+        }]);
+    });
+
+    it("serves CSV as a download", async () => {
+        const { handler } = createHandler();
+        const { status, headers, body } = await request(handler, "/stats/nodes.csv?from=2023-09-10&to=2023-09-10");
+
+        assert.equal(status, 200);
+        assert.equal(headers["Content-Type"], "text/csv; charset=utf-8");
+        assert.equal(headers["Content-Disposition"], "attachment; filename=\"nodes-2023-09-10-2023-09-10.csv\"");
+        assert.deepEqual(parseCsv(body).map(row => [row.period, row.node, row.requests, row.avg_duration]), [
+            ["2023-09-10", "selma", "4", "5"],
+            ["2023-09-10", "rick", "3", "20"]
+        ]);
+
+        // An empty result still has a header line.
+        const empty = await request(handler, "/stats/nodes.csv?from=2020-01-01&to=2020-01-01");
+        assert.equal(empty.body, "period,node\n");
+    });
+
+    it("only accepts GET and HEAD requests", async () => {
+        const { handler, reads } = createHandler();
+
+        for (const method of ["POST", "PUT", "DELETE"]) {
+            const { status, headers } = await request(handler, "/stats/nodes", method);
+
+            assert.equal(status, 405, method);
+            assert.equal(headers.Allow, "GET, HEAD");
+        }
+
+        const head = await request(handler, "/stats/nodes?from=2023-09-10&to=2023-09-10", "HEAD");
+        assert.equal(head.status, 200);
+        assert.equal(head.body, undefined);
+        assert.deepEqual(reads, ["node_stats 2023-09-10 2023-09-10"]);
+    });
+
+    it("caches responses until they expire", async (t) => {
+        let now = Date.parse("2023-09-12T12:00:00Z");
+        t.mock.method(Date, "now", () => now);
+
+        const { handler, reads } = createHandler(60);
+        const url = "/stats/nodes?from=2023-09-10&to=2023-09-10";
+
+        const first = await request(handler, url);
+        assert.equal(first.headers["Cache-Control"], "public, max-age=60");
+
+        // The order of the query parameters does not matter.
+        now += 59 * 1000;
+        assert.deepEqual(await request(handler, "/stats/nodes?to=2023-09-10&from=2023-09-10"), first);
+        assert.equal(reads.length, 1);
+
+        now += 1000;
+        await request(handler, url);
+        assert.equal(reads.length, 2);
+    });
+
+    it("evicts the oldest response when the cache is full", async () => {
+        const { handler, reads } = createHandler();
+
+        // The cache holds 1000 responses.
+        for (let idx = 0; idx <= 1000; idx++) {
+            await request(handler, `/stats/nodes?from=2023-09-10&to=2023-09-10&node=n${idx}`);
+        }
+        assert.equal(reads.length, 1001);
+
+        await request(handler, "/stats/nodes?from=2023-09-10&to=2023-09-10&node=n1");
+        assert.equal(reads.length, 1001);
+
+        await request(handler, "/stats/nodes?from=2023-09-10&to=2023-09-10&node=n0");
+        assert.equal(reads.length, 1002);
+    });
+
+    it("does not cache anything with a cache TTL of 0", async () => {
+        const { handler, reads } = createHandler(0);
+
+        const { headers } = await request(handler, "/stats/nodes?from=2023-09-10&to=2023-09-10");
+        await request(handler, "/stats/nodes?from=2023-09-10&to=2023-09-10");
+
+        assert.equal(headers["Cache-Control"], "no-store");
+        assert.equal(reads.length, 2);
+    });
+});
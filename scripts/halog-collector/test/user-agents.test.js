@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { classifyUserAgent, compileUserAgentRules, loadUserAgentRules } from "../lib/user-agents.js";
+
+const RULES = loadUserAgentRules(new URL("../user-agents.json", import.meta.url));
+
+describe("classifyUserAgent", () => {
+    it("recognizes the Unipept CLI and its version", () => {
+        assert.deepEqual(classifyUserAgent(RULES, "Unipept CLI - unipept 4.3.1"), { source: "cli", version: "4.3.1" });
+        assert.deepEqual(classifyUserAgent(RULES, "unipept cli"), { source: "cli", version: "" });
+    });
+
+    it("recognizes the desktop app and its version before the browser that it embeds", () => {
+        const userAgent = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) " +
+            "unipeptdesktop/2.0.1 Chrome/108.0.5359.215 Electron/22.3.2 Safari/537.36";
+
+        assert.deepEqual(classifyUserAgent(RULES, userAgent), { source: "desktop", version: "2.0.1" });
+    });
+
+    it("attributes requests of the web app to the browser in which it runs", () => {
+        const userAgent = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) " +
+            "Chrome/117.0.0.0 Safari/537.36|https://unipept.ugent.be/mpa";
+
+        assert.deepEqual(classifyUserAgent(RULES, userAgent), { source: "web", version: "" });
+    });
+
+    it("recognizes browsers", () => {
+        const userAgent = "Mozilla/5.0 (X11; Linux x86_64; rv:109.0) Gecko/20100101 Firefox/118.0";
+
+        assert.deepEqual(classifyUserAgent(RULES, userAgent), { source: "web", version: "" });
+    });
+
+    it("recognizes bots and scripts, even if they pretend to be a browser", () => {
+        const googlebot = "Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html) Chrome/117.0.0.0";
+
+        assert.equal(classifyUserAgent(RULES, googlebot).source, "bot");
+        assert.equal(classifyUserAgent(RULES, "python-requests/2.31.0").source, "script");
+        assert.equal(classifyUserAgent(RULES, "curl/8.4.0").source, "script");
+    });
+
+    it("attributes unknown user agents to the fallback source", () => {
+        assert.deepEqual(classifyUserAgent(RULES, "Mozilla/5.0 zgrab/0.x"), { source: "other", version: "" });
+        assert.deepEqual(classifyUserAgent(RULES, ""), { source: "other", version: "" });
+    });
+});
+
+describe("compileUserAgentRules", () => {
+    it("lists every source of the rules and the fallback", () => {
+        assert.deepEqual(RULES.sources, ["desktop", "cli", "bot", "script", "web", "other"]);
+    });
+
+    it("rejects rules without a source or pattern", () => {
+        assert.throws(() => compileUserAgentRules({ rules: [{ source: "cli" }] }), /rule 0/);
+        assert.throws(() => compileUserAgentRules({}), /array of rules/);
+    });
+});
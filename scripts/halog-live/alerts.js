@@ -0,0 +1,328 @@
+/**
+ * Threshold alerts on the metrics of halog-live. The alert rules and the notification channels are read from a JSON
+ * file (see alert-rules.example.json):
+ *
+ * - rules: a list of rules with a unique name, the scope of the metric ("node", "endpoint", "frontend", "backend" or
+ *   "haproxy"), the name of the metric (as produced by buildMetrics in halog-live.js), an operator (>, >=, <, <=, == or
+ *   !=), a threshold and optionally:
+ *   - divide_by: the name of a second metric of the same scope by which the metric is divided before it is compared
+ *     with the threshold (e.g. status_5xx_per_second / requests_per_second for the fraction of 5xx responses).
+ *   - for: the number of seconds the condition should hold before the alert fires. Default: 0
+ *   - window: the sliding window of the metric (e.g. "5m"), for the metrics that are computed per window. It should be
+ *     one of the windows of halog-live (--windows). Default: "1m"
+ *   - labels: only evaluate the rule for the metrics with these labels (e.g. {"node": "rick"}).
+ *   - description: a human-readable description that is included in the notifications.
+ * - notify: a list of channels to which the notifications are sent. Default: [{"type": "stderr"}]
+ *   - {"type": "stderr"}: print a line to stderr.
+ *   - {"type": "webhook", "url": "https://..."}: POST the alert as JSON. The payload contains a "text" field, so that it
+ *     can be sent to a Slack or Mattermost incoming webhook directly.
+ *   - {"type": "command", "command": "..."}: run a shell command, with the alert as JSON on stdin and in ALERT_*
+ *     environment variables.
+ *
+ * A rule is evaluated separately for every set of labels (e.g. for every node). The state of all alerts (since when
+ * their condition holds and whether they are firing) is persisted in a state file, so that every alert only results in
+ * a single "firing" and a single "resolved" notification, even if halog-live runs as a oneshot every few seconds.
+ */
+
+import {spawn} from 'node:child_process';
+import fs from 'node:fs';
+
+export const ALERT_SCOPES = ['node', 'endpoint', 'frontend', 'backend', 'haproxy'];
+
+const OPERATORS = {
+    '>': (value, threshold) => value > threshold,
+    '>=': (value, threshold) => value >= threshold,
+    '<': (value, threshold) => value < threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold,
+};
+
+// The window of the metrics that is used by rules without a window
+const DEFAULT_WINDOW = '1m';
+
+// How long to wait for a webhook or a command before giving up
+const NOTIFY_TIMEOUT_MS = 10000;
+
+function validateRule(rule, idx, names, windows) {
+    const where = `rule ${idx + 1}${rule?.name ? ` (${rule.name})` : ''}`;
+
+    if (typeof rule?.name !== 'string' || rule.name.length === 0) throw new Error(`${where} has no name.`);
+    if (names.has(rule.name)) throw new Error(`${where}: the name of every rule should be unique.`);
+    if (!ALERT_SCOPES.includes(rule.scope)) {
+        throw new Error(`${where}: scope should be one of ${ALERT_SCOPES.join(', ')}.`);
+    }
+    if (typeof rule.metric !== 'string') throw new Error(`${where} has no metric.`);
+    if (rule.divide_by !== undefined && typeof rule.divide_by !== 'string') {
+        throw new Error(`${where}: divide_by should be the name of a metric.`);
+    }
+    if (!(rule.operator in OPERATORS)) {
+        throw new Error(`${where}: operator should be one of ${Object.keys(OPERATORS).join(', ')}.`);
+    }
+    if (typeof rule.threshold !== 'number') throw new Error(`${where}: threshold should be a number.`);
+    if (rule.for !== undefined && !(typeof rule.for === 'number' && rule.for >= 0)) {
+        throw new Error(`${where}: for should be a number of seconds.`);
+    }
+    if (rule.window !== undefined && typeof rule.window !== 'string') {
+        throw new Error(`${where}: window should be the name of a window (e.g. "5m").`);
+    }
+    // A rule over a window that is not computed would never fire
+    if (!windows.includes(rule.window ?? DEFAULT_WINDOW)) {
+        throw new Error(`${where}: window ${rule.window ?? `${DEFAULT_WINDOW} (the default)`} is not one of the ` +
+            `windows of --windows (${windows.join(', ')}).`);
+    }
+    if (rule.labels !== undefined && (typeof rule.labels !== 'object' || rule.labels === null)) {
+        throw new Error(`${where}: labels should be an object.`);
+    }
+    names.add(rule.name);
+}
+
+function validateChannel(channel, idx) {
+    const where = `notification channel ${idx + 1}`;
+
+    switch (channel?.type) {
+        case 'stderr':
+            return;
+        case 'webhook':
+            if (typeof channel.url !== 'string') throw new Error(`${where} (webhook) has no url.`);
+            new URL(channel.url);
+            return;
+        case 'command':
+            if (typeof channel.command !== 'string') throw new Error(`${where} (command) has no command.`);
+            return;
+        default:
+            throw new Error(`${where} should have type stderr, webhook or command.`);
+    }
+}
+
+/**
+ * Read and validate an alert rules file.
+ *
+ * @param rulesFile Path to the JSON file with the rules and the notification channels.
+ * @param windows The names of the sliding windows over which the metrics are computed (e.g. ["1m", "5m", "15m"]).
+ * @returns object The configuration: {rules, notify}. Throws if the file is invalid.
+ */
+export function loadAlertRules(rulesFile, windows) {
+    const config = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+
+    const rules = config.rules ?? [];
+    const notify = config.notify ?? [{type: 'stderr'}];
+    if (!Array.isArray(rules) || !Array.isArray(notify)) {
+        throw new Error('"rules" and "notify" should be lists.');
+    }
+
+    const names = new Set();
+    rules.forEach((rule, idx) => validateRule(rule, idx, names, windows));
+    notify.forEach(validateChannel);
+
+    return {rules, notify};
+}
+
+// Load the state of all alerts: "<rule>|<labels>" -> {rule, labels, since, firing, value}
+function loadAlertState(stateFile) {
+    try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8')).alerts ?? {};
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Failed to read alert state file ${stateFile}, starting from scratch:`, e.message || e);
+        }
+        return {};
+    }
+}
+
+// Persist the state atomically (see saveState in halog-live.js)
+function saveAlertState(stateFile, alerts) {
+    const tmpFile = `${stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({alerts}));
+    fs.renameSync(tmpFile, stateFile);
+}
+
+function formatLabels(labels) {
+    return Object.entries(labels).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+// A one-line summary of an alert, e.g.
+// "[FIRING] HighErrorRate (node=rick): status_5xx_per_second / requests_per_second = 0.08 > 0.05 for 60s"
+function summarize(status, rule, alert) {
+    const labels = formatLabels(alert.labels);
+    const metric = rule.divide_by ? `${rule.metric} / ${rule.divide_by}` : rule.metric;
+    const value = alert.value === null ? 'no data' : `${Number(alert.value.toFixed(4))}`;
+    const duration = rule.for ? ` for ${rule.for}s` : '';
+
+    return `[${status.toUpperCase()}] ${rule.name}${labels ? ` (${labels})` : ''}: ${metric} = ${value}` +
+        (status === 'firing' ? ` ${rule.operator} ${rule.threshold}${duration}` : '');
+}
+
+function sendToWebhook(url, notification) {
+    return fetch(url, {
+        method: 'POST',
+        headers: {'Content-Type': 'application/json'},
+        body: JSON.stringify(notification),
+        signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS),
+    }).then(async (response) => {
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${(await response.text()).trim()}`);
+        }
+    });
+}
+
+function runCommand(command, notification) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, {
+            shell: true,
+            stdio: ['pipe', 'inherit', 'inherit'],
+            timeout: NOTIFY_TIMEOUT_MS,
+            env: {
+                ...process.env,
+                ALERT_STATUS: notification.status,
+                ALERT_RULE: notification.rule,
+                ALERT_LABELS: formatLabels(notification.labels),
+                ALERT_VALUE: String(notification.value ?? ''),
+                ALERT_THRESHOLD: String(notification.threshold),
+                ALERT_TEXT: notification.text,
+            },
+        });
+
+        // The command does not have to read its stdin
+        child.stdin.on('error', () => {});
+        child.stdin.end(JSON.stringify(notification) + '\n');
+
+        child.on('error', reject);
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error(signal ? `killed by ${signal}` : `exited with code ${code}`));
+            }
+        });
+    });
+}
+
+function createChannel(channel) {
+    switch (channel.type) {
+        case 'stderr':
+            return {description: 'stderr', send: async ({text}) => console.error(text)};
+        case 'webhook':
+            return {
+                description: `webhook ${new URL(channel.url).origin}`,
+                send: (notification) => sendToWebhook(channel.url, notification),
+            };
+        case 'command':
+            return {
+                description: `command "${channel.command}"`,
+                send: (notification) => runCommand(channel.command, notification),
+            };
+    }
+}
+
+// The value of a rule for every set of labels: "<labels>" -> {labels, value}. Sets of labels for which the metric
+// (or the metric it is divided by) is missing, or for which it is divided by zero, are left out.
+function ruleValues(rule, metrics) {
+    const values = new Map();
+    const divisors = new Map();
+
+    for (const metric of metrics) {
+        if (metric.scope !== rule.scope) continue;
+        if (metric.labels.window !== undefined && metric.labels.window !== (rule.window ?? DEFAULT_WINDOW)) continue;
+        if (Object.entries(rule.labels ?? {}).some(([key, value]) => metric.labels[key] !== value)) continue;
+
+        const key = JSON.stringify(metric.labels);
+        if (metric.name === rule.metric) values.set(key, {labels: metric.labels, value: metric.value});
+        if (metric.name === rule.divide_by) divisors.set(key, metric.value);
+    }
+
+    if (!rule.divide_by) return values;
+
+    for (const [key, entry] of values.entries()) {
+        const divisor = divisors.get(key);
+        if (divisor) {
+            entry.value /= divisor;
+        } else {
+            values.delete(key);
+        }
+    }
+    return values;
+}
+
+/**
+ * Set up the evaluation of the alert rules.
+ *
+ * @param config The configuration, as returned by loadAlertRules.
+ * @param stateFile File in which the state of the alerts is persisted between runs.
+ * @returns object An object with an evaluate(metrics) method that evaluates all rules against the metrics of one cycle
+ * (as produced by buildMetrics in halog-live.js) and sends the notifications of the alerts that started firing or were
+ * resolved. Returns a promise that resolves to false if at least one notification could not be sent.
+ */
+export function createAlerting(config, stateFile) {
+    const channels = config.notify.map(createChannel);
+
+    async function notify(status, rule, alert, now) {
+        const notification = {
+            status,
+            rule: rule.name,
+            description: rule.description ?? null,
+            labels: alert.labels,
+            metric: rule.divide_by ? `${rule.metric} / ${rule.divide_by}` : rule.metric,
+            value: alert.value,
+            operator: rule.operator,
+            threshold: rule.threshold,
+            since: new Date(alert.since).toISOString(),
+            time: new Date(now).toISOString(),
+            text: summarize(status, rule, alert) + (rule.description ? ` - ${rule.description}` : ''),
+        };
+
+        const results = await Promise.allSettled(channels.map((channel) => channel.send(notification)));
+        results.forEach((result, idx) => {
+            if (result.status === 'rejected') {
+                console.error(`Failed to send alert to ${channels[idx].description}:`, result.reason?.message || result.reason);
+            }
+        });
+        return results.every((result) => result.status === 'fulfilled');
+    }
+
+    async function evaluate(metrics) {
+        const now = Date.now();
+        const previous = loadAlertState(stateFile);
+        const alerts = {};
+        const notifications = [];
+
+        for (const rule of config.rules) {
+            const values = ruleValues(rule, metrics);
+
+            for (const [labelsKey, {labels, value}] of values.entries()) {
+                if (!OPERATORS[rule.operator](value, rule.threshold)) continue;
+
+                const key = `${rule.name}|${labelsKey}`;
+                const alert = {rule: rule.name, labels, since: previous[key]?.since ?? now, firing: false, value};
+                alert.firing = previous[key]?.firing || now - alert.since >= (rule.for ?? 0) * 1000;
+                alerts[key] = alert;
+
+                if (alert.firing && !previous[key]?.firing) notifications.push(['firing', rule, alert]);
+            }
+
+            // Alerts of which the condition no longer holds (or for which there is no data anymore) are resolved
+            for (const [key, alert] of Object.entries(previous)) {
+                if (alert.rule !== rule.name || key in alerts || !alert.firing) continue;
+
+                const current = values.get(key.substring(rule.name.length + 1));
+                notifications.push(['resolved', rule, {...alert, value: current?.value ?? null}]);
+            }
+        }
+
+        // The state is saved before the notifications are sent: an alert for which the notification fails is not
+        // retried, to avoid sending the same notification on every cycle.
+        try {
+            saveAlertState(stateFile, alerts);
+        } catch (e) {
+            console.error(`Failed to write alert state file ${stateFile}:`, e.message || e);
+        }
+
+        let ok = true;
+        for (const [status, rule, alert] of notifications) {
+            ok = await notify(status, rule, alert, now) && ok;
+        }
+        return ok;
+    }
+
+    return {evaluate};
+}
@@ -0,0 +1,235 @@
+/**
+ * Exporters that send the metrics of halog-live to a monitoring backend. Every exporter is an object with:
+ *
+ * - description: a human-readable description that is used in log messages.
+ * - send(metrics): deliver a list of metrics (as produced by buildMetrics in halog-live.js). Returns a promise that is
+ *   rejected if the metrics could not be delivered.
+ * - close(): release all resources that are held by the exporter (e.g. a listening HTTP server).
+ *
+ * Available exporters:
+ *
+ * - graphite: Carbon plaintext protocol over TCP, using the Graphite path of every metric.
+ * - statsd: StatsD gauges over UDP, using the Graphite path of every metric.
+ * - influxdb: InfluxDB line protocol over HTTP, with one measurement per scope (e.g. halog_live_node) and the labels
+ *   as tags.
+ * - prometheus: a /metrics HTTP endpoint in the Prometheus text format that is scraped by Prometheus. It always serves
+ *   the metrics of the last flush, so it is only useful in daemon mode.
+ */
+
+import dgram from 'node:dgram';
+import http from 'node:http';
+import net from 'node:net';
+
+export const EXPORTER_TYPES = ['graphite', 'prometheus', 'statsd', 'influxdb'];
+
+// Maximum size of a single StatsD datagram, which stays below the MTU of most networks
+const STATSD_MAX_PACKET_BYTES = 1400;
+
+// How long to wait for InfluxDB before giving up
+const INFLUXDB_TIMEOUT_MS = 10000;
+
+// Replace everything but letters, digits, "_" and "-" in a segment of a Graphite path (which is also used by StatsD),
+// since dots separate the segments and spaces separate the path from the value
+export function sanitizeForGraphite(segment) {
+    return String(segment).replace(/[^A-Za-z0-9_\-]/g, '_');
+}
+
+// Format the metrics in the Carbon plaintext protocol, with the given timestamp (in seconds)
+export function formatGraphite(metrics, ts) {
+    return metrics.map(({path, value}) => `${path} ${value} ${ts}\n`).join('');
+}
+
+function sendToGraphite(host, port, metrics) {
+    return new Promise((resolve, reject) => {
+        const client = new net.Socket();
+        let resolved = false;
+
+        client.connect(port, host, () => {
+            const payload = formatGraphite(metrics, Math.floor(Date.now() / 1000));
+            client.write(payload, 'utf8', () => {
+                client.end();
+            });
+        });
+
+        client.on('error', (err) => {
+            if (!resolved) {
+                resolved = true;
+                reject(err);
+            }
+        });
+
+        client.on('close', () => {
+            if (!resolved) {
+                resolved = true;
+                resolve();
+            }
+        });
+    });
+}
+
+function createGraphiteExporter({graphiteHost, graphitePort}) {
+    return {
+        description: `Graphite at ${graphiteHost}:${graphitePort}`,
+        send: (metrics) => sendToGraphite(graphiteHost, graphitePort, metrics),
+        close: async () => {},
+    };
+}
+
+// Format the metrics as StatsD gauges (including request_count, which is an absolute value and not an increment).
+// Several metrics are combined in a single datagram (separated by newlines), without exceeding the maximum size.
+// Returns the payloads of the datagrams.
+export function formatStatsd(metrics) {
+    const packets = [];
+    let packet = '';
+    for (const {path, value} of metrics) {
+        const line = `${path}:${value}|g`;
+        if (packet && Buffer.byteLength(packet) + 1 + Buffer.byteLength(line) > STATSD_MAX_PACKET_BYTES) {
+            packets.push(packet);
+            packet = '';
+        }
+        packet = packet ? `${packet}\n${line}` : line;
+    }
+    if (packet) packets.push(packet);
+    return packets;
+}
+
+function createStatsdExporter({statsdHost, statsdPort}) {
+    const socket = dgram.createSocket(net.isIPv6(statsdHost) ? 'udp6' : 'udp4');
+    socket.unref();
+
+    function sendPacket(payload) {
+        return new Promise((resolve, reject) => {
+            socket.send(payload, statsdPort, statsdHost, (err) => (err ? reject(err) : resolve()));
+        });
+    }
+
+    return {
+        description: `StatsD at ${statsdHost}:${statsdPort}`,
+        async send(metrics) {
+            for (const packet of formatStatsd(metrics)) {
+                await sendPacket(packet);
+            }
+        },
+        close: async () => socket.close(),
+    };
+}
+
+// Escape the commas, spaces and equals signs in tag keys and values (InfluxDB line protocol)
+function escapeInfluxTag(value) {
+    return String(value).replace(/[,= \\]/g, (char) => `\\${char}`);
+}
+
+// Format the metrics in the InfluxDB line protocol, with the given timestamp (in seconds). All metrics with the same
+// scope and labels become the fields of a single line.
+export function formatInfluxdb(metrics, ts) {
+    const lines = new Map();
+    for (const {scope, labels, name, value} of metrics) {
+        const tags = Object.entries(labels).map(([key, tag]) => `,${escapeInfluxTag(key)}=${escapeInfluxTag(tag)}`);
+        const series = `halog_live_${scope}${tags.join('')}`;
+        if (!lines.has(series)) lines.set(series, []);
+        lines.get(series).push(`${name}=${value}`);
+    }
+
+    // Timestamps are in nanoseconds, the default precision of both InfluxDB 1.x and 2.x
+    return [...lines.entries()].map(([series, fields]) => `${series} ${fields.join(',')} ${ts}000000000`).join('\n');
+}
+
+function createInfluxdbExporter({influxdbUrl, influxdbToken}) {
+    return {
+        description: `InfluxDB at ${new URL(influxdbUrl).origin}`,
+        async send(metrics) {
+            const body = formatInfluxdb(metrics, Math.floor(Date.now() / 1000));
+            const response = await fetch(influxdbUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'text/plain; charset=utf-8',
+                    ...(influxdbToken ? {'Authorization': `Token ${influxdbToken}`} : {}),
+                },
+                body,
+                signal: AbortSignal.timeout(INFLUXDB_TIMEOUT_MS),
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${(await response.text()).trim()}`);
+            }
+        },
+        close: async () => {},
+    };
+}
+
+// Escape a label value (Prometheus text format)
+function escapePrometheusLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Format the metrics in the Prometheus text format, with one metric family per scope and name
+// (e.g. halog_live_node_avg_response_time{node="rick",window="1m"}). Following the Prometheus naming conventions, the
+// names of counters end in "_total" (e.g. halog_live_node_request_count_total{node="rick"}).
+export function formatPrometheus(metrics) {
+    const families = new Map();
+    for (const metric of metrics) {
+        const family = `halog_live_${metric.scope}_${metric.name}${metric.type === 'counter' ? '_total' : ''}`;
+        if (!families.has(family)) families.set(family, {type: metric.type, samples: []});
+
+        const labels = Object.entries(metric.labels).map(([key, value]) => `${key}="${escapePrometheusLabel(value)}"`);
+        families.get(family).samples.push(`${family}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${metric.value}`);
+    }
+
+    const lines = [];
+    for (const [family, {type, samples}] of families.entries()) {
+        lines.push(`# TYPE ${family} ${type}`, ...samples);
+    }
+    return lines.join('\n') + '\n';
+}
+
+async function createPrometheusExporter({prometheusHost, prometheusPort}) {
+    let body = '';
+
+    const server = http.createServer((req, res) => {
+        if (new URL(req.url, 'http://localhost').pathname !== '/metrics') {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            res.end('Not found, metrics are served on /metrics\n');
+            return;
+        }
+        res.writeHead(200, {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'});
+        res.end(body);
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(prometheusPort, prometheusHost, resolve);
+    });
+
+    return {
+        description: `Prometheus endpoint on ${prometheusHost}:${prometheusPort}`,
+        async send(metrics) {
+            body = formatPrometheus(metrics);
+        },
+        close: () => new Promise((resolve) => {
+            server.close(() => resolve());
+            server.closeAllConnections();
+        }),
+    };
+}
+
+/**
+ * Create an exporter.
+ *
+ * @param type One of EXPORTER_TYPES.
+ * @param options The settings of the exporters: graphiteHost, graphitePort, statsdHost, statsdPort, influxdbUrl,
+ *                influxdbToken, prometheusHost and prometheusPort.
+ * @returns Promise<object> The exporter.
+ */
+export async function createExporter(type, options) {
+    switch (type) {
+        case 'graphite':
+            return createGraphiteExporter(options);
+        case 'prometheus':
+            return createPrometheusExporter(options);
+        case 'statsd':
+            return createStatsdExporter(options);
+        case 'influxdb':
+            return createInfluxdbExporter(options);
+        default:
+            throw new Error(`Unknown exporter "${type}".`);
+    }
+}
@@ -1,268 +1,444 @@
 /**
- * Use the HAProxy halog utility to parse the HAProxy log file, extract total requests
- * per backend node, and send the totals to Graphite (Carbon plaintext over TCP).
+ * Parse the HAProxy log file, extract total requests per backend node, and send the
+ * totals to Graphite (Carbon plaintext over TCP) or any of the other exporters (see exporters.js).
  *
  * Options (all optional):
- * --haproxy-log   Path to HAProxy log file. Default: /var/log/haproxy.log
+ * --haproxy-log   Path(s) to HAProxy log file(s), may be gzipped. Default: /var/log/haproxy.log
+ * --exporter      Exporter(s) to use: graphite, prometheus, statsd and/or influxdb. Default: graphite
  * --graphite-host Graphite/Carbon host.      Default: 127.0.0.1
  * --graphite-port Graphite/Carbon TCP port.  Default: 2003
+ * --prometheus-host / --prometheus-port  Address of the Prometheus /metrics endpoint. Default: 0.0.0.0:9464
+ * --statsd-host / --statsd-port          StatsD host and UDP port. Default: 127.0.0.1:8125
+ * --influxdb-url / --influxdb-token      InfluxDB write URL and API token. Default: http://127.0.0.1:8086/write?db=halog_live
+ * --config        Shared JSON configuration file (see ../haproxy-log/config.js), options are read from its "live" key.
+ * --credentials-file JSON file with secrets (influxdb-token). All options can also be set as HALOG_* environment variables.
+ * --nodes         Backend nodes that are reported with rates of 0 if they have no requests. Default: nodes in the log
+ * --metric-prefix Prefix of the Graphite metric paths. Default: halog_live.unipeptapi
+ * --endpoint-prefixes First path segments of the endpoints for which rates are reported. Default: api private_api mpa
+ * --daemon        Keep running and tail the log file instead of parsing it once.
+ * --flush-interval Seconds between two flushes of the metrics in daemon mode. Default: 10
+ * --state-file    File in which the daemon persists its offset and counters. Default: /var/lib/halog-live/state.json
+ * --top-endpoints Number of top-level endpoints for which rates are reported. Default: 20
+ * --windows       Sliding windows over which the latency, rate and connection metrics are computed. Default: 1m 5m 15m
+ * --timestamp-source Timestamp of a line: syslog (ISO-8601 or BSD syslog prefix) or accept-date. Default: syslog
+ * --timezone      IANA timezone of timestamps without offset (see timestamps.js). Default: timezone of this host
+ * --alert-rules   JSON file with alert rules and notification channels (see alerts.js). Default: no alerting
+ * --alert-state-file File in which the state of the alerts is persisted. Default: /var/lib/halog-live/alerts.json
  *
- * Intended usage: run periodically (e.g., every 10 seconds) via a systemd timer.
- * Each run executes: `cat <log> | halog -s -1 -H -srv` and reports cumulative totals per node to Graphite
- * using metric path: halog_live.unipeptapi.<node>.request_count
+ * Intended usage: run periodically (e.g., every 10 seconds) via a systemd timer, or as a long-running service with
+ * --daemon. Each oneshot run parses the log file with the shared HAProxy log parser (see ../haproxy-log) and reports
+ * cumulative totals per node to Graphite using metric path: halog_live.unipeptapi.<node>.request_count
+ * (halog_live.unipeptapi is the default --metric-prefix).
+ * All other metrics are computed over every sliding window (--windows). In Graphite paths, the metrics of the 1m window
+ * have no suffix and the metrics of the other windows end in the name of their window (e.g. response_time_p95_5m), the
+ * other exporters add a window label instead.
+ * Response time percentiles of a window are reported as halog_live.unipeptapi.<node>.response_time_p<N>
+ * (server response time, Tr) and halog_live.unipeptapi.<node>.total_time_p<N> (total time, Ta).
+ * The amount of bytes sent to the clients during a window is reported as halog_live.unipeptapi.<node>.bytes_per_second.
+ * The request rate and the rates of 4xx and 5xx responses of a window are reported (as requests_per_second,
+ * status_4xx_per_second and status_5xx_per_second) per node under halog_live.unipeptapi.<node> and per top-level
+ * endpoint under halog_live.unipeptapi.endpoints.<endpoint> (e.g. api_v2_pept2lca for /api/v2/pept2lca).
+ * The connection counters and queue lengths that HAProxy logs for every request are reported as gauges (the most
+ * recent value and the maximum of the window, with suffix _max): srv_conn, srv_queue (and retries_per_second)
+ * per node, halog_live.unipeptapi.frontends.<frontend>.feconn, halog_live.unipeptapi.backends.<backend>.beconn and
+ * .backend_queue, and halog_live.unipeptapi.haproxy.actconn.
  *
  * Notes:
- * - Relies on halog being available in PATH.
- * - The metric is cumulative total observed in the provided log file at the time of execution.
+ * - In oneshot mode, the metric is cumulative total observed in the provided log file at the time of execution.
+ * - In daemon mode, only the lines that were appended since the previous flush are read. The daemon remembers the inode
+ *   of the log file and its byte offset, detects rotation and truncation, and keeps counting across rotations, so
+ *   request_count is a true monotonic counter. Offset and counters are persisted in the state file, so a restart does
+ *   not count any line twice (see tailer.js).
+ * - Alert rules are evaluated on every run (or every flush in daemon mode). Every alert results in a single firing and a
+ *   single resolved notification (see alerts.js).
  */
 
-import net from 'node:net';
-import {execSync} from 'node:child_process';
-import fs from 'node:fs';
-
 import yargs from 'yargs';
 import {hideBin} from 'yargs/helpers';
 
-function sanitizeForGraphite(segment) {
-    // Graphite metric path segments should avoid spaces and special chars
-    return String(segment).replace(/[^A-Za-z0-9_\-]/g, '_');
+import {configOptions} from '../haproxy-log/config.js';
+import {parseLogLine, requestPath} from '../haproxy-log/parser.js';
+import {readLogLines} from '../haproxy-log/reader.js';
+import {createDistribution, PERCENTILES} from '../haproxy-log/stats.js';
+
+import {createAlerting, loadAlertRules} from './alerts.js';
+import {createExporter, EXPORTER_TYPES, sanitizeForGraphite} from './exporters.js';
+import {createRequestCounter} from './tailer.js';
+import {isValidTimeZone, logTimestamp, TIMESTAMP_SOURCES} from './timestamps.js';
+
+// Parse a sliding window such as "1m", "15m", "90s" or "1h" (a number without unit is a number of seconds) into
+// {name, seconds}, where the name is normalized (e.g. "60" -> "1m"). Returns null if the value is invalid.
+function parseWindow(value) {
+    const match = /^(\d+)([smh]?)$/.exec(String(value).trim());
+    if (!match || Number.parseInt(match[1]) === 0) return null;
+
+    const seconds = Number.parseInt(match[1]) * {'': 1, 's': 1, 'm': 60, 'h': 3600}[match[2]];
+    if (seconds % 3600 === 0) return {name: `${seconds / 3600}h`, seconds};
+    if (seconds % 60 === 0) return {name: `${seconds / 60}m`, seconds};
+    return {name: `${seconds}s`, seconds};
 }
 
-// Process a shell command, capture stdout, remove the first header line and the
-// trailing status line printed by halog.
-function processCommand(command) {
-    let lineIdx = 0;
-    const lines = [];
+// Map the path of a request onto its top-level endpoint, e.g. "/api/v2/pept2lca.json" -> "/api/v2/pept2lca" and
+// "/mpa/pept2data" -> "/mpa/pept2data". Paths that do not start with one of the endpoint prefixes (--endpoint-prefixes,
+// e.g. requests of scanners) are mapped onto "other".
+function topLevelEndpoint(path, endpointPrefixes) {
+    const segments = path.split('/').filter((segment) => segment.length > 0);
+    if (segments.length < 2 || !endpointPrefixes.includes(segments[0])) return 'other';
 
-    const stdout = execSync(command, {encoding: 'utf-8'});
+    const end = /^v\d+$/.test(segments[1]) ? 3 : 2;
+    if (segments.length < end) return 'other';
+    return '/' + segments.slice(0, end).join('/').replace(/\.[a-z]+$/i, '');
+}
 
-    for (const line of stdout.split('\n')) {
-        if (lineIdx === 0) {
-            lineIdx++;
-            continue;
-        }
-        lineIdx++;
-        lines.push(line.trimEnd());
-    }
+// Keep track of the most recent and the largest value of a counter that HAProxy logs for every request (e.g. the
+// number of concurrent connections)
+function createGauge() {
+    return {
+        last: 0,
+        max: 0,
+        add(value) {
+            if (Number.isNaN(value)) return;
+            this.last = value;
+            this.max = Math.max(this.max, value);
+        },
+    };
+}
 
-    // Remove the last line, which is the status message of the command
-    if (lines.length > 0) {
-        lines.splice(-1, 1);
-    }
-    return lines;
+// Count the requests and the requests that ended with a 4xx or 5xx status code
+function createRateCounter() {
+    return {requests: 0, status4xx: 0, status5xx: 0};
 }
 
-// Same as processCommand, but feeds the provided input to the process via STDIN
-function processCommandWithInput(command, input) {
-    let lineIdx = 0;
-    const lines = [];
+function addRequest(counter, record) {
+    counter.requests++;
+    if (record.status >= 400 && record.status < 500) counter.status4xx++;
+    if (record.status >= 500 && record.status < 600) counter.status5xx++;
+}
 
-    const stdout = execSync(command, {encoding: 'utf-8', input});
+// Keep only the fields of a record that are needed by summarizeRecent, since the daemon keeps the records of its
+// longest window in memory
+function windowRecord(record, endpointPrefixes) {
+    return {
+        server: record.server,
+        frontend: record.frontend,
+        backend: record.backend,
+        endpoint: topLevelEndpoint(requestPath(record), endpointPrefixes),
+        tr: record.tr,
+        ta: record.ta,
+        status: record.status,
+        bytesRead: record.bytesRead,
+        retries: record.retries,
+        actconn: record.actconn,
+        feconn: record.feconn,
+        beconn: record.beconn,
+        srvConn: record.srvConn,
+        srvQueue: record.srvQueue,
+        backendQueue: record.backendQueue,
+    };
+}
 
-    for (const line of stdout.split('\n')) {
-        if (lineIdx === 0) {
-            lineIdx++;
-            continue;
+// Summarize the given records (see windowRecord), which are assumed to span the last <windowSeconds> seconds:
+// - nodes: node -> {responseTime, totalTime, bytesPerSecond, rates, retries, srvConn, srvQueue}, where both timers
+//   are summaries as produced by createDistribution()
+// - endpoints: top-level endpoint -> rates (only the <topEndpoints> busiest endpoints)
+// - frontends: frontend -> {feconn}, backends: backend -> {beconn, backendQueue}, process: {actconn} (or null if there
+//   were no records)
+// All connection counters and queue lengths are gauges (see createGauge) and all rates are counters (see
+// createRateCounter) over the whole window.
+function summarizeRecent(records, topEndpoints, windowSeconds) {
+    const nodes = new Map();
+    const endpoints = new Map();
+    const frontends = Object.create(null);
+    const backends = Object.create(null);
+    const haproxyProcess = {actconn: createGauge()};
+
+    for (const record of records) {
+        if (!nodes.has(record.server)) {
+            nodes.set(record.server, {
+                responseTime: createDistribution(),
+                totalTime: createDistribution(),
+                bytes: 0,
+                rates: createRateCounter(),
+                retries: 0,
+                srvConn: createGauge(),
+                srvQueue: createGauge(),
+            });
         }
-        lineIdx++;
-        const trimmed = line.trimEnd();
-        if (trimmed.length === 0) continue;
-        lines.push(trimmed);
+        // Timers that were not set (e.g. Tr = -1 if the server never responded) are ignored by the distributions
+        const nodeStats = nodes.get(record.server);
+        nodeStats.responseTime.add(record.tr);
+        nodeStats.totalTime.add(record.ta);
+        nodeStats.bytes += record.bytesRead;
+        addRequest(nodeStats.rates, record);
+        nodeStats.retries += Number.isNaN(record.retries) ? 0 : record.retries;
+        nodeStats.srvConn.add(record.srvConn);
+        nodeStats.srvQueue.add(record.srvQueue);
+
+        if (!endpoints.has(record.endpoint)) endpoints.set(record.endpoint, createRateCounter());
+        addRequest(endpoints.get(record.endpoint), record);
+
+        frontends[record.frontend] ??= {feconn: createGauge()};
+        frontends[record.frontend].feconn.add(record.feconn);
+        backends[record.backend] ??= {beconn: createGauge(), backendQueue: createGauge()};
+        backends[record.backend].beconn.add(record.beconn);
+        backends[record.backend].backendQueue.add(record.backendQueue);
+        haproxyProcess.actconn.add(record.actconn);
     }
 
-    return lines;
+    const result = {
+        nodes: Object.create(null),
+        endpoints: Object.create(null),
+        frontends,
+        backends,
+        process: nodes.size > 0 ? haproxyProcess : null,
+    };
+    for (const [node, {responseTime, totalTime, bytes, ...counters}] of nodes.entries()) {
+        result.nodes[node] = {
+            responseTime: responseTime.summary(),
+            totalTime: totalTime.summary(),
+            bytesPerSecond: bytes / windowSeconds,
+            ...counters,
+        };
+    }
+    // Only the busiest endpoints are reported, to keep the number of Graphite metrics bounded
+    const busiest = [...endpoints.entries()].sort(([, a], [, b]) => b.requests - a.requests).slice(0, topEndpoints);
+    for (const [endpoint, rates] of busiest) {
+        result.endpoints[endpoint] = rates;
+    }
+    return result;
 }
 
-function parseSyslogTimestampToDate(tokens) {
-    // ISO-8601/RFC3339 only (e.g., 2025-10-21T10:08:04Z or 2025-10-21T10:08:04+02:00)
-    // tokens: an array of whitespace-separated tokens from the start of a log line
-    if (!tokens || tokens.length === 0) return null;
+// Summarize the records of every window. The entries ({time, record}) should at least span the longest window.
+// Returns a list of {window, stats}, with stats as produced by summarizeRecent.
+function summarizeWindows(entries, windows, topEndpoints) {
+    const now = Date.now();
 
-    const first = tokens[0];
-    // Some syslog configurations might split timezone in a separate token, e.g.:
-    //   2025-10-21T10:08:04 +02:00
-    const tzSecond = tokens[1];
+    return windows.map((window) => {
+        const cutoff = now - window.seconds * 1000;
+        const records = entries.filter(({time}) => time >= cutoff).map(({record}) => record);
+        return {window, stats: summarizeRecent(records, topEndpoints, window.seconds)};
+    });
+}
 
-    // Detect ISO-8601: YYYY-MM-DDTHH:MM:SS[.sss][Z|±HH:MM]
-    const isoLike = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+\-]\d{2}:?\d{2})?$/.test(first);
-    const tzOnly = tzSecond && /^[+\-]\d{2}:?\d{2}$/.test(tzSecond);
+// Read the log once and compute both the cumulative request counts per node and the summaries of the requests of every
+// window (see summarizeWindows). The log is streamed line by line and only the records of the longest window are kept
+// in memory. Lines without a timestamp (see timestamps.js) are only counted.
+// The options are the metric options of main(), of which windows, topEndpoints, timestampSource, timeZone and
+// endpointPrefixes are used. Returns {counts, recent}, with recent as produced by summarizeWindows.
+async function logStats(logPaths, {windows, topEndpoints, timestampSource, timeZone, endpointPrefixes}) {
+    const cutoff = Date.now() - Math.max(...windows.map(({seconds}) => seconds)) * 1000;
+    const counts = Object.create(null);
+    const entries = [];
 
-    if (!(isoLike || (/^\d{4}-\d{2}-\d{2}T/.test(first) && tzOnly))) {
-        return null; // Not ISO-8601
-    }
+    for await (const line of readLogLines(logPaths)) {
+        if (!line) continue;
 
-    let isoStr = first;
-    // If timezone is provided as a separate token, append it without space
-    if (!/[Zz]$/.test(first) && tzOnly && !/[+\-]\d{2}:?\d{2}$/.test(first)) {
-        isoStr = first + tzSecond;
-    }
+        const record = parseLogLine(line);
+        if (!record) continue;
 
-    // Try direct parsing first
-    let d = new Date(isoStr);
-    if (!Number.isNaN(d.getTime())) return d;
+        counts[record.server] = (counts[record.server] || 0) + 1;
 
-    // If parsing failed, try without fractional seconds by stripping them
-    const m = first.match(/^(.*T\d{2}:\d{2}:\d{2})(?:\.\d+)?(.*)$/);
-    if (m) {
-        const tryStr = (m[1] + (m[2] || '') + (tzOnly ? tzSecond : ''));
-        const d2 = new Date(tryStr);
-        if (!Number.isNaN(d2.getTime())) return d2;
+        const time = logTimestamp(timestampSource, timeZone, line, record);
+        if (time !== null && time >= cutoff) {
+            entries.push({time, record: windowRecord(record, endpointPrefixes)});
+        }
     }
 
-    return null;
+    return {counts, recent: summarizeWindows(entries, windows, topEndpoints)};
 }
 
-function filterRecentLogLines(logPath, windowSeconds = 60) {
-    let content;
-    try {
-        content = fs.readFileSync(logPath, 'utf-8');
-    } catch (e) {
-        console.error(`Failed to read HAProxy log at ${logPath}`);
-        throw e;
-    }
-    const now = Date.now();
-    const cutoff = now - windowSeconds * 1000;
+// Graphite paths of the metrics of the one minute window have no suffix (as before windows were configurable), the
+// paths of the other windows end in the name of their window (e.g. requests_per_second_5m)
+const UNSUFFIXED_WINDOW_SECONDS = 60;
 
-    const out = [];
-    for (const line of content.split('\n')) {
-        if (!line) continue;
-        // Expect ISO-8601 timestamp at the start of the line
-        const parts = line.split(/\s+/);
-        if (parts.length < 1) continue;
-        const dt = parseSyslogTimestampToDate(parts);
-        if (!dt) continue;
-        if (dt.getTime() >= cutoff) {
-            out.push(line);
-        }
+// Convert the request counts and the statistics of every window (see summarizeWindows) into metrics. Every metric has
+// a Graphite path (e.g. halog_live.unipeptapi.<node>.request_count) and, for the exporters that work with labels, a
+// scope ("node", "endpoint", "frontend", "backend" or "haproxy"), the labels that identify it within its scope (e.g.
+// {node: "rick", window: "5m"}), a name (e.g. "request_count") and a type ("counter" or "gauge").
+// Of the metric options of main(), metricPrefix (the prefix of all Graphite paths) and nodes are used.
+function buildMetrics(counts, recent, {metricPrefix, nodes}) {
+    const metrics = [];
+
+    function scoped(scope, labels, graphitePrefix, graphiteSuffix = '') {
+        return (name, value, type = 'gauge') => {
+            metrics.push({path: `${graphitePrefix}.${name}${graphiteSuffix}`, scope, labels, name, type, value});
+        };
     }
-    return out.join('\n') + (out.length ? '\n' : '');
-}
 
-function avgLatencyByNodeFromRecent(logPath) {
-    const filtered = filterRecentLogLines(logPath, 60);
-    if (!filtered || filtered.trim().length === 0) {
-        return {};
+    function pushGauge(push, name, gauge) {
+        push(name, gauge.last);
+        push(`${name}_max`, gauge.max);
     }
 
-    let lines;
-    try {
-        // Feed filtered lines to halog via stdin
-        lines = processCommandWithInput('halog -s -1 -H -srv', filtered);
-    } catch (e) {
-        console.error('Failed to execute halog for avg latency. Is it installed and in PATH?');
-        throw e;
+    function nodePrefix(node) {
+        return `${metricPrefix}.${sanitizeForGraphite(node)}`;
     }
 
-    const stats = new Map();
-    const delimiter = ' ';
-    const serverNameCol = 0;
-    const totReqCountCol = 7;
-    const avgTimeCol = 11;
+    for (const [node, total] of Object.entries(counts)) {
+        scoped('node', {node}, nodePrefix(node))('request_count', total, 'counter');
+    }
 
-    for (const line of lines) {
-        if (!line) continue;
-        const fields = line.split(delimiter);
-        let serverName = fields[serverNameCol];
-        if (!serverName) continue;
+    for (const {window, stats} of recent) {
+        const suffix = window.seconds === UNSUFFIXED_WINDOW_SECONDS ? '' : `_${window.name}`;
+        const windowed = (scope, labels, graphitePrefix) => scoped(scope, {...labels, window: window.name}, graphitePrefix, suffix);
 
-        const parts = serverName.split('/');
-        const node = parts.length > 1 ? parts[1] : serverName;
+        function pushRates(push, {requests, status4xx, status5xx}) {
+            push('requests_per_second', requests / window.seconds);
+            push('status_4xx_per_second', status4xx / window.seconds);
+            push('status_5xx_per_second', status5xx / window.seconds);
+        }
 
-        const totalReqCount = Number.parseInt(fields[totReqCountCol], 10);
-        const avgTime = Number.parseFloat(fields[avgTimeCol]);
-        if (!Number.isFinite(totalReqCount) || !Number.isFinite(avgTime)) continue;
+        for (const [node, nodeStats] of Object.entries(stats.nodes)) {
+            const {responseTime, totalTime, bytesPerSecond} = nodeStats;
+            const push = windowed('node', {node}, nodePrefix(node));
+            push('bytes_per_second', bytesPerSecond);
+            if (responseTime.count > 0) {
+                push('avg_response_time', responseTime.avg);
+            }
+            for (const [name, summary] of [['response_time', responseTime], ['total_time', totalTime]]) {
+                if (summary.count === 0) continue;
+                for (const p of PERCENTILES) {
+                    push(`${name}_p${p}`, summary[`p${p}`]);
+                }
+                push(`${name}_max`, summary.max);
+            }
+            pushRates(push, nodeStats.rates);
+            push('retries_per_second', nodeStats.retries / window.seconds);
+            pushGauge(push, 'srv_conn', nodeStats.srvConn);
+            pushGauge(push, 'srv_queue', nodeStats.srvQueue);
+        }
+        // Nodes that did not receive any requests during the window (but did before, or are listed in --nodes) have a
+        // rate of zero (which is what the "no traffic" alerts look for)
+        for (const node of new Set([...Object.keys(counts), ...nodes])) {
+            if (!(node in stats.nodes)) pushRates(windowed('node', {node}, nodePrefix(node)), createRateCounter());
+        }
 
-        if (!stats.has(node)) {
-            stats.set(node, {total: 0, weightedSum: 0});
+        for (const [endpoint, rates] of Object.entries(stats.endpoints)) {
+            // "/api/v2/pept2lca" -> "api_v2_pept2lca"
+            const graphiteName = sanitizeForGraphite(endpoint.replace(/^\//, '').replace(/\//g, '_'));
+            pushRates(windowed('endpoint', {endpoint}, `${metricPrefix}.endpoints.${graphiteName}`), rates);
+        }
+        for (const [frontend, {feconn}] of Object.entries(stats.frontends)) {
+            const push = windowed('frontend', {frontend}, `${metricPrefix}.frontends.${sanitizeForGraphite(frontend)}`);
+            pushGauge(push, 'feconn', feconn);
+        }
+        for (const [backend, {beconn, backendQueue}] of Object.entries(stats.backends)) {
+            const push = windowed('backend', {backend}, `${metricPrefix}.backends.${sanitizeForGraphite(backend)}`);
+            pushGauge(push, 'beconn', beconn);
+            pushGauge(push, 'backend_queue', backendQueue);
+        }
+        if (stats.process) {
+            pushGauge(windowed('haproxy', {}, `${metricPrefix}.haproxy`), 'actconn', stats.process.actconn);
         }
-        const nodeStats = stats.get(node);
-        nodeStats.total += totalReqCount;
-        nodeStats.weightedSum += avgTime * totalReqCount;
     }
 
-    // Convert to node -> avg
-    const result = Object.create(null);
-    for (const [node, {total, weightedSum}] of stats.entries()) {
-        if (total > 0) {
-            result[node] = weightedSum / total;
+    return metrics;
+}
+
+// Send the metrics to all exporters. Failures are logged, but do not prevent the other exporters from receiving the
+// metrics. Returns false if at least one of the exporters failed.
+async function sendToExporters(exporters, metrics) {
+    const results = await Promise.allSettled(exporters.map((exporter) => exporter.send(metrics)));
+
+    results.forEach((result, idx) => {
+        if (result.status === 'rejected') {
+            console.error(`Failed to send metrics to ${exporters[idx].description}:`, result.reason?.message || result.reason);
         }
-    }
-    return result;
+    });
+    return results.every((result) => result.status === 'fulfilled');
 }
 
-function countRequestsByNode(logPath) {
-    let lines;
-    try {
-        // -s -1 is important to ignore the first metadata field printed by rsyslog to the HAProxy log file
-        // -H to aggregate; -srv to summarize per server
-        lines = processCommand(`cat ${logPath} | halog -s -1 -H -srv`);
-    } catch (e) {
-        console.error('Failed to execute halog. Is it installed and in PATH?');
-        throw e;
+// Tail the log file and flush the metrics to the exporters every flushInterval seconds until SIGINT or SIGTERM is received.
+// The request counts are cumulative over all log files that have been read, all other metrics are computed from the
+// records of the longest window that are kept in memory (options are the metric options of main()). The alert rules (if
+// any) are evaluated on every flush.
+async function runDaemon(logPath, stateFile, flushInterval, options, exporters, alerting) {
+    const {windows, topEndpoints, timestampSource, timeZone, endpointPrefixes} = options;
+    const longestWindowMs = Math.max(...windows.map(({seconds}) => seconds)) * 1000;
+    const counter = createRequestCounter(logPath, stateFile);
+    // Records of the longest window ({time, record}), in the order in which they were logged
+    let entries = [];
+
+    // Older lines (e.g. when the daemon is started on a large log file) only contribute to the counters
+    function onRecord(line, record) {
+        const time = logTimestamp(timestampSource, timeZone, line, record) ?? Date.now();
+        if (time >= Date.now() - longestWindowMs) {
+            entries.push({time, record: windowRecord(record, endpointPrefixes)});
+        }
     }
 
-    const counts = Object.create(null);
-    const delimiter = ' ';
-    const serverNameCol = 0;
-    const totReqCountCol = 7;
+    async function flush(send = true) {
+        try {
+            if (!counter.read(onRecord)) {
+                console.error(`HAProxy log ${logPath} does not exist (yet).`);
+            }
+        } catch (e) {
+            console.error(`Failed to read HAProxy log at ${logPath}:`, e.message || e);
+            return;
+        }
 
-    for (const line of lines) {
-        if (!line) continue;
-        const fields = line.split(delimiter);
-        let serverName = fields[serverNameCol];
-        if (!serverName) continue;
+        const cutoff = Date.now() - longestWindowMs;
+        entries = entries.filter(({time}) => time >= cutoff);
 
-        // Expect format like all_handlers/selma -> keep part after '/'
-        const parts = serverName.split('/');
-        const node = parts.length > 1 ? parts[1] : serverName;
+        const metrics = buildMetrics(counter.counts, summarizeWindows(entries, windows, topEndpoints), options);
+        if (!send) return;
 
-        const totalReqCount = Number.parseInt(fields[totReqCountCol], 10);
-        if (!Number.isFinite(totalReqCount)) continue;
+        if (metrics.length > 0) await sendToExporters(exporters, metrics);
+        if (alerting) await alerting.evaluate(metrics);
+    }
 
-        counts[node] = (counts[node] || 0) + totalReqCount;
+    let stopping = false;
+    let wake = () => {};
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            stopping = true;
+            wake();
+        });
     }
 
-    return counts;
-}
+    while (!stopping) {
+        await flush();
+        await new Promise((resolve) => {
+            const timer = setTimeout(resolve, flushInterval * 1000);
+            wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
 
-function sendToGraphite(host, port, metrics) {
-    return new Promise((resolve, reject) => {
-        const client = new net.Socket();
-        let resolved = false;
+    // Read the lines that were written since the last flush, so that the persisted state is as recent as possible
+    await flush(false);
+    counter.close();
+}
 
-        client.connect(port, host, () => {
-            const ts = Math.floor(Date.now() / 1000);
-            const lines = [];
-            for (const {path, value} of metrics) {
-                lines.push(`${path} ${value} ${ts}`);
-            }
-            const payload = lines.join('\n') + '\n';
-            client.write(payload, 'utf8', () => {
-                client.end();
-            });
-        });
+async function createExporters(types, options) {
+    try {
+        return await Promise.all(types.map((type) => createExporter(type, options)));
+    } catch (err) {
+        console.error('Failed to set up the exporters:', err.message || err);
+        process.exit(1);
+    }
+}
 
-        client.on('error', (err) => {
-            if (!resolved) {
-                resolved = true;
-                reject(err);
-            }
-        });
+// Load the alert rules, or return null if alerting is disabled. The windows are those of the metric options.
+function setUpAlerting(rulesFile, stateFile, windows) {
+    if (!rulesFile) return null;
 
-        client.on('close', () => {
-            if (!resolved) {
-                resolved = true;
-                resolve();
-            }
-        });
-    });
+    try {
+        return createAlerting(loadAlertRules(rulesFile, windows.map(({name}) => name)), stateFile);
+    } catch (err) {
+        console.error(`Invalid alert rules in ${rulesFile}:`, err.message || err);
+        process.exit(1);
+    }
 }
 
 async function main() {
-    const argv = yargs(hideBin(process.argv))
+    const argv = configOptions(yargs(hideBin(process.argv)), 'live')
         .usage('Usage: node $0 [options]')
         .option('haproxy-log', {
-            describe: 'Path to HAProxy log file',
+            describe: 'Path(s) to HAProxy log file(s), gzip-compressed files (.gz) are supported',
+            type: 'array',
         })
         .default('haproxy-log', '/var/log/haproxy.log')
         .option('graphite-host', {
@@ -273,42 +449,165 @@ async function main() {
             describe: 'Graphite/Carbon TCP port',
         })
         .default('graphite-port', 2003)
+        .option('exporter', {
+            describe: 'Backend(s) to which the metrics are exported (prometheus requires --daemon)',
+            type: 'array',
+            choices: EXPORTER_TYPES,
+        })
+        .default('exporter', ['graphite'])
+        .option('prometheus-host', {
+            describe: 'Address on which the Prometheus /metrics endpoint listens',
+        })
+        .default('prometheus-host', '0.0.0.0')
+        .option('prometheus-port', {
+            describe: 'Port on which the Prometheus /metrics endpoint listens',
+        })
+        .default('prometheus-port', 9464)
+        .option('statsd-host', {
+            describe: 'StatsD host',
+        })
+        .default('statsd-host', '127.0.0.1')
+        .option('statsd-port', {
+            describe: 'StatsD UDP port',
+        })
+        .default('statsd-port', 8125)
+        .option('influxdb-url', {
+            describe: 'InfluxDB write URL, e.g. http://host:8086/write?db=halog_live (1.x) or http://host:8086/api/v2/write?org=<org>&bucket=<bucket> (2.x)',
+        })
+        .default('influxdb-url', 'http://127.0.0.1:8086/write?db=halog_live')
+        .option('influxdb-token', {
+            describe: 'API token for InfluxDB 2.x (sent as "Authorization: Token <token>")',
+        })
+        .option('top-endpoints', {
+            describe: 'Number of top-level endpoints (with the most requests in a window) for which rates are reported',
+        })
+        .default('top-endpoints', 20)
+        .option('endpoint-prefixes', {
+            describe: 'First path segments of the Unipept endpoints, requests to other paths are counted as "other"',
+            type: 'array',
+        })
+        .default('endpoint-prefixes', ['api', 'private_api', 'mpa'])
+        .option('nodes', {
+            describe: 'Backend nodes that should receive traffic, they report request rates of 0 even if they are missing from the log',
+            type: 'array',
+        })
+        .option('metric-prefix', {
+            describe: 'Prefix of the Graphite paths (also used by the statsd exporter)',
+        })
+        .default('metric-prefix', 'halog_live.unipeptapi')
+        .option('windows', {
+            describe: 'Sliding windows over which the latency, bandwidth, rate and connection metrics are computed (e.g. 1m, 5m, 15m, 90s or 1h)',
+            type: 'array',
+        })
+        .default('windows', ['1m', '5m', '15m'])
+        .option('timestamp-source', {
+            describe: 'Timestamp that decides whether a request falls within a window: the syslog prefix of the line (ISO-8601 or BSD syslog) or the HAProxy accept date',
+            choices: TIMESTAMP_SOURCES,
+        })
+        .default('timestamp-source', 'syslog')
+        .option('timezone', {
+            describe: 'IANA timezone (e.g. Europe/Brussels) of timestamps without offset (BSD syslog, accept date), defaults to the timezone of this host',
+        })
+        .option('daemon', {
+            describe: 'Keep running and tail the log file, instead of parsing the whole log file once',
+            type: 'boolean',
+        })
+        .default('daemon', false)
+        .option('flush-interval', {
+            describe: 'Seconds between two flushes of the metrics to the exporters (daemon mode only)',
+        })
+        .default('flush-interval', 10)
+        .option('state-file', {
+            describe: 'File in which the offset in the log file and the counters are persisted (daemon mode only)',
+        })
+        .default('state-file', '/var/lib/halog-live/state.json')
+        .option('alert-rules', {
+            describe: 'JSON file with alert rules and notification channels (see alert-rules.example.json), alerting is disabled if omitted',
+        })
+        .option('alert-state-file', {
+            describe: 'File in which the state of the alerts is persisted, so that every alert is only notified once',
+        })
+        .default('alert-state-file', '/var/lib/halog-live/alerts.json')
         .help('help')
         .alias('help', 'h')
         .argv;
 
     const haproxyLog = argv.haproxyLog;
-    const graphiteHost = argv.graphiteHost;
-    const graphitePort = Number.parseInt(argv.graphitePort);
-
-    if (!graphitePort || Number.isNaN(graphitePort)) {
-        console.error('Invalid --graphite-port value.');
+    const exporterTypes = [...new Set(argv.exporter)];
+    const windows = [argv.windows].flat().map(parseWindow);
+    if (windows.length === 0 || windows.includes(null)) {
+        console.error('Invalid --windows value (expected e.g. 1m, 5m, 15m).');
+        process.exit(1);
+    }
+    const metricOptions = {
+        // "60" and "1m" are the same window
+        windows: [...new Map(windows.map((window) => [window.name, window])).values()],
+        topEndpoints: Number.parseInt(argv.topEndpoints),
+        timestampSource: argv.timestampSource,
+        timeZone: argv.timezone,
+        endpointPrefixes: [argv.endpointPrefixes].flat().map(String),
+        metricPrefix: argv.metricPrefix,
+        nodes: [argv.nodes ?? []].flat().map(String),
+    };
+    const exporterOptions = {
+        graphiteHost: argv.graphiteHost,
+        graphitePort: Number.parseInt(argv.graphitePort),
+        prometheusHost: argv.prometheusHost,
+        prometheusPort: Number.parseInt(argv.prometheusPort),
+        statsdHost: argv.statsdHost,
+        statsdPort: Number.parseInt(argv.statsdPort),
+        influxdbUrl: argv.influxdbUrl,
+        influxdbToken: argv.influxdbToken,
+    };
+
+    for (const option of ['graphitePort', 'prometheusPort', 'statsdPort']) {
+        if (!exporterOptions[option] || Number.isNaN(exporterOptions[option])) {
+            console.error(`Invalid --${option.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)} value.`);
+            process.exit(1);
+        }
+    }
+    if (argv.timezone !== undefined && !isValidTimeZone(argv.timezone)) {
+        console.error(`Unknown --timezone "${argv.timezone}" (expected an IANA timezone such as Europe/Brussels).`);
         process.exit(1);
     }
+    if (exporterTypes.includes('prometheus') && !argv.daemon) {
+        console.error('The prometheus exporter serves the metrics of a long-running process and requires --daemon.');
+        process.exit(1);
+    }
+    const alerting = setUpAlerting(argv.alertRules, argv.alertStateFile, metricOptions.windows);
 
-    const counts = countRequestsByNode(haproxyLog);
+    if (argv.daemon) {
+        const flushInterval = Number.parseFloat(argv.flushInterval);
+        if (!(flushInterval > 0)) {
+            console.error('Invalid --flush-interval value.');
+            process.exit(1);
+        }
+        const logPaths = [haproxyLog].flat();
+        if (logPaths.length !== 1 || logPaths[0].endsWith('.gz')) {
+            console.error('Daemon mode tails a single, uncompressed log file (pass exactly one --haproxy-log).');
+            process.exit(1);
+        }
 
-    // Prepare metrics in Graphite plaintext format
-    const metrics = [];
-    for (const [node, total] of Object.entries(counts)) {
-        const nodeSafe = sanitizeForGraphite(node);
-        const path = `halog_live.unipeptapi.${nodeSafe}.request_count`;
-        metrics.push({path, value: total});
+        const exporters = await createExporters(exporterTypes, exporterOptions);
+        await runDaemon(logPaths[0], argv.stateFile, flushInterval, metricOptions, exporters, alerting);
+        await Promise.all(exporters.map((exporter) => exporter.close()));
+        return;
     }
 
-    // Compute average response time for the last minute per node
-    let avgs = {};
+    // Count the requests per node and compute response time, bandwidth, rate and connection statistics for every
+    // window, in a single pass over the log
+    let stats;
     try {
-        avgs = avgLatencyByNodeFromRecent(haproxyLog);
+        stats = await logStats(haproxyLog, metricOptions);
     } catch (e) {
-        // If halog is missing or parsing fails, keep service running and just skip avg metrics this round
-        console.error('Failed to compute avg latency metrics:', e.message || e);
-        process.exitCode = 1;
+        console.error(`Failed to read HAProxy log at ${[haproxyLog].flat().join(', ')}:`, e.message || e);
+        process.exit(1);
     }
-    for (const [node, avg] of Object.entries(avgs)) {
-        const nodeSafe = sanitizeForGraphite(node);
-        const path = `halog_live.unipeptapi.${nodeSafe}.avg_response_time`;
-        metrics.push({path, value: avg});
+
+    const metrics = buildMetrics(stats.counts, stats.recent, metricOptions);
+
+    if (alerting && !await alerting.evaluate(metrics)) {
+        process.exitCode = 1;
     }
 
     if (metrics.length === 0) {
@@ -316,13 +615,12 @@ async function main() {
         return;
     }
 
-    try {
-        await sendToGraphite(graphiteHost, graphitePort, metrics);
-    } catch (err) {
-        // Log error but do not throw to keep the service resilient
-        console.error(`Failed to send metrics to Graphite at ${graphiteHost}:${graphitePort}:`, err.message || err);
+    // Errors are logged but not thrown to keep the service resilient
+    const exporters = await createExporters(exporterTypes, exporterOptions);
+    if (!await sendToExporters(exporters, metrics)) {
         process.exitCode = 1;
     }
+    await Promise.all(exporters.map((exporter) => exporter.close()));
 }
 
 await main();
@@ -0,0 +1,159 @@
+/**
+ * Reading the HAProxy log in daemon mode: only the lines that were appended since the previous read are processed. The
+ * tailer remembers the inode of the log file and its byte offset, follows the file across rotations and truncations,
+ * and persists its offset together with the cumulative request counts per node in a state file, so that a restart does
+ * not count any line twice.
+ */
+
+import fs from 'node:fs';
+
+import {parseLogLine} from '../haproxy-log/parser.js';
+
+// Number of bytes that are read from the log file at once in daemon mode
+const READ_CHUNK_BYTES = 1024 * 1024;
+
+// Call onLine for every complete line that was appended to the open file fd after the given byte offset. A line that
+// is still being written (i.e. that does not end with a newline yet) is left for the next call.
+// Returns the offset just after the last complete line.
+function readAppendedLines(fd, offset, onLine) {
+    const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+    let pending = Buffer.alloc(0);
+    let position = offset;
+    let bytesRead;
+
+    while ((bytesRead = fs.readSync(fd, chunk, 0, chunk.length, position)) > 0) {
+        position += bytesRead;
+        const data = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+
+        let start = 0;
+        let newline;
+        while ((newline = data.indexOf(0x0a, start)) !== -1) {
+            onLine(data.toString('utf8', start, newline));
+            start = newline + 1;
+        }
+        pending = data.subarray(start);
+    }
+
+    return position - pending.length;
+}
+
+// Load the state of a previous run of the daemon: the inode of the log file, the offset up to which it has been
+// read and the cumulative request counts per node.
+export function loadState(stateFile) {
+    try {
+        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        return {inode: state.inode ?? null, offset: state.offset ?? 0, counts: state.counts ?? {}};
+    } catch (e) {
+        if (e.code !== 'ENOENT') {
+            console.error(`Failed to read state file ${stateFile}, starting from scratch:`, e.message || e);
+        }
+        return {inode: null, offset: 0, counts: {}};
+    }
+}
+
+// Persist the state atomically, so that a crash while writing never leaves a corrupt state file behind
+export function saveState(stateFile, state) {
+    const tmpFile = `${stateFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state));
+    fs.renameSync(tmpFile, stateFile);
+}
+
+// Follow a log file across rotations (the file is renamed and a new one is created) and truncations (the file is
+// emptied in place, e.g. by logrotate's copytruncate). The given state ({inode, offset}) is updated while reading.
+export function createLogTailer(logPath, state) {
+    let fd = null;
+
+    function openFile(filePath, offset) {
+        fd = fs.openSync(filePath, 'r');
+        state.inode = fs.fstatSync(fd).ino;
+        state.offset = offset;
+    }
+
+    // Reopen the file at which the previous run stopped. If the log was rotated in the meantime, the remainder of the
+    // rotated file ("<log>.1") is read first.
+    function resume() {
+        const stat = fs.statSync(logPath);
+        if (state.inode === null || stat.ino === state.inode) {
+            openFile(logPath, stat.size >= state.offset ? state.offset : 0);
+            return;
+        }
+
+        try {
+            if (fs.statSync(`${logPath}.1`).ino === state.inode) {
+                openFile(`${logPath}.1`, state.offset);
+                return;
+            }
+        } catch (e) {
+            // No rotated file, the lines of the previous file that were not read yet are lost
+        }
+        openFile(logPath, 0);
+    }
+
+    // Read all new lines. Returns false if the log file does not exist (yet).
+    function poll(onLine) {
+        if (fd === null) {
+            try {
+                resume();
+            } catch (e) {
+                if (e.code === 'ENOENT') return false;
+                throw e;
+            }
+        }
+
+        // Lines that were appended to the current file, even if it has been rotated in the meantime
+        state.offset = readAppendedLines(fd, state.offset, onLine);
+
+        let stat;
+        try {
+            stat = fs.statSync(logPath);
+        } catch (e) {
+            // The log file has been rotated, but the new file has not been created yet
+            if (e.code === 'ENOENT') return true;
+            throw e;
+        }
+
+        if (stat.ino !== state.inode) {
+            fs.closeSync(fd);
+            openFile(logPath, 0);
+            state.offset = readAppendedLines(fd, state.offset, onLine);
+        } else if (stat.size < state.offset) {
+            state.offset = readAppendedLines(fd, 0, onLine);
+        }
+        return true;
+    }
+
+    function close() {
+        if (fd !== null) fs.closeSync(fd);
+    }
+
+    return {poll, close};
+}
+
+// Count the requests per node in all lines that are appended to a log file, starting where the previous run of the
+// daemon stopped (see loadState). The counts are cumulative over all log files that have been read.
+export function createRequestCounter(logPath, stateFile) {
+    const state = loadState(stateFile);
+    const tailer = createLogTailer(logPath, state);
+
+    // Read all new lines, count their requests and persist the state. onRecord(line, record) is called for every line
+    // that could be parsed. Returns false if the log file does not exist (yet), read errors are thrown.
+    function read(onRecord) {
+        const found = tailer.poll((line) => {
+            const record = parseLogLine(line);
+            if (!record) return;
+
+            state.counts[record.server] = (state.counts[record.server] || 0) + 1;
+            onRecord(line, record);
+        });
+
+        try {
+            saveState(stateFile, state);
+        } catch (e) {
+            // The counters are still correct in memory, but a restart would count the lines of this read again
+            console.error(`Failed to write state file ${stateFile}:`, e.message || e);
+        }
+        return found;
+    }
+
+    return {counts: state.counts, read, close: tailer.close};
+}
@@ -0,0 +1,195 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {createAlerting, loadAlertRules} from '../alerts.js';
+
+const WINDOWS = ['1m', '5m', '15m'];
+
+const RULE = {
+    name: 'SlowResponses',
+    scope: 'node',
+    metric: 'avg_response_time',
+    operator: '>',
+    threshold: 5000,
+    for: 60,
+};
+
+// The metrics of one cycle with the average response time of every node
+function metrics(responseTimes, window = '1m') {
+    return Object.entries(responseTimes).map(([node, value]) => ({
+        scope: 'node', labels: {node, window}, name: 'avg_response_time', type: 'gauge', value,
+    }));
+}
+
+describe('loadAlertRules', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'halog-live-alerts-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true});
+    });
+
+    function load(config, windows = WINDOWS) {
+        const rulesFile = path.join(dir, 'rules.json');
+        fs.writeFileSync(rulesFile, JSON.stringify(config));
+        return loadAlertRules(rulesFile, windows);
+    }
+
+    it('sends the notifications to stderr by default', () => {
+        assert.deepEqual(load({rules: [RULE]}), {rules: [RULE], notify: [{type: 'stderr'}]});
+    });
+
+    it('rejects invalid rules and channels', () => {
+        for (const [config, message] of [
+            [{rules: [{...RULE, name: ''}]}, /rule 1 has no name/],
+            [{rules: [RULE, RULE]}, /rule 2 \(SlowResponses\): the name of every rule should be unique/],
+            [{rules: [{...RULE, scope: 'server'}]}, /scope should be one of/],
+            [{rules: [{...RULE, operator: '=>'}]}, /operator should be one of/],
+            [{rules: [{...RULE, threshold: '5000'}]}, /threshold should be a number/],
+            [{rules: [{...RULE, for: -1}]}, /for should be a number of seconds/],
+            [{rules: [RULE], notify: [{type: 'webhook'}]}, /notification channel 1 \(webhook\) has no url/],
+            [{rules: [RULE], notify: [{type: 'email'}]}, /should have type stderr, webhook or command/],
+        ]) {
+            assert.throws(() => load(config), message);
+        }
+    });
+
+    it('only accepts the windows over which the metrics are computed', () => {
+        assert.deepEqual(load({rules: [{...RULE, window: '15m'}]}).rules, [{...RULE, window: '15m'}]);
+
+        assert.throws(() => load({rules: [{...RULE, window: '30m'}]}),
+            /window 30m is not one of the windows of --windows \(1m, 5m, 15m\)/);
+        assert.throws(() => load({rules: [{...RULE, window: 5}]}), /window should be the name of a window/);
+        // Rules without a window are evaluated over the one minute window
+        assert.throws(() => load({rules: [RULE]}, ['5m']), /window 1m \(the default\) is not one of/);
+    });
+});
+
+describe('createAlerting', () => {
+    let dir;
+    let stateFile;
+    let now;
+    let notifications;
+
+    beforeEach((t) => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'halog-live-alerts-'));
+        stateFile = path.join(dir, 'alerts.json');
+        now = Date.parse('2023-09-10T00:00:00Z');
+        notifications = [];
+        t.mock.method(Date, 'now', () => now);
+        t.mock.method(console, 'error', (...args) => notifications.push(args.join(' ')));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true});
+    });
+
+    function alerting(rules = [RULE]) {
+        return createAlerting({rules, notify: [{type: 'stderr'}]}, stateFile);
+    }
+
+    it('fires once the condition has held for the duration of the rule', async () => {
+        const alerts = alerting();
+
+        assert.equal(await alerts.evaluate(metrics({rick: 6000, selma: 100})), true);
+        now += 59 * 1000;
+        await alerts.evaluate(metrics({rick: 7000, selma: 100}));
+        assert.deepEqual(notifications, []);
+
+        now += 1000;
+        await alerts.evaluate(metrics({rick: 8000, selma: 100}));
+        assert.deepEqual(notifications, ['[FIRING] SlowResponses (node=rick, window=1m): avg_response_time = 8000 > 5000 for 60s']);
+    });
+
+    it('starts over when the condition stops holding before the alert fires', async () => {
+        const alerts = alerting();
+
+        await alerts.evaluate(metrics({rick: 6000}));
+        now += 30 * 1000;
+        await alerts.evaluate(metrics({rick: 100}));
+        now += 30 * 1000;
+        await alerts.evaluate(metrics({rick: 6000}));
+        now += 59 * 1000;
+        await alerts.evaluate(metrics({rick: 6000}));
+
+        assert.deepEqual(notifications, []);
+    });
+
+    it('does not repeat the notification of an alert that keeps firing', async () => {
+        const alerts = alerting([{...RULE, for: 0}]);
+
+        for (let cycle = 0; cycle < 5; cycle++) {
+            await alerts.evaluate(metrics({rick: 6000}));
+            now += 10 * 1000;
+        }
+
+        assert.equal(notifications.length, 1);
+        assert.match(notifications[0], /^\[FIRING\] SlowResponses \(node=rick, window=1m\)/);
+    });
+
+    it('resolves an alert once its condition no longer holds or its metric disappears', async () => {
+        const alerts = alerting([{...RULE, for: 0}]);
+
+        await alerts.evaluate(metrics({rick: 6000, selma: 6000}));
+        now += 10 * 1000;
+        await alerts.evaluate(metrics({rick: 100}));
+        now += 10 * 1000;
+        await alerts.evaluate(metrics({rick: 100}));
+
+        assert.deepEqual(notifications.slice(2), [
+            '[RESOLVED] SlowResponses (node=rick, window=1m): avg_response_time = 100',
+            '[RESOLVED] SlowResponses (node=selma, window=1m): avg_response_time = no data',
+        ]);
+    });
+
+    it('only evaluates the metrics of the window of the rule', async () => {
+        const alerts = alerting([{...RULE, for: 0, window: '5m'}]);
+
+        await alerts.evaluate([...metrics({rick: 6000}), ...metrics({rick: 100}, '5m')]);
+        assert.deepEqual(notifications, []);
+
+        await alerts.evaluate([...metrics({rick: 100}), ...metrics({rick: 6000}, '5m')]);
+        assert.equal(notifications.length, 1);
+    });
+
+    it('continues from the persisted state after a restart', async () => {
+        await alerting().evaluate(metrics({rick: 6000}));
+
+        // The condition already holds for a minute when halog-live runs again
+        now += 60 * 1000;
+        await alerting().evaluate(metrics({rick: 6000}));
+        assert.equal(notifications.length, 1);
+        assert.deepEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).alerts, {
+            'SlowResponses|{"node":"rick","window":"1m"}': {
+                rule: 'SlowResponses',
+                labels: {node: 'rick', window: '1m'},
+                since: Date.parse('2023-09-10T00:00:00Z'),
+                firing: true,
+                value: 6000,
+            },
+        });
+
+        // A firing alert does not fire again after a restart, but it is resolved
+        now += 10 * 1000;
+        await alerting().evaluate(metrics({rick: 6000}));
+        now += 10 * 1000;
+        await alerting().evaluate(metrics({rick: 100}));
+        assert.equal(notifications.length, 2);
+        assert.match(notifications[1], /^\[RESOLVED\] SlowResponses/);
+        assert.deepEqual(JSON.parse(fs.readFileSync(stateFile, 'utf8')).alerts, {});
+    });
+
+    it('starts from scratch with an invalid state file', async () => {
+        fs.writeFileSync(stateFile, '{"alerts": ');
+        await alerting([{...RULE, for: 0}]).evaluate(metrics({rick: 6000}));
+
+        assert.match(notifications[0], /Failed to read alert state file/);
+        assert.match(notifications[1], /^\[FIRING\] SlowResponses/);
+    });
+});
@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {describe, it} from 'node:test';
+
+import {
+    createExporter,
+    formatGraphite,
+    formatInfluxdb,
+    formatPrometheus,
+    formatStatsd,
+    sanitizeForGraphite,
+} from '../exporters.js';
+
+// A node and an endpoint whose names contain every character that one of the formats has to escape
+const NODE = 'rick "the node", a=b';
+const ENDPOINT = '/api/v2/pept 2,lca=x\\"y"';
+
+const METRICS = [
+    {
+        path: `halog_live.unipeptapi.${sanitizeForGraphite(NODE)}.request_count`,
+        scope: 'node', labels: {node: NODE}, name: 'request_count', type: 'counter', value: 42,
+    },
+    {
+        path: `halog_live.unipeptapi.${sanitizeForGraphite(NODE)}.avg_response_time`,
+        scope: 'node', labels: {node: NODE, window: '1m'}, name: 'avg_response_time', type: 'gauge', value: 12.5,
+    },
+    {
+        path: `halog_live.unipeptapi.${sanitizeForGraphite(NODE)}.requests_per_second`,
+        scope: 'node', labels: {node: NODE, window: '1m'}, name: 'requests_per_second', type: 'gauge', value: 0.5,
+    },
+    {
+        path: `halog_live.unipeptapi.endpoints.${sanitizeForGraphite('api_v2_pept 2,lca=x\\"y"')}.requests_per_second_5m`,
+        scope: 'endpoint', labels: {endpoint: ENDPOINT, window: '5m'}, name: 'requests_per_second', type: 'gauge', value: 0.1,
+    },
+    {
+        path: 'halog_live.unipeptapi.haproxy.actconn',
+        scope: 'haproxy', labels: {window: '1m'}, name: 'actconn', type: 'gauge', value: 3,
+    },
+];
+
+describe('formatGraphite', () => {
+    it('replaces special characters in the path segments', () => {
+        assert.equal(formatGraphite(METRICS, 1694298550), [
+            'halog_live.unipeptapi.rick__the_node___a_b.request_count 42 1694298550',
+            'halog_live.unipeptapi.rick__the_node___a_b.avg_response_time 12.5 1694298550',
+            'halog_live.unipeptapi.rick__the_node___a_b.requests_per_second 0.5 1694298550',
+            'halog_live.unipeptapi.endpoints.api_v2_pept_2_lca_x__y_.requests_per_second_5m 0.1 1694298550',
+            'halog_live.unipeptapi.haproxy.actconn 3 1694298550',
+            '',
+        ].join('\n'));
+    });
+});
+
+describe('formatStatsd', () => {
+    it('sends every metric as a gauge', () => {
+        assert.deepEqual(formatStatsd(METRICS), [[
+            'halog_live.unipeptapi.rick__the_node___a_b.request_count:42|g',
+            'halog_live.unipeptapi.rick__the_node___a_b.avg_response_time:12.5|g',
+            'halog_live.unipeptapi.rick__the_node___a_b.requests_per_second:0.5|g',
+            'halog_live.unipeptapi.endpoints.api_v2_pept_2_lca_x__y_.requests_per_second_5m:0.1|g',
+            'halog_live.unipeptapi.haproxy.actconn:3|g',
+        ].join('\n')]);
+    });
+
+    it('splits the metrics over several datagrams', () => {
+        const metrics = Array.from({length: 100}, (_, idx) => ({path: `halog_live.unipeptapi.node${idx}.request_count`, value: idx}));
+        const packets = formatStatsd(metrics);
+
+        assert.ok(packets.length > 1);
+        assert.ok(packets.every((packet) => Buffer.byteLength(packet) <= 1400));
+        assert.deepEqual(packets.join('\n').split('\n'), metrics.map(({path, value}) => `${path}:${value}|g`));
+    });
+});
+
+describe('formatInfluxdb', () => {
+    it('escapes spaces, commas and equals signs in tags and combines the fields of a series', () => {
+        assert.equal(formatInfluxdb(METRICS, 1694298550), [
+            'halog_live_node,node=rick\\ "the\\ node"\\,\\ a\\=b request_count=42 1694298550000000000',
+            'halog_live_node,node=rick\\ "the\\ node"\\,\\ a\\=b,window=1m avg_response_time=12.5,requests_per_second=0.5 1694298550000000000',
+            'halog_live_endpoint,endpoint=/api/v2/pept\\ 2\\,lca\\=x\\\\"y",window=5m requests_per_second=0.1 1694298550000000000',
+            'halog_live_haproxy,window=1m actconn=3 1694298550000000000',
+        ].join('\n'));
+    });
+});
+
+describe('formatPrometheus', () => {
+    it('escapes quotes and backslashes in labels and names counters with "_total"', () => {
+        assert.equal(formatPrometheus(METRICS), [
+            '# TYPE halog_live_node_request_count_total counter',
+            'halog_live_node_request_count_total{node="rick \\"the node\\", a=b"} 42',
+            '# TYPE halog_live_node_avg_response_time gauge',
+            'halog_live_node_avg_response_time{node="rick \\"the node\\", a=b",window="1m"} 12.5',
+            '# TYPE halog_live_node_requests_per_second gauge',
+            'halog_live_node_requests_per_second{node="rick \\"the node\\", a=b",window="1m"} 0.5',
+            '# TYPE halog_live_endpoint_requests_per_second gauge',
+            'halog_live_endpoint_requests_per_second{endpoint="/api/v2/pept 2,lca=x\\\\\\"y\\"",window="5m"} 0.1',
+            '# TYPE halog_live_haproxy_actconn gauge',
+            'halog_live_haproxy_actconn{window="1m"} 3',
+            '',
+        ].join('\n'));
+    });
+});
+
+describe('influxdb exporter', () => {
+    it('posts the line protocol with the API token', async () => {
+        const requests = [];
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => body += chunk);
+            req.on('end', () => {
+                requests.push({url: req.url, authorization: req.headers.authorization, body});
+                res.writeHead(requests.length === 1 ? 204 : 400);
+                res.end(requests.length === 1 ? undefined : 'invalid field\n');
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+        try {
+            const exporter = await createExporter('influxdb', {
+                influxdbUrl: `http://127.0.0.1:${server.address().port}/api/v2/write?org=o&bucket=b`,
+                influxdbToken: 'secret',
+            });
+
+            await exporter.send(METRICS.slice(4));
+            await assert.rejects(exporter.send(METRICS.slice(4)), /HTTP 400: invalid field/);
+
+            assert.equal(requests[0].url, '/api/v2/write?org=o&bucket=b');
+            assert.equal(requests[0].authorization, 'Token secret');
+            assert.match(requests[0].body, /^halog_live_haproxy,window=1m actconn=3 \d+000000000$/);
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {afterEach, beforeEach, describe, it} from 'node:test';
+
+import {createRequestCounter, loadState} from '../tailer.js';
+
+function logLine(server, url = '/api/v2/pept2lca.json') {
+    return `Sep 10 00:29:10 unipeptapi haproxy[121187]: 141.94.130.164:51010 [10/Sep/2023:00:29:10.946] handlers ` +
+        `all_handlers/${server} 0/0/0/2/2 200 285 - - ---- 1/1/0/0/0 0/0 "GET ${url} HTTP/1.1"\n`;
+}
+
+describe('createRequestCounter', () => {
+    let dir;
+    let logPath;
+    let stateFile;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'halog-live-'));
+        logPath = path.join(dir, 'haproxy.log');
+        stateFile = path.join(dir, 'state.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, {recursive: true});
+    });
+
+    // Read the new lines of the log and return the servers of their records
+    function read(counter) {
+        const servers = [];
+        counter.read((line, record) => servers.push(record.server));
+        return servers;
+    }
+
+    it('reads the lines that are appended to the log', () => {
+        fs.writeFileSync(logPath, logLine('rick') + 'not a request\n' + logLine('selma'));
+        const counter = createRequestCounter(logPath, stateFile);
+
+        assert.deepEqual(read(counter), ['rick', 'selma']);
+        assert.deepEqual(read(counter), []);
+
+        // A line that is still being written is read once it is complete
+        const line = logLine('rick');
+        fs.appendFileSync(logPath, logLine('sherlock') + line.slice(0, 40));
+        assert.deepEqual(read(counter), ['sherlock']);
+        fs.appendFileSync(logPath, line.slice(40));
+        assert.deepEqual(read(counter), ['rick']);
+
+        assert.deepEqual({...counter.counts}, {rick: 2, selma: 1, sherlock: 1});
+        counter.close();
+    });
+
+    it('reports a missing log file', () => {
+        const counter = createRequestCounter(logPath, stateFile);
+
+        assert.equal(counter.read(() => {}), false);
+        fs.writeFileSync(logPath, logLine('rick'));
+        assert.equal(counter.read(() => {}), true);
+        assert.deepEqual({...counter.counts}, {rick: 1});
+        counter.close();
+    });
+
+    it('reads the remaining lines of a rotated log before the new log', () => {
+        fs.writeFileSync(logPath, logLine('rick'));
+        const counter = createRequestCounter(logPath, stateFile);
+        assert.deepEqual(read(counter), ['rick']);
+
+        fs.appendFileSync(logPath, logLine('selma'));
+        fs.renameSync(logPath, `${logPath}.1`);
+        assert.deepEqual(read(counter), ['selma']);
+
+        fs.writeFileSync(logPath, logLine('sherlock'));
+        assert.deepEqual(read(counter), ['sherlock']);
+        assert.deepEqual({...counter.counts}, {rick: 1, selma: 1, sherlock: 1});
+        counter.close();
+    });
+
+    it('reads the remaining lines of a log that was rotated while the daemon was stopped', () => {
+        fs.writeFileSync(logPath, logLine('rick'));
+        const counter = createRequestCounter(logPath, stateFile);
+        assert.deepEqual(read(counter), ['rick']);
+        counter.close();
+
+        fs.appendFileSync(logPath, logLine('selma'));
+        fs.renameSync(logPath, `${logPath}.1`);
+        fs.writeFileSync(logPath, logLine('sherlock'));
+
+        const restarted = createRequestCounter(logPath, stateFile);
+        assert.deepEqual(read(restarted), ['selma', 'sherlock']);
+        assert.deepEqual({...restarted.counts}, {rick: 1, selma: 1, sherlock: 1});
+        restarted.close();
+    });
+
+    it('starts from the beginning of a truncated log', () => {
+        fs.writeFileSync(logPath, logLine('rick') + logLine('rick'));
+        const counter = createRequestCounter(logPath, stateFile);
+        assert.deepEqual(read(counter), ['rick', 'rick']);
+
+        fs.truncateSync(logPath, 0);
+        fs.appendFileSync(logPath, logLine('selma'));
+        assert.deepEqual(read(counter), ['selma']);
+        assert.deepEqual({...counter.counts}, {rick: 2, selma: 1});
+        counter.close();
+    });
+
+    it('does not count any line twice after a restart', () => {
+        fs.writeFileSync(logPath, logLine('rick') + logLine('selma'));
+        const counter = createRequestCounter(logPath, stateFile);
+        assert.deepEqual(read(counter), ['rick', 'selma']);
+        counter.close();
+
+        const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        assert.equal(state.offset, fs.statSync(logPath).size);
+        assert.equal(state.inode, fs.statSync(logPath).ino);
+        assert.deepEqual(state.counts, {rick: 1, selma: 1});
+
+        fs.appendFileSync(logPath, logLine('rick'));
+        const restarted = createRequestCounter(logPath, stateFile);
+        assert.deepEqual({...restarted.counts}, {rick: 1, selma: 1});
+        assert.deepEqual(read(restarted), ['rick']);
+        assert.deepEqual({...restarted.counts}, {rick: 2, selma: 1});
+        restarted.close();
+    });
+
+    it('keeps counting if the state cannot be persisted', (t) => {
+        const errors = [];
+        t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+
+        fs.writeFileSync(logPath, logLine('rick'));
+        const counter = createRequestCounter(logPath, path.join(dir, 'missing', 'state.json'));
+
+        assert.deepEqual(read(counter), ['rick']);
+        assert.deepEqual({...counter.counts}, {rick: 1});
+        assert.match(errors[0], /Failed to write state file/);
+        counter.close();
+    });
+});
+
+describe('loadState', () => {
+    it('starts from scratch without a (valid) state file', (t) => {
+        const errors = [];
+        t.mock.method(console, 'error', (...args) => errors.push(args.join(' ')));
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'halog-live-'));
+        const stateFile = path.join(dir, 'state.json');
+        try {
+            assert.deepEqual(loadState(stateFile), {inode: null, offset: 0, counts: {}});
+            assert.deepEqual(errors, []);
+
+            fs.writeFileSync(stateFile, '{"offset": 12');
+            assert.deepEqual(loadState(stateFile), {inode: null, offset: 0, counts: {}});
+            assert.match(errors[0], /Failed to read state file/);
+
+            fs.writeFileSync(stateFile, JSON.stringify({inode: 42, offset: 12, counts: {rick: 3}}));
+            assert.deepEqual(loadState(stateFile), {inode: 42, offset: 12, counts: {rick: 3}});
+        } finally {
+            fs.rmSync(dir, {recursive: true});
+        }
+    });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import {describe, it} from 'node:test';
+
+import {parseLogLine} from '../../haproxy-log/parser.js';
+import {isValidTimeZone, logTimestamp, parseSyslogTimestamp} from '../timestamps.js';
+
+const REQUEST = 'unipeptapi haproxy[121187]: 141.94.130.164:51010 [10/Sep/2023:00:29:10.946] handlers ' +
+    'all_handlers/rick 0/0/0/2/2 200 285 - - ---- 1/1/0/0/0 0/0 "GET /api/v2/pept2lca.json HTTP/1.1"';
+
+function iso(date) {
+    return date?.toISOString() ?? null;
+}
+
+describe('parseSyslogTimestamp', () => {
+    it('parses ISO timestamps with a fraction or an offset', () => {
+        for (const [timestamp, timeZone, expected] of [
+            ['2025-10-21T10:08:04Z', undefined, '2025-10-21T10:08:04.000Z'],
+            ['2025-10-21T10:08:04+02:00', undefined, '2025-10-21T08:08:04.000Z'],
+            ['2025-10-21T10:08:04-0530', undefined, '2025-10-21T15:38:04.000Z'],
+            ['2025-10-21T10:08:04.123456+02:00', undefined, '2025-10-21T08:08:04.123Z'],
+            ['2025-10-21T10:08:04.5z', undefined, '2025-10-21T10:08:04.500Z'],
+            // The offset takes precedence over the timezone
+            ['2025-10-21T10:08:04+00:00', 'Europe/Brussels', '2025-10-21T10:08:04.000Z'],
+            // A timezone that is a separate token
+            ['2025-10-21T10:08:04 +02:00', undefined, '2025-10-21T08:08:04.000Z'],
+            // Without an offset, the timestamp is in the given timezone
+            ['2025-10-21T10:08:04.25', 'Europe/Brussels', '2025-10-21T08:08:04.250Z'],
+            ['2025-01-21T10:08:04', 'Europe/Brussels', '2025-01-21T09:08:04.000Z'],
+            ['2025-01-21T10:08:04', 'America/New_York', '2025-01-21T15:08:04.000Z'],
+        ]) {
+            assert.equal(iso(parseSyslogTimestamp(`${timestamp} ${REQUEST}`, timeZone)), expected, timestamp);
+        }
+    });
+
+    it('interprets local times around the DST transitions of Europe/Brussels', () => {
+        for (const [timestamp, expected] of [
+            // March 26, 2023: 02:00 CET -> 03:00 CEST, the times in between do not exist
+            ['2023-03-26T01:59:59', '2023-03-26T00:59:59.000Z'],
+            ['2023-03-26T02:00:00', '2023-03-26T01:00:00.000Z'],
+            ['2023-03-26T02:30:00', '2023-03-26T01:30:00.000Z'],
+            ['2023-03-26T03:00:00', '2023-03-26T01:00:00.000Z'],
+            ['2023-03-26T03:30:00', '2023-03-26T01:30:00.000Z'],
+            // October 29, 2023: 03:00 CEST -> 02:00 CET, the times in between occur twice
+            ['2023-10-29T01:59:59', '2023-10-28T23:59:59.000Z'],
+            ['2023-10-29T02:00:00', '2023-10-29T01:00:00.000Z'],
+            ['2023-10-29T02:30:00', '2023-10-29T01:30:00.000Z'],
+            ['2023-10-29T03:00:00', '2023-10-29T02:00:00.000Z'],
+        ]) {
+            assert.equal(iso(parseSyslogTimestamp(`${timestamp} ${REQUEST}`, 'Europe/Brussels')), expected, timestamp);
+        }
+    });
+
+    it('infers the year of BSD timestamps, also across New Year', (t) => {
+        for (const [now, timestamp, expected] of [
+            ['2023-09-10T12:00:00Z', 'Sep 10 00:29:10', '2023-09-09T22:29:10.000Z'],
+            ['2023-09-10T12:00:00Z', 'Sep  1 00:29:10', '2023-08-31T22:29:10.000Z'],
+            ['2023-09-10T12:00:00Z', 'Sep 10 23:59:59.250', '2023-09-10T21:59:59.250Z'],
+            // Lines of December 31 that are read on January 1 (00:30 in Brussels)
+            ['2023-12-31T23:30:00Z', 'Dec 31 23:59:59', '2023-12-31T22:59:59.000Z'],
+            ['2023-12-31T23:30:00Z', 'Jan  1 00:10:00', '2023-12-31T23:10:00.000Z'],
+            // A line of January 1 that is read just before midnight on December 31
+            ['2023-12-31T22:59:50Z', 'Jan  1 00:00:10', '2023-12-31T23:00:10.000Z'],
+            // A line of last December that is read in January, and a line of next December that is read in January
+            ['2024-01-15T12:00:00Z', 'Dec 20 10:00:00', '2023-12-20T09:00:00.000Z'],
+            ['2024-01-15T12:00:00Z', 'Jan 16 10:00:00', '2024-01-16T09:00:00.000Z'],
+            ['2024-01-15T12:00:00Z', 'Jan 17 10:00:00', '2023-01-17T09:00:00.000Z'],
+            // The DST transitions also apply to BSD timestamps
+            ['2023-10-29T12:00:00Z', 'Oct 29 02:30:00', '2023-10-29T01:30:00.000Z'],
+            ['2023-03-26T12:00:00Z', 'Mar 26 02:30:00', '2023-03-26T01:30:00.000Z'],
+        ]) {
+            t.mock.method(Date, 'now', () => Date.parse(now));
+            assert.equal(iso(parseSyslogTimestamp(`${timestamp} ${REQUEST}`, 'Europe/Brussels')), expected,
+                `${timestamp} at ${now}`);
+            t.mock.restoreAll();
+        }
+    });
+
+    it('interprets BSD timestamps in the timezone of this host without a timezone', (t) => {
+        t.mock.method(Date, 'now', () => new Date(2023, 8, 10, 12).getTime());
+
+        assert.equal(iso(parseSyslogTimestamp(`Sep 10 00:29:10 ${REQUEST}`)), iso(new Date(2023, 8, 10, 0, 29, 10)));
+    });
+
+    it('does not recognize other timestamps', () => {
+        for (const line of [REQUEST, 'Foo 10 00:29:10 rest', 'Sep 10 0:29 rest', '2025-10-21 10:08:04 rest', '']) {
+            assert.equal(parseSyslogTimestamp(line, 'Europe/Brussels'), null, line);
+        }
+    });
+});
+
+describe('logTimestamp', () => {
+    const line = `2023-09-09T22:29:12+00:00 ${REQUEST}`;
+    const record = parseLogLine(line);
+
+    it('uses the syslog timestamp or the accept date', () => {
+        assert.equal(logTimestamp('syslog', undefined, line, record), Date.parse('2023-09-09T22:29:12Z'));
+        assert.equal(logTimestamp('accept-date', undefined, line, record), new Date(2023, 8, 10, 0, 29, 10, 946).getTime());
+    });
+
+    it('interprets the accept date in the timezone of HAProxy', () => {
+        for (const [timeZone, expected] of [
+            ['UTC', '2023-09-10T00:29:10.946Z'],
+            ['Europe/Brussels', '2023-09-09T22:29:10.946Z'],
+            ['America/New_York', '2023-09-10T04:29:10.946Z'],
+            ['Asia/Kolkata', '2023-09-09T18:59:10.946Z'],
+        ]) {
+            assert.equal(logTimestamp('accept-date', timeZone, line, record), Date.parse(expected), timeZone);
+        }
+    });
+
+    it('returns null without a timestamp', () => {
+        assert.equal(logTimestamp('syslog', 'UTC', REQUEST, record), null);
+        assert.equal(logTimestamp('accept-date', 'UTC', line, null), null);
+    });
+});
+
+describe('isValidTimeZone', () => {
+    it('accepts IANA timezone names', () => {
+        assert.equal(isValidTimeZone('Europe/Brussels'), true);
+        assert.equal(isValidTimeZone('UTC'), true);
+        assert.equal(isValidTimeZone('Europe/Gent'), false);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Timestamps of the lines of the HAProxy log, which decide whether a request falls within one of the sliding windows of
+ * halog-live. Two sources are supported:
+ *
+ * - syslog: the timestamp that syslog prepends to every line. Both ISO-8601/RFC3339 (e.g. 2025-10-21T10:08:04+02:00, as
+ *   produced by our rsyslog configuration) and the classic BSD syslog format (e.g. "Sep 10 00:18:12", which has neither
+ *   a year nor a timezone) are recognized. The year of a BSD timestamp is inferred: it is the latest year that does not
+ *   put the timestamp more than a day in the future (e.g. the previous year for December lines that are read in
+ *   January).
+ * - accept-date: the date at which HAProxy accepted the connection (e.g. [10/Sep/2023:00:18:12.239]). This is the start
+ *   of the request, whereas syslog timestamps are written when the request has ended.
+ *
+ * Timestamps without a timezone are interpreted in the given timezone (an IANA name such as Europe/Brussels), or in the
+ * timezone of this host if none is given.
+ */
+
+export const TIMESTAMP_SOURCES = ['syslog', 'accept-date'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ISO_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?(Z|[+\-]\d{2}:?\d{2})?$/i;
+const UTC_OFFSET = /^([+\-])(\d{2}):?(\d{2})$/;
+const BSD_TIME = /^(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/;
+
+// BSD timestamps that are at most this far in the future are still assigned to the current year (to allow for clock
+// differences between the hosts)
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// Timezone -> Intl.DateTimeFormat, which is expensive to create
+const formatters = new Map();
+
+// The wall-clock time (in the given timezone) of a moment in time, as the components of a date
+function wallClock(epoch, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        }));
+    }
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(epoch).map(({type, value}) => [type, Number(value)]));
+    return {year: parts.year, month: parts.month - 1, day: parts.day, hours: parts.hour, minutes: parts.minute, seconds: parts.second};
+}
+
+// The offset (in milliseconds) of the given timezone from UTC at a moment in time
+function timeZoneOffset(epoch, timeZone) {
+    const {year, month, day, hours, minutes, seconds} = wallClock(epoch, timeZone);
+    return Date.UTC(year, month, day, hours, minutes, seconds) - Math.floor(epoch / 1000) * 1000;
+}
+
+// Convert a wall-clock time in the given timezone (or the local timezone if none is given) into a Date. A time in the
+// gap of a DST transition is moved forward by the size of the gap (02:30 becomes 03:30), a time in the overlap is
+// interpreted in standard time (the second 02:30).
+function zonedDate(year, month, day, hours, minutes, seconds, ms, timeZone) {
+    if (!timeZone) return new Date(year, month, day, hours, minutes, seconds, ms);
+
+    // The offset at the wall-clock time itself is a first guess, that is corrected around DST transitions
+    const utc = Date.UTC(year, month, day, hours, minutes, seconds, ms);
+    const guess = utc - timeZoneOffset(utc, timeZone);
+    return new Date(utc - timeZoneOffset(guess, timeZone));
+}
+
+// Fractional seconds of any precision, in milliseconds
+function fractionToMs(fraction) {
+    return fraction ? Number.parseInt(fraction.substring(0, 3).padEnd(3, '0')) : 0;
+}
+
+/**
+ * Check whether the given IANA timezone name is supported.
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone});
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// ISO-8601/RFC3339, e.g. 2025-10-21T10:08:04Z or 2025-10-21T10:08:04+02:00. Some syslog configurations split the
+// timezone into a separate token (e.g. 2025-10-21T10:08:04 +02:00).
+function parseIsoTimestamp(tokens, timeZone) {
+    const match = ISO_TIMESTAMP.exec(tokens[0]);
+    if (!match) return null;
+
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+    const fraction = match[7];
+    const offset = match[8] ?? (UTC_OFFSET.test(tokens[1] ?? '') ? tokens[1] : null);
+
+    if (offset === null) {
+        return zonedDate(year, month - 1, day, hours, minutes, seconds, fractionToMs(fraction), timeZone);
+    }
+
+    let offsetMs = 0;
+    if (offset.toUpperCase() !== 'Z') {
+        const [, sign, offsetHours, offsetMinutes] = UTC_OFFSET.exec(offset);
+        offsetMs = (sign === '-' ? -1 : 1) * (Number.parseInt(offsetHours) * 60 + Number.parseInt(offsetMinutes)) * 60 * 1000;
+    }
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds, fractionToMs(fraction)) - offsetMs);
+}
+
+// BSD syslog (RFC 3164), e.g. "Sep 10 00:18:12" or "Sep  1 00:18:12"
+function parseBsdTimestamp(tokens, timeZone, now) {
+    const month = MONTHS.indexOf(tokens[0]);
+    const time = BSD_TIME.exec(tokens[2] ?? '');
+    if (month === -1 || !/^\d{1,2}$/.test(tokens[1] ?? '') || !time) return null;
+
+    const [hours, minutes, seconds] = time.slice(1, 4).map(Number);
+    const day = Number.parseInt(tokens[1]);
+    const year = timeZone ? wallClock(now, timeZone).year : new Date(now).getFullYear();
+
+    // The latest year that does not put the timestamp in the future: the next year for a line of January 1 that is
+    // read just before midnight on a host whose clock is behind, the previous year for December lines read in January
+    for (const candidate of [year + 1, year]) {
+        const date = zonedDate(candidate, month, day, hours, minutes, seconds, fractionToMs(time[4]), timeZone);
+        if (date.getTime() <= now + MAX_CLOCK_SKEW_MS) return date;
+    }
+    return zonedDate(year - 1, month, day, hours, minutes, seconds, fractionToMs(time[4]), timeZone);
+}
+
+/**
+ * Parse the syslog timestamp at the start of a log line (ISO-8601/RFC3339 or BSD syslog).
+ *
+ * @param line A line of the HAProxy log.
+ * @param timeZone Timezone of timestamps without an offset, or undefined for the local timezone.
+ * @returns Date | null The timestamp, or null if the line does not start with a timestamp.
+ */
+export function parseSyslogTimestamp(line, timeZone) {
+    const tokens = line.split(/\s+/, 3);
+    return parseIsoTimestamp(tokens, timeZone) ?? parseBsdTimestamp(tokens, timeZone, Date.now());
+}
+
+/**
+ * The timestamp of a line of the HAProxy log.
+ *
+ * @param source One of TIMESTAMP_SOURCES.
+ * @param timeZone Timezone of timestamps without an offset, or undefined for the local timezone.
+ * @param line A line of the HAProxy log.
+ * @param record The parsed line (only required for the accept-date source).
+ * @returns number | null The timestamp in milliseconds since the epoch, or null if it could not be determined.
+ */
+export function logTimestamp(source, timeZone, line, record) {
+    if (source === 'syslog') {
+        return parseSyslogTimestamp(line, timeZone)?.getTime() ?? null;
+    }
+
+    // The parser interprets the accept date in the local timezone, so its components are the wall-clock time in the
+    // timezone of the HAProxy host
+    const date = record?.acceptDate;
+    if (!date) return null;
+    if (!timeZone) return date.getTime();
+    return zonedDate(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(),
+        date.getSeconds(), date.getMilliseconds(), timeZone).getTime();
+}
@@ -0,0 +1,159 @@
+/**
+ * A configuration file that is shared by the HALog Collector (collect.js and server.js) and HALog Live scripts, so that
+ * the operational settings of both (the backend nodes, the storage, the exporters, ...) are kept in a single place
+ * instead of in the source code. The file is a JSON object with the following keys (see config.example.json):
+ *
+ * - nodes: the names of the backend nodes, which are used by both scripts.
+ * - collector: the options of collect.js (e.g. {"storage": "mysql", "db-host": "db.example.org"}).
+ * - server: the options of server.js (e.g. {"port": 8080}). The server also uses the options of the collector section
+ *   that it knows (i.e. the storage settings), so that these only have to be configured once.
+ * - live: the options of halog-live.js (e.g. {"exporter": ["graphite"], "metric-prefix": "halog_live.unipeptapi"}).
+ *
+ * The options in these sections have the same names as the global command line options of the scripts (options of a
+ * single command, such as those of the report command, can only be given on the command line). Secrets (see
+ * SECRET_OPTIONS) can be kept out of the configuration file (and out of the command line, where they show up in ps) by
+ * putting them in a separate credentials file, or in environment variables. Every option can be set with an environment
+ * variable that starts with HALOG_ (e.g. HALOG_DB_PASSWORD or HALOG_CONFIG). Options on the command line take precedence
+ * over environment variables, which take precedence over the credentials file, which takes precedence over the
+ * configuration file.
+ *
+ * This module does not depend on yargs itself: configOptions is given the yargs instance of the script.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+
+/**
+ * The options that can be read from a credentials file.
+ */
+export const SECRET_OPTIONS = ["db-password", "client-salt", "influxdb-token"];
+
+/**
+ * The sections of the configuration file, one for every script (or group of scripts).
+ */
+export const CONFIG_SECTIONS = ["collector", "server", "live"];
+
+/**
+ * The prefix of the environment variables from which options are read.
+ */
+export const ENV_PREFIX = "HALOG";
+
+const readJsonObject = function(file, description) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+        throw new Error(`Could not read ${description} ${file}: ${err.message}`);
+    }
+
+    if (typeof content !== "object" || content === null || Array.isArray(content)) {
+        throw new Error(`The ${description} ${file} should contain a JSON object.`);
+    }
+
+    return content;
+}
+
+/**
+ * Read and validate a configuration file.
+ *
+ * @param configFile The path to the configuration file.
+ * @param section The section of the configuration file that belongs to the script (one of CONFIG_SECTIONS).
+ * @param knownOptions The names of all options of the script. Unknown options in the section are rejected, so that
+ *                     typos do not go unnoticed.
+ * @param inheritedSections Other sections from which the options that are known to the script are used as well.
+ * @returns object The options of the script: the shared options (nodes), the known options of the inherited sections and
+ * the options in its own section (which take precedence).
+ */
+export const loadConfig = function(configFile, section, knownOptions, inheritedSections = []) {
+    const config = readJsonObject(configFile, "configuration file");
+
+    for (const key of Object.keys(config)) {
+        if (key !== "nodes" && !CONFIG_SECTIONS.includes(key)) {
+            throw new Error(`Unknown key "${key}" in configuration file ${configFile} (expected nodes, ${CONFIG_SECTIONS.join(", ")}).`);
+        }
+    }
+
+    if (config.nodes !== undefined &&
+        !(Array.isArray(config.nodes) && config.nodes.every(node => typeof node === "string" && node.length > 0))) {
+        throw new Error(`"nodes" in configuration file ${configFile} should be a list of node names.`);
+    }
+
+    for (const name of CONFIG_SECTIONS) {
+        const options = config[name] ?? {};
+        if (typeof options !== "object" || options === null || Array.isArray(options)) {
+            throw new Error(`"${name}" in configuration file ${configFile} should be an object with options.`);
+        }
+    }
+
+    for (const key of Object.keys(config[section] ?? {})) {
+        if (!knownOptions.includes(key)) {
+            throw new Error(`Unknown option "${key}" in the "${section}" section of configuration file ${configFile}.`);
+        }
+    }
+
+    const inherited = inheritedSections.flatMap(name => Object.entries(config[name] ?? {}))
+        .filter(([key]) => knownOptions.includes(key));
+
+    return {
+        ...(config.nodes !== undefined ? { nodes: config.nodes } : {}),
+        ...Object.fromEntries(inherited),
+        ...config[section]
+    };
+}
+
+/**
+ * Read and validate a credentials file: a JSON object with one or more of the SECRET_OPTIONS (e.g.
+ * {"db-password": "..."}). Options of other scripts are allowed, so that a single credentials file can be shared. A
+ * credentials file that every user of the host can read is rejected.
+ *
+ * @param credentialsFile The path to the credentials file.
+ * @returns object The secrets.
+ */
+export const loadCredentials = function(credentialsFile) {
+    const credentials = readJsonObject(credentialsFile, "credentials file");
+
+    // Windows does not have Unix file modes
+    if (process.platform !== "win32" && (fs.statSync(credentialsFile).mode & 0o004) !== 0) {
+        throw new Error(`Credentials file ${credentialsFile} is readable by every user, restrict its permissions (e.g. chmod 600).`);
+    }
+
+    for (const [key, value] of Object.entries(credentials)) {
+        if (!SECRET_OPTIONS.includes(key)) {
+            throw new Error(`Unknown secret "${key}" in credentials file ${credentialsFile} (expected ${SECRET_OPTIONS.join(", ")}).`);
+        }
+        if (typeof value !== "string") {
+            throw new Error(`Secret "${key}" in credentials file ${credentialsFile} should be a string.`);
+        }
+    }
+
+    return credentials;
+}
+
+/**
+ * Add the --config and --credentials-file options to a yargs instance, and read all other options from environment
+ * variables that start with ENV_PREFIX.
+ *
+ * @param yargs The yargs instance of the script.
+ * @param section The section of the configuration file that belongs to the script (one of CONFIG_SECTIONS).
+ * @param inheritedSections Other sections from which the script uses the options it knows (see loadConfig).
+ * @returns The same yargs instance, so that calls can be chained.
+ */
+export const configOptions = function(yargs, section, inheritedSections = []) {
+    const knownOptions = () => Object.keys(yargs.getOptions().key);
+
+    // If an option is set by several files, yargs uses the file that was registered first. The credentials file is
+    // therefore registered before the configuration file.
+    return yargs
+        .config(
+            "credentials-file",
+            `A JSON file with secrets (${SECRET_OPTIONS.join(", ")}), so that they do not have to be passed on the command line.`,
+            loadCredentials
+        )
+        .config(
+            "config",
+            `A JSON configuration file that is shared by the collector and halog-live (options are read from its "nodes" and "${section}" keys).`,
+            configFile => loadConfig(configFile, section, knownOptions(), inheritedSections)
+        )
+        .env(ENV_PREFIX);
+}
@@ -0,0 +1,172 @@
+/**
+ * A pure JavaScript parser for the HAProxy HTTP log format. This module replaces the external halog utility that was
+ * previously used by both the collector and the live exporter, so that neither of them depends on the output layout of
+ * halog or on the HAProxy tools being installed on the host.
+ *
+ * The expected format of a single log entry (optionally preceded by a syslog prefix such as
+ * "Sep 10 00:18:12 unipeptapi haproxy[121187]: ") is:
+ *
+ * client_ip:port [accept_date] frontend~ backend/server Tq/Tw/Tc/Tr/Ta status bytes_read req_cookie res_cookie
+ * termination_state actconn/feconn/beconn/srv_conn/retries srv_queue/backend_queue {req_headers} {res_headers}
+ * "request_line"
+ *
+ * @author Pieter Verschaffelt
+ */
+
+const HTTP_LOG_PATTERN = new RegExp(
+    "(?<clientIp>\\S+):(?<clientPort>\\d+) " +
+    "\\[(?<acceptDate>[^\\]]+)\\] " +
+    "(?<frontend>[^\\s~]+)(?<ssl>~)? " +
+    "(?<backend>[^\\s/]+)\\/(?<server>\\S+) " +
+    "(?<tq>-?\\d+)\\/(?<tw>-?\\d+)\\/(?<tc>-?\\d+)\\/(?<tr>-?\\d+)\\/\\+?(?<ta>-?\\d+) " +
+    "(?<status>-?\\d+) " +
+    "\\+?(?<bytesRead>\\d+) " +
+    "(?<requestCookie>\\S+) (?<responseCookie>\\S+) " +
+    "(?<terminationState>\\S{4}) " +
+    "(?<actconn>\\d+)\\/(?<feconn>\\d+)\\/(?<beconn>\\d+)\\/(?<srvConn>\\d+)\\/\\+?(?<retries>\\d+) " +
+    "(?<srvQueue>\\d+)\\/(?<backendQueue>\\d+) " +
+    "(?:\\{(?<headersA>[^}]*)\\} )?" +
+    "(?:\\{(?<headersB>[^}]*)\\} )?" +
+    "\"(?<request>.*?)\"?$"
+);
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Convert HAProxy's accept date (e.g. "10/Sep/2023:00:18:12.239") into a Date object. HAProxy does not log a
+ * timezone, so the date is interpreted in the local timezone of the host that runs this script.
+ *
+ * @param value The accept date as it is found in the log line (without the surrounding brackets).
+ * @returns Date | null The parsed date, or null if the value could not be parsed.
+ */
+export const parseAcceptDate = function(value) {
+    const match = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/.exec(value);
+
+    if (!match) {
+        return null;
+    }
+
+    const month = MONTHS.indexOf(match[2]);
+    if (month === -1) {
+        return null;
+    }
+
+    return new Date(
+        Number.parseInt(match[3]),
+        month,
+        Number.parseInt(match[1]),
+        Number.parseInt(match[4]),
+        Number.parseInt(match[5]),
+        Number.parseInt(match[6]),
+        Number.parseInt((match[7] || "0").padEnd(3, "0"))
+    );
+}
+
+/**
+ * Split the request line that was logged by HAProxy into its method, URL and HTTP version. Malformed requests (such as
+ * "<BADREQ>") do not have all of these parts, in which case the missing parts are left empty.
+ *
+ * @param request The request line as it was logged by HAProxy (without the surrounding quotes).
+ * @returns {{method: string, url: string, httpVersion: string}}
+ */
+const parseRequestLine = function(request) {
+    const parts = request.split(" ");
+
+    if (parts.length < 2) {
+        return { method: "", url: request, httpVersion: "" };
+    }
+
+    return {
+        method: parts[0],
+        url: parts[1],
+        httpVersion: parts.length > 2 ? parts[parts.length - 1] : ""
+    };
+}
+
+const splitHeaders = function(headers) {
+    return headers === undefined ? [] : headers.split("|");
+}
+
+/**
+ * Parse a single line of an HAProxy log file. Lines that do not contain an HTTP log entry (e.g. HAProxy's own
+ * notices, SSL handshake failures or TCP logs) are ignored.
+ *
+ * When only one block of captured headers is present, it is assumed to contain the captured request headers (which is
+ * the case for our HAProxy configuration, where only the user agent is captured).
+ *
+ * @param line A single line from the HAProxy log file.
+ * @returns object | null An object that holds all fields of the log entry, or null if the line could not be parsed.
+ */
+export const parseLogLine = function(line) {
+    const match = HTTP_LOG_PATTERN.exec(line);
+
+    if (!match) {
+        return null;
+    }
+
+    const groups = match.groups;
+    const { method, url, httpVersion } = parseRequestLine(groups.request);
+
+    return {
+        clientIp: groups.clientIp,
+        clientPort: Number.parseInt(groups.clientPort),
+        acceptDate: parseAcceptDate(groups.acceptDate),
+        frontend: groups.frontend,
+        ssl: groups.ssl !== undefined,
+        backend: groups.backend,
+        server: groups.server,
+        tq: Number.parseInt(groups.tq),
+        tw: Number.parseInt(groups.tw),
+        tc: Number.parseInt(groups.tc),
+        tr: Number.parseInt(groups.tr),
+        ta: Number.parseInt(groups.ta),
+        status: Number.parseInt(groups.status),
+        bytesRead: Number.parseInt(groups.bytesRead),
+        requestCookie: groups.requestCookie,
+        responseCookie: groups.responseCookie,
+        terminationState: groups.terminationState,
+        actconn: Number.parseInt(groups.actconn),
+        feconn: Number.parseInt(groups.feconn),
+        beconn: Number.parseInt(groups.beconn),
+        srvConn: Number.parseInt(groups.srvConn),
+        retries: Number.parseInt(groups.retries),
+        srvQueue: Number.parseInt(groups.srvQueue),
+        backendQueue: Number.parseInt(groups.backendQueue),
+        requestHeaders: splitHeaders(groups.headersA),
+        responseHeaders: splitHeaders(groups.headersB),
+        request: groups.request,
+        method,
+        url,
+        httpVersion
+    };
+}
+
+/**
+ * Check whether a log record should be counted as a failed request. This uses the same definition as halog: a request
+ * failed if the server returned a 5xx status code or if one of the timers is negative (i.e. the connection was
+ * aborted before a response could be sent).
+ *
+ * @param record A record that was produced by parseLogLine.
+ * @returns boolean True if the request failed.
+ */
+export const isErrorRecord = function(record) {
+    return record.status >= 500 || record.tq < 0 || record.tw < 0 || record.tc < 0 || record.tr < 0 || record.ta < 0;
+}
+
+/**
+ * Strip the query string from the URL of a log record (as halog does when it reports per-URL statistics) and remove
+ * the scheme and host if the client sent an absolute URL (as is the case for most HTTP/2 requests).
+ *
+ * @param record A record that was produced by parseLogLine.
+ * @returns string The path that was requested.
+ */
+export const requestPath = function(record) {
+    let path = record.url;
+
+    const queryIdx = path.indexOf("?");
+    if (queryIdx !== -1) {
+        path = path.substring(0, queryIdx);
+    }
+
+    return path.replace(/^https?:\/\/[^/]+/i, "");
+}
@@ -0,0 +1,68 @@
+/**
+ * Streaming readers for HAProxy log files. Log files are read line by line, so that memory usage stays constant
+ * regardless of how large the log file is. Files that end with ".gz" (e.g. "haproxy.log.2.gz", as produced by
+ * logrotate) are transparently decompressed.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+import fs from "node:fs";
+import readline from "node:readline";
+import zlib from "node:zlib";
+import { pipeline } from "node:stream";
+
+import { parseLogLine } from "./parser.js";
+
+/**
+ * Open a (possibly gzip-compressed) log file as a readable stream. Errors that occur while reading the file are
+ * forwarded to the returned stream.
+ *
+ * @param logPath Path to the log file that should be opened.
+ * @returns stream.Readable A stream that produces the uncompressed contents of the log file.
+ */
+const openLogStream = function(logPath) {
+    const fileStream = fs.createReadStream(logPath);
+
+    if (!logPath.endsWith(".gz")) {
+        return fileStream;
+    }
+
+    // pipeline destroys the gunzip stream (and thus the consumer) if the underlying file cannot be read.
+    return pipeline(fileStream, zlib.createGunzip(), () => {});
+}
+
+/**
+ * Read all lines from one or more log files, one line at a time and in the order in which the files are provided.
+ *
+ * @param logPaths A single path or an array of paths to the log files that should be read.
+ * @returns AsyncGenerator<string> All lines of the given log files.
+ */
+export const readLogLines = async function*(logPaths) {
+    for (const logPath of [logPaths].flat()) {
+        const lineReader = readline.createInterface({
+            input: openLogStream(logPath),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of lineReader) {
+            yield line;
+        }
+    }
+}
+
+/**
+ * Read one or more HAProxy log files and parse all HTTP log entries that they contain. Lines that are not HTTP log
+ * entries are skipped.
+ *
+ * @param logPaths A single path or an array of paths to the log files that should be parsed.
+ * @returns AsyncGenerator<object> All records that could be parsed from the given log files.
+ */
+export const readLogRecords = async function*(logPaths) {
+    for await (const line of readLogLines(logPaths)) {
+        const record = parseLogLine(line);
+
+        if (record) {
+            yield record;
+        }
+    }
+}
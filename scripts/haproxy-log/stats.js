@@ -0,0 +1,75 @@
+/**
+ * Helpers for computing summary statistics (averages, percentiles, maxima) of the timers that are logged by HAProxy.
+ *
+ * @author Pieter Verschaffelt
+ */
+
+/**
+ * The percentiles that are reported for every distribution.
+ */
+export const PERCENTILES = [50, 90, 95, 99];
+
+/**
+ * Create a new distribution of (integer) durations. Instead of keeping every single value in memory, the distribution
+ * keeps track of how many times each value was observed. HAProxy logs timers in milliseconds, so the amount of memory
+ * that is required is bounded by the number of distinct durations (and not by the number of requests), while the
+ * percentiles that are computed are still exact.
+ *
+ * @returns object A distribution to which values can be added with "add" and that can be summarized with "summary".
+ */
+export const createDistribution = function() {
+    const counts = new Map();
+    let count = 0;
+    let sum = 0;
+    let max = 0;
+
+    return {
+        /**
+         * Add a single observation to this distribution. Negative values (which HAProxy uses to indicate that a timer
+         * was not set) are ignored.
+         *
+         * @param value The value that should be added.
+         */
+        add(value) {
+            if (!(value >= 0)) {
+                return;
+            }
+
+            counts.set(value, (counts.get(value) || 0) + 1);
+            count++;
+            sum += value;
+            max = Math.max(max, value);
+        },
+
+        /**
+         * Compute the amount of observations, the average, the percentiles listed in PERCENTILES (using the nearest-rank
+         * method) and the maximum of this distribution. All values are 0 if the distribution is empty.
+         *
+         * @returns object An object with keys count, avg, p50, p90, p95, p99 and max.
+         */
+        summary() {
+            const result = { count, avg: count > 0 ? sum / count : 0 };
+
+            const sortedValues = [...counts.keys()].sort((a, b) => a - b);
+            const ranks = PERCENTILES.map(p => Math.max(1, Math.ceil(p / 100 * count)));
+
+            let seen = 0;
+            let rankIdx = 0;
+            for (const value of sortedValues) {
+                seen += counts.get(value);
+
+                while (rankIdx < ranks.length && ranks[rankIdx] <= seen) {
+                    result[`p${PERCENTILES[rankIdx]}`] = value;
+                    rankIdx++;
+                }
+            }
+
+            for (const p of PERCENTILES) {
+                result[`p${p}`] ??= 0;
+            }
+
+            result.max = max;
+            return result;
+        }
+    };
+}
@@ -0,0 +1,189 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createRequire } from "node:module";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import { configOptions, loadConfig, loadCredentials } from "../config.js";
+
+// This package does not depend on yargs: the precedence of the option sources is tested with the yargs of halog-live,
+// and skipped if its dependencies are not installed.
+let yargs = null;
+try {
+    yargs = createRequire(new URL("../../halog-live/package.json", import.meta.url))("yargs/yargs");
+} catch (err) {
+    // The tests that use yargs are skipped.
+}
+
+const CONFIG = {
+    nodes: ["rick", "selma"],
+    collector: { "db-host": "collector-host", "db-user": "collector-user", "db-password": "from-inherited-section" },
+    server: { "db-user": "server-user", "db-password": "from-config-section", port: 8080 },
+    live: { "metric-prefix": "halog_live" }
+};
+
+const SERVER_OPTIONS = ["nodes", "db-host", "db-user", "db-password", "port"];
+
+describe("config", () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "haproxy-log-config-"));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    const writeJson = function(name, content, mode = 0o600) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content), { mode });
+        fs.chmodSync(file, mode);
+        return file;
+    }
+
+    describe("loadConfig", () => {
+        it("combines the nodes, the inherited sections and the section of the script", () => {
+            const configFile = writeJson("config.json", CONFIG);
+
+            assert.deepEqual(loadConfig(configFile, "server", SERVER_OPTIONS, ["collector"]), {
+                nodes: ["rick", "selma"],
+                "db-host": "collector-host",
+                "db-user": "server-user",
+                "db-password": "from-config-section",
+                port: 8080
+            });
+            // Options of an inherited section that the script does not know are left out
+            const portOnly = writeJson("port.json", { ...CONFIG, server: { port: 8080 } });
+            assert.deepEqual(loadConfig(portOnly, "server", ["port"], ["collector"]), {
+                nodes: ["rick", "selma"],
+                port: 8080
+            });
+        });
+
+        it("rejects unknown keys and options and invalid sections", () => {
+            for (const [config, message] of [
+                [{ ...CONFIG, collectors: {} }, /Unknown key "collectors" in configuration file .* \(expected nodes, collector, server, live\)/],
+                [{ ...CONFIG, server: { ...CONFIG.server, prot: 8080 } }, /Unknown option "prot" in the "server" section/],
+                [{ ...CONFIG, nodes: "rick" }, /"nodes" in configuration file .* should be a list of node names/],
+                [{ ...CONFIG, nodes: ["rick", ""] }, /should be a list of node names/],
+                [{ ...CONFIG, live: ["graphite"] }, /"live" in configuration file .* should be an object with options/],
+                [["rick"], /should contain a JSON object/],
+                ["{\"nodes\": ", /Could not read configuration file/]
+            ]) {
+                assert.throws(() => loadConfig(writeJson("config.json", config), "server", SERVER_OPTIONS, ["collector"]), message);
+            }
+
+            assert.throws(() => loadConfig(path.join(dir, "missing.json"), "server", SERVER_OPTIONS),
+                /Could not read configuration file .*missing\.json: ENOENT/);
+        });
+    });
+
+    describe("loadCredentials", () => {
+        it("reads the secrets", () => {
+            const credentialsFile = writeJson("credentials.json", { "db-password": "secret", "influxdb-token": "token" });
+
+            assert.deepEqual(loadCredentials(credentialsFile), { "db-password": "secret", "influxdb-token": "token" });
+        });
+
+        it("rejects unknown secrets and secrets that are not strings", () => {
+            assert.throws(() => loadCredentials(writeJson("credentials.json", { "db-user": "statistics" })),
+                /Unknown secret "db-user" in credentials file .* \(expected db-password, client-salt, influxdb-token\)/);
+            assert.throws(() => loadCredentials(writeJson("credentials.json", { "db-password": 1234 })),
+                /Secret "db-password" in credentials file .* should be a string/);
+        });
+
+        it("rejects a credentials file that cannot be read", () => {
+            assert.throws(() => loadCredentials(path.join(dir, "missing.json")), /Could not read credentials file .*ENOENT/);
+            assert.throws(() => loadCredentials(dir), /Could not read credentials file .*EISDIR/);
+            assert.throws(() => loadCredentials(writeJson("credentials.json", "db-password=secret")),
+                /Could not read credentials file/);
+        });
+
+        it("rejects a credentials file that every user can read", { skip: process.platform === "win32" }, () => {
+            const credentialsFile = writeJson("credentials.json", { "db-password": "secret" }, 0o644);
+            assert.throws(() => loadCredentials(credentialsFile), /is readable by every user.*chmod 600/);
+
+            fs.chmodSync(credentialsFile, 0o640);
+            assert.deepEqual(loadCredentials(credentialsFile), { "db-password": "secret" });
+        });
+    });
+
+    describe("configOptions", { skip: yargs === null && "the dependencies of halog-live are not installed" }, () => {
+        const ENV = ["HALOG_DB_PASSWORD", "HALOG_CONFIG", "HALOG_CREDENTIALS_FILE"];
+        let savedEnv;
+
+        beforeEach(() => {
+            savedEnv = Object.fromEntries(ENV.map(name => [name, process.env[name]]));
+        });
+
+        afterEach(() => {
+            for (const [name, value] of Object.entries(savedEnv)) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+        });
+
+        const parse = function(args, env = {}) {
+            for (const name of ENV) {
+                delete process.env[name];
+            }
+            Object.assign(process.env, env);
+
+            return configOptions(yargs(args), "server", ["collector"])
+                .option("nodes", { type: "array" })
+                .option("db-host", { default: "localhost" })
+                .option("db-user", { default: "root" })
+                .option("db-password", { default: "" })
+                .option("port", { default: 80 })
+                .exitProcess(false)
+                .fail((message, err) => { throw err ?? new Error(message); })
+                .parse();
+        }
+
+        it("gives the command line precedence over the environment, the credentials file and the configuration file", () => {
+            const configFile = writeJson("config.json", CONFIG);
+            const credentialsFile = writeJson("credentials.json", { "db-password": "from-credentials" });
+            const files = ["--config", configFile, "--credentials-file", credentialsFile];
+            const env = { HALOG_DB_PASSWORD: "from-env" };
+            const withoutPassword = { ...CONFIG, server: { port: 8080 } };
+
+            for (const [args, environment, expected] of [
+                [[...files, "--db-password", "from-cli"], env, "from-cli"],
+                [files, env, "from-env"],
+                [files, {}, "from-credentials"],
+                [["--config", configFile], {}, "from-config-section"],
+                [["--config", writeJson("inherited.json", withoutPassword)], {}, "from-inherited-section"],
+                [[], {}, ""]
+            ]) {
+                assert.equal(parse(args, environment).dbPassword, expected, `${args.join(" ")} ${JSON.stringify(environment)}`);
+            }
+        });
+
+        it("reads the files from the environment as well", () => {
+            const argv = parse(["--port", "9090"], {
+                HALOG_CONFIG: writeJson("config.json", CONFIG),
+                HALOG_CREDENTIALS_FILE: writeJson("credentials.json", { "db-password": "from-credentials" })
+            });
+
+            assert.deepEqual(argv.nodes, ["rick", "selma"]);
+            assert.equal(argv.dbHost, "collector-host");
+            assert.equal(argv.dbUser, "server-user");
+            assert.equal(argv.dbPassword, "from-credentials");
+            assert.equal(argv.port, 9090);
+        });
+
+        it("reports invalid files", () => {
+            const configFile = writeJson("config.json", { ...CONFIG, server: { prot: 8080 } });
+            const credentialsFile = writeJson("credentials.json", { "db-password": "secret" }, 0o604);
+
+            assert.throws(() => parse(["--config", configFile]), /Unknown option "prot"/);
+            assert.throws(() => parse(["--credentials-file", credentialsFile]), /is readable by every user/);
+            assert.throws(() => parse(["--credentials-file", path.join(dir, "missing.json")]), /Could not read credentials file/);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { isErrorRecord, parseAcceptDate, parseLogLine, requestPath } from "../parser.js";
+
+const LINE = "Sep 10 05:59:27 unipeptapi haproxy[121187]: 154.114.10.245:1923 [10/Sep/2023:05:59:27.193] handlers " +
+    "all_handlers/selma 0/0/1/256/258 200 116061 - - ---- 10/10/8/2/0 0/0 \"POST /api/v2/pept2lca.json HTTP/1.1\"";
+
+describe("parseLogLine", () => {
+    it("parses all fields of an HTTP log entry", () => {
+        const record = parseLogLine(LINE);
+
+        assert.equal(record.clientIp, "154.114.10.245");
+        assert.equal(record.clientPort, 1923);
+        assert.deepEqual(record.acceptDate, new Date(2023, 8, 10, 5, 59, 27, 193));
+        assert.equal(record.frontend, "handlers");
+        assert.equal(record.ssl, false);
+        assert.equal(record.backend, "all_handlers");
+        assert.equal(record.server, "selma");
+        assert.deepEqual([record.tq, record.tw, record.tc, record.tr, record.ta], [0, 0, 1, 256, 258]);
+        assert.equal(record.status, 200);
+        assert.equal(record.bytesRead, 116061);
+        assert.equal(record.terminationState, "----");
+        assert.deepEqual(
+            [record.actconn, record.feconn, record.beconn, record.srvConn, record.retries, record.srvQueue, record.backendQueue],
+            [10, 10, 8, 2, 0, 0, 0]
+        );
+        assert.equal(record.method, "POST");
+        assert.equal(record.url, "/api/v2/pept2lca.json");
+        assert.equal(record.httpVersion, "HTTP/1.1");
+    });
+
+    it("parses TLS frontends, ISO-8601 syslog prefixes and captured headers", () => {
+        const record = parseLogLine(
+            "2023-09-10T02:52:41+02:00 unipeptapi haproxy[121187]: 40.77.167.7:55251 [10/Sep/2023:02:52:41.981] " +
+            "handlers~ all_handlers/rick 0/0/1/7/+8 200 +785 - - ---- 1/1/0/0/+1 0/0 {Unipept Desktop/2.0.0|x} " +
+            "\"GET https://api.unipept.ugent.be/mpa/pept2data HTTP/2.0\""
+        );
+
+        assert.equal(record.ssl, true);
+        assert.equal(record.ta, 8);
+        assert.equal(record.bytesRead, 785);
+        assert.equal(record.retries, 1);
+        assert.deepEqual(record.requestHeaders, ["Unipept Desktop/2.0.0", "x"]);
+        assert.deepEqual(record.responseHeaders, []);
+        assert.equal(requestPath(record), "/mpa/pept2data");
+    });
+
+    it("keeps malformed requests without method", () => {
+        const record = parseLogLine(
+            "Sep 10 07:58:31 unipeptapi haproxy[121187]: 103.127.78.55:36970 [10/Sep/2023:07:58:26.147] handlers " +
+            "handlers/<NOSRV> -1/-1/-1/-1/5001 408 0 - - cR-- 2/2/0/0/0 0/0 \"<BADREQ>\""
+        );
+
+        assert.equal(record.server, "<NOSRV>");
+        assert.equal(record.method, "");
+        assert.equal(record.url, "<BADREQ>");
+        assert.equal(isErrorRecord(record), true);
+    });
+
+    it("ignores lines that are not HTTP log entries", () => {
+        assert.equal(parseLogLine("Sep 10 00:00:01 unipeptapi haproxy[101813]: [NOTICE]   (101813) : Reloading HAProxy"), null);
+        assert.equal(parseLogLine(
+            "Sep 10 01:56:18 unipeptapi haproxy[121187]: 87.236.176.137:45991 [10/Sep/2023:01:56:18.164] handlers/2: " +
+            "SSL handshake failure"
+        ), null);
+    });
+});
+
+describe("parseAcceptDate", () => {
+    it("parses dates with and without milliseconds", () => {
+        assert.deepEqual(parseAcceptDate("10/Sep/2023:00:18:12.2"), new Date(2023, 8, 10, 0, 18, 12, 200));
+        assert.deepEqual(parseAcceptDate("01/Jan/2024:23:59:59"), new Date(2024, 0, 1, 23, 59, 59, 0));
+    });
+
+    it("rejects invalid dates", () => {
+        assert.equal(parseAcceptDate("10/Foo/2023:00:18:12.239"), null);
+        assert.equal(parseAcceptDate("2023-09-10T00:18:12"), null);
+    });
+});
+
+describe("isErrorRecord", () => {
+    const record = parseLogLine(LINE);
+
+    it("counts 5xx responses and negative timers as errors", () => {
+        assert.equal(isErrorRecord(record), false);
+        assert.equal(isErrorRecord({ ...record, status: 404 }), false);
+        assert.equal(isErrorRecord({ ...record, status: 503 }), true);
+        assert.equal(isErrorRecord({ ...record, tr: -1 }), true);
+    });
+});
+
+describe("requestPath", () => {
+    it("strips the query string, scheme and host", () => {
+        assert.equal(requestPath({ url: "/api/v1/taxonomy.json?input%5B%5D=29486&extra=true" }), "/api/v1/taxonomy.json");
+        assert.equal(requestPath({ url: "https://api.unipept.ugent.be/private_api/metadata?" }), "/private_api/metadata");
+        assert.equal(requestPath({ url: "HTTP://api.unipept.ugent.be" }), "");
+        assert.equal(requestPath({ url: "ipinfo.io:443" }), "ipinfo.io:443");
+    });
+});
@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createDistribution } from "../stats.js";
+
+const summarize = function(values) {
+    const distribution = createDistribution();
+    values.forEach(value => distribution.add(value));
+    return distribution.summary();
+}
+
+describe("createDistribution", () => {
+    it("computes exact nearest-rank percentiles", () => {
+        const values = Array.from({ length: 100 }, (_, idx) => 100 - idx);
+
+        assert.deepEqual(summarize(values), { count: 100, avg: 50.5, p50: 50, p90: 90, p95: 95, p99: 99, max: 100 });
+    });
+
+    it("counts repeated values", () => {
+        assert.deepEqual(summarize([5, 5, 5, 5, 5, 5, 5, 5, 5, 1000]),
+            { count: 10, avg: 104.5, p50: 5, p90: 5, p95: 1000, p99: 1000, max: 1000 });
+    });
+
+    it("returns the only value for every percentile of a single observation", () => {
+        assert.deepEqual(summarize([42]), { count: 1, avg: 42, p50: 42, p90: 42, p95: 42, p99: 42, max: 42 });
+    });
+
+    it("ignores timers that were not set", () => {
+        assert.deepEqual(summarize([-1, 3, -1, 1]), { count: 2, avg: 2, p50: 1, p90: 3, p95: 3, p99: 3, max: 3 });
+    });
+
+    it("reports zeros for an empty distribution", () => {
+        assert.deepEqual(summarize([]), { count: 0, avg: 0, p50: 0, p90: 0, p95: 0, p99: 0, max: 0 });
+    });
+});